@@ -0,0 +1,497 @@
+/**
+ * MNL-AI Admin Dashboard
+ * Lead list, filters, status changes, notes, quotes, invoices, consult
+ * bookings, chat transcripts and timeline
+ */
+
+// ==========================================================================
+// Dashboard State
+// ==========================================================================
+
+const admin = {
+  leads: [],
+  services: [],
+  selectedId: null,
+  quote: null,
+  invoices: [],
+  bookings: [],
+  filters: { q: '', status: '', service: '' },
+
+  async init() {
+    this.setupFilters();
+    await this.loadServices();
+    await this.loadLeads();
+  }
+};
+
+// ==========================================================================
+// API Helpers
+// ==========================================================================
+
+admin.request = async function(url, options = {}) {
+  const response = await fetch(url, {
+    credentials: 'same-origin',
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(options.headers || {})
+    }
+  });
+
+  // Session expired or logged out in another tab
+  if (response.status === 401) {
+    window.location.href = '/admin/login';
+    throw new Error('Session expired');
+  }
+
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error || 'Request failed');
+  }
+
+  return result;
+};
+
+const escapeHtml = (value) => {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const formatMoney = (amount, currency = 'PHP') => {
+  return new Intl.NumberFormat('en-PH', { style: 'currency', currency }).format(amount);
+};
+
+// "organic · google.com · landed on /fil/"
+const touchLabel = (touch) => {
+  const origin = [touch.partner ? `partner ${touch.partner}` : touch.source || touch.referrer || 'direct', touch.campaign]
+    .filter(Boolean)
+    .join(' / ');
+  return `${touch.channel} · ${origin}${touch.landingPage ? ` · landed on ${touch.landingPage}` : ''}`;
+};
+
+const formatDate = (iso) => {
+  return new Date(iso).toLocaleString('en-PH', {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+};
+
+// ==========================================================================
+// Filters
+// ==========================================================================
+
+admin.setupFilters = function() {
+  const search = document.getElementById('lead-search');
+  const status = document.getElementById('lead-status-filter');
+  const service = document.getElementById('lead-service-filter');
+
+  let searchTimeout;
+  search.addEventListener('input', () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(() => {
+      this.filters.q = search.value.trim();
+      this.loadLeads();
+    }, 250);
+  });
+
+  status.addEventListener('change', () => {
+    this.filters.status = status.value;
+    this.loadLeads();
+  });
+
+  service.addEventListener('change', () => {
+    this.filters.service = service.value;
+    this.loadLeads();
+  });
+};
+
+admin.loadServices = async function() {
+  const select = document.getElementById('lead-service-filter');
+
+  try {
+    const result = await this.request('/api/services');
+    this.services = result.data;
+
+    this.services.forEach(service => {
+      const option = document.createElement('option');
+      option.value = service.id;
+      option.textContent = service.name;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Could not load services:', error);
+  }
+};
+
+admin.serviceName = function(id) {
+  const service = this.services.find(s => s.id === id);
+  return service ? service.name : '—';
+};
+
+// ==========================================================================
+// Lead List
+// ==========================================================================
+
+admin.loadLeads = async function() {
+  const params = new URLSearchParams();
+  Object.entries(this.filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+
+  try {
+    const result = await this.request(`/api/leads?${params}`);
+    this.leads = result.data;
+    this.renderLeadList();
+  } catch (error) {
+    console.error('Could not load leads:', error);
+  }
+};
+
+admin.renderLeadList = function() {
+  const list = document.getElementById('lead-list');
+  const count = document.getElementById('lead-count');
+
+  count.textContent = `${this.leads.length} lead${this.leads.length === 1 ? '' : 's'}`;
+
+  if (this.leads.length === 0) {
+    list.innerHTML = '<li class="empty-state">No leads match these filters.</li>';
+    return;
+  }
+
+  list.innerHTML = this.leads.map(lead => `
+    <li>
+      <button type="button" class="lead-row${lead.id === this.selectedId ? ' active' : ''}" data-id="${escapeHtml(lead.id)}">
+        <span class="lead-row-main">
+          <strong>${escapeHtml(lead.name)}</strong>
+          <span>${escapeHtml(lead.business || '—')} · ${escapeHtml(this.serviceName(lead.service))}</span>
+        </span>
+        <span class="lead-row-meta">
+          <span class="status-badge status-${escapeHtml(lead.status)}">${escapeHtml(lead.status)}</span>
+          <time>${escapeHtml(formatDate(lead.receivedAt))}</time>
+        </span>
+      </button>
+    </li>
+  `).join('');
+
+  list.querySelectorAll('.lead-row').forEach(row => {
+    row.addEventListener('click', () => this.showLead(row.dataset.id));
+  });
+};
+
+// ==========================================================================
+// Lead Detail
+// ==========================================================================
+
+admin.showLead = async function(id) {
+  this.selectedId = id;
+  this.renderLeadList();
+
+  try {
+    const result = await this.request(`/api/leads/${encodeURIComponent(id)}`);
+    const lead = result.data;
+
+    this.quote = null;
+    this.invoices = [];
+    if (lead.quoteId) {
+      try {
+        this.quote = (await this.request(`/api/quotes/${encodeURIComponent(lead.quoteId)}`)).data;
+        this.invoices = (await this.request(`/api/invoices?leadId=${encodeURIComponent(lead.id)}`)).data;
+      } catch (error) {
+        console.error('Could not load quote:', error);
+      }
+    }
+
+    this.bookings = [];
+    if (lead.bookingId) {
+      try {
+        this.bookings = (await this.request(`/api/bookings?leadId=${encodeURIComponent(lead.id)}`)).data;
+      } catch (error) {
+        console.error('Could not load bookings:', error);
+      }
+    }
+
+    this.renderLeadDetail(lead);
+  } catch (error) {
+    console.error('Could not load lead:', error);
+  }
+};
+
+admin.timelineLabel = function(entry) {
+  switch (entry.type) {
+    case 'received':
+      return `Received via ${entry.source}`;
+    case 'status_changed':
+      return `Status changed from ${entry.from} to ${entry.to}`;
+    case 'note_added':
+      return 'Note added';
+    case 'quote_created':
+      return 'Quote created';
+    case 'invoice_issued':
+      return `Invoice ${entry.number} issued`;
+    case 'booking_created':
+      return `Consult call booked for ${formatDate(entry.start)}`;
+    case 'booking_cancelled':
+      return 'Consult call cancelled';
+    default:
+      return entry.type;
+  }
+};
+
+admin.renderQuote = function(quote) {
+  if (!quote) return '';
+
+  const money = (amount) => escapeHtml(formatMoney(amount, quote.currency));
+
+  return `
+    <h3>Quote</h3>
+    <table class="quote-table">
+      <tbody>
+        ${quote.lineItems.map(item => `
+          <tr>
+            <td>${escapeHtml(item.description)}${item.quantity > 1 ? ` × ${item.quantity}` : ''}</td>
+            <td>${item.custom ? 'Custom' : money(item.amount)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+      <tfoot>
+        <tr><td>Subtotal</td><td>${money(quote.subtotal)}</td></tr>
+        <tr><td>${escapeHtml(quote.vat.label)}</td><td>${money(quote.vat.amount)}</td></tr>
+        <tr><th>Total</th><th>${money(quote.total)}</th></tr>
+      </tfoot>
+    </table>
+    <p class="quote-meta">
+      ${escapeHtml(quote.number || '')} · ${escapeHtml(quote.timeline.name)} timeline${quote.promoCode ? ` · promo ${escapeHtml(quote.promoCode)}` : ''}
+      · valid until ${escapeHtml(formatDate(quote.validUntil))}${quote.expired ? ' (expired)' : ''}
+    </p>
+    <div class="document-actions">
+      <a class="admin-btn" href="/api/quotes/${encodeURIComponent(quote.id)}.pdf" target="_blank" rel="noopener">Quote PDF</a>
+      <button type="button" class="admin-btn" data-link="/api/quotes/${encodeURIComponent(quote.id)}/link">Copy client link</button>
+      ${quote.hasCustomItems ? '' : '<button type="button" class="admin-btn admin-btn-primary" id="create-invoice">Create invoice</button>'}
+    </div>
+
+    ${this.invoices.length === 0 ? '' : `
+      <h3>Invoices</h3>
+      <ul class="invoice-list">
+        ${this.invoices.map(invoice => `
+          <li>
+            <span>
+              <strong>${escapeHtml(invoice.number)}</strong>
+              ${money(invoice.total)} · due ${escapeHtml(formatDate(invoice.dueAt))}
+            </span>
+            <span class="document-actions">
+              <a class="admin-btn" href="/api/invoices/${encodeURIComponent(invoice.id)}.pdf" target="_blank" rel="noopener">PDF</a>
+              <button type="button" class="admin-btn" data-link="/api/invoices/${encodeURIComponent(invoice.id)}/link">Copy client link</button>
+            </span>
+          </li>
+        `).join('')}
+      </ul>
+    `}
+  `;
+};
+
+// Chat leads carry the whole conversation with the assistant
+admin.renderTranscript = function(lead) {
+  if (!lead.transcript || lead.transcript.length === 0) return '';
+
+  return `
+    <details class="transcript">
+      <summary>Chat transcript (${lead.transcript.length} messages)</summary>
+      <ol>
+        ${lead.transcript.map(entry => `
+          <li class="transcript-${entry.role === 'visitor' ? 'visitor' : 'assistant'}">
+            <span>${escapeHtml(entry.text)}</span>
+          </li>
+        `).join('')}
+      </ol>
+    </details>
+  `;
+};
+
+admin.renderBookings = function() {
+  if (this.bookings.length === 0) return '';
+
+  return `
+    <h3>Consult calls</h3>
+    <ul class="invoice-list">
+      ${this.bookings.map(booking => `
+        <li>
+          <span>
+            <strong>${escapeHtml(formatDate(booking.start))}</strong>
+            <span class="status-badge status-${booking.status === 'cancelled' ? 'lost' : 'won'}">${escapeHtml(booking.status)}</span>
+          </span>
+          <span class="document-actions">
+            <a class="admin-btn" href="/api/bookings/${encodeURIComponent(booking.id)}.ics">.ics</a>
+            ${booking.status === 'cancelled' ? '' : `<button type="button" class="admin-btn" data-cancel-booking="${escapeHtml(booking.id)}">Cancel</button>`}
+          </span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+};
+
+admin.cancelBooking = async function(id) {
+  if (!confirm('Cancel this consult call? The slot opens up for others.')) return;
+
+  try {
+    await this.request(`/api/bookings/${encodeURIComponent(id)}/cancel`, { method: 'POST' });
+    this.showLead(this.selectedId);
+  } catch (error) {
+    alert(error.message);
+  }
+};
+
+// Signed links let the client open a PDF without an admin login
+admin.copyDocumentLink = async function(button) {
+  let url;
+  try {
+    url = (await this.request(button.dataset.link, { method: 'POST' })).data.url;
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(url);
+    button.textContent = 'Link copied';
+  } catch (error) {
+    // Clipboard access needs HTTPS and focus; fall back to manual copying
+    window.prompt('Copy this link for the client:', url);
+  }
+};
+
+admin.createInvoice = async function(quoteId) {
+  try {
+    await this.request('/api/invoices', {
+      method: 'POST',
+      body: JSON.stringify({ quoteId })
+    });
+    this.showLead(this.selectedId);
+  } catch (error) {
+    alert(error.message);
+  }
+};
+
+admin.renderLeadDetail = function(lead) {
+  const detail = document.getElementById('lead-detail');
+  const statuses = ['new', 'contacted', 'won', 'lost'];
+
+  detail.innerHTML = `
+    <div class="detail-header">
+      <div>
+        <h2>${escapeHtml(lead.name)}</h2>
+        <a href="mailto:${escapeHtml(lead.email)}">${escapeHtml(lead.email)}</a>
+      </div>
+      <label class="status-select">
+        <span>Status</span>
+        <select id="lead-status">
+          ${statuses.map(status => `
+            <option value="${status}"${status === lead.status ? ' selected' : ''}>${status}</option>
+          `).join('')}
+        </select>
+      </label>
+    </div>
+
+    <dl class="detail-fields">
+      <dt>Business</dt><dd>${escapeHtml(lead.business || '—')}</dd>
+      <dt>Service</dt><dd>${escapeHtml(this.serviceName(lead.service))}</dd>
+      <dt>Received</dt><dd>${escapeHtml(formatDate(lead.receivedAt))}</dd>
+      <dt>Source</dt><dd>${escapeHtml(lead.source)}</dd>
+      ${lead.attribution ? `
+        <dt>First touch</dt><dd>${escapeHtml(touchLabel(lead.attribution.firstTouch))}</dd>
+        <dt>Last touch</dt><dd>${escapeHtml(touchLabel(lead.attribution.lastTouch))}</dd>
+      ` : ''}
+    </dl>
+
+    ${lead.message ? `<div class="detail-message">${escapeHtml(lead.message)}</div>` : ''}
+
+    ${this.renderTranscript(lead)}
+
+    ${this.renderBookings()}
+
+    ${this.renderQuote(this.quote && this.quote.id === lead.quoteId ? this.quote : null)}
+
+    <h3>Notes</h3>
+    <ul class="note-list">
+      ${lead.notes.length === 0 ? '<li class="empty-state">No notes yet.</li>' : lead.notes.map(note => `
+        <li>
+          <p>${escapeHtml(note.text)}</p>
+          <time>${escapeHtml(formatDate(note.createdAt))}</time>
+        </li>
+      `).join('')}
+    </ul>
+    <form class="note-form" id="note-form">
+      <textarea name="text" rows="3" placeholder="Add an internal note" required></textarea>
+      <button type="submit" class="admin-btn admin-btn-primary">Add note</button>
+    </form>
+
+    <h3>Timeline</h3>
+    <ol class="timeline">
+      ${lead.timeline.slice().reverse().map(entry => `
+        <li>
+          <span>${escapeHtml(this.timelineLabel(entry))}</span>
+          <time>${escapeHtml(formatDate(entry.at))}</time>
+        </li>
+      `).join('')}
+    </ol>
+  `;
+
+  detail.querySelectorAll('[data-link]').forEach(button => {
+    button.addEventListener('click', () => this.copyDocumentLink(button));
+  });
+
+  detail.querySelectorAll('[data-cancel-booking]').forEach(button => {
+    button.addEventListener('click', () => this.cancelBooking(button.dataset.cancelBooking));
+  });
+
+  const createInvoice = document.getElementById('create-invoice');
+  if (createInvoice) {
+    createInvoice.addEventListener('click', () => this.createInvoice(lead.quoteId));
+  }
+
+  document.getElementById('lead-status').addEventListener('change', (e) => {
+    this.updateStatus(lead.id, e.target.value);
+  });
+
+  document.getElementById('note-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = e.target.elements.text.value.trim();
+    if (text) this.addNote(lead.id, text);
+  });
+};
+
+admin.updateStatus = async function(id, status) {
+  try {
+    const result = await this.request(`/api/leads/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status })
+    });
+    this.renderLeadDetail(result.data);
+    this.loadLeads();
+  } catch (error) {
+    alert(error.message);
+  }
+};
+
+admin.addNote = async function(id, text) {
+  try {
+    const result = await this.request(`/api/leads/${encodeURIComponent(id)}/notes`, {
+      method: 'POST',
+      body: JSON.stringify({ text })
+    });
+    this.renderLeadDetail(result.data);
+  } catch (error) {
+    alert(error.message);
+  }
+};
+
+// ==========================================================================
+// Initialize Dashboard
+// ==========================================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  admin.init();
+});
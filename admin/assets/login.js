@@ -0,0 +1,20 @@
+/**
+ * MNL-AI Admin - Login page
+ * Shows the reason a sign-in attempt was rejected
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const errorEl = document.getElementById('login-error');
+  const reason = new URLSearchParams(window.location.search).get('error');
+
+  const messages = {
+    invalid: 'Incorrect password. Please try again.',
+    locked: 'Too many failed attempts. Please wait 15 minutes and try again.',
+    disabled: 'Admin login is disabled. Set ADMIN_PASSWORD on the server to enable it.'
+  };
+
+  if (errorEl && messages[reason]) {
+    errorEl.textContent = messages[reason];
+    errorEl.hidden = false;
+  }
+});
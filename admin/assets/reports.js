@@ -0,0 +1,458 @@
+/**
+ * MNL-AI Admin Reports
+ * Site analytics for a date range (traffic, sections, CTAs and the
+ * contact form funnel), leads and won deals by source, A/B test results,
+ * real-user monitoring (Web Vitals percentiles by device class, script
+ * errors and broken images) and Content-Security-Policy violations
+ */
+
+// ==========================================================================
+// Report State
+// ==========================================================================
+
+const reports = {
+  range: { from: '', to: '' },
+  sources: { model: 'last', group: 'source' },
+
+  async init() {
+    this.setupRange();
+    this.setupSources();
+    await this.load();
+  }
+};
+
+// ==========================================================================
+// API Helpers
+// ==========================================================================
+
+reports.request = async function(url) {
+  const response = await fetch(url, { credentials: 'same-origin' });
+
+  // Session expired or logged out in another tab
+  if (response.status === 401) {
+    window.location.href = '/admin/login';
+    throw new Error('Session expired');
+  }
+
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error || 'Request failed');
+  }
+
+  return result;
+};
+
+const escapeHtml = (value) => {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const formatNumber = (value) => new Intl.NumberFormat('en-PH').format(value);
+
+const formatRate = (value) => (value === null ? '—' : `${value}%`);
+
+// ==========================================================================
+// Date Range
+// ==========================================================================
+
+reports.setupRange = function() {
+  const form = document.getElementById('report-range');
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    this.range.from = form.elements.from.value;
+    this.range.to = form.elements.to.value;
+    this.load();
+  });
+};
+
+// Analytics picks the default range, which RUM then shares. A/B tests
+// always cover their whole run.
+reports.load = async function() {
+  await this.loadAnalytics();
+  await this.loadSources();
+  await this.loadExperiments();
+  await this.loadRum();
+  await this.loadCsp();
+};
+
+reports.query = function() {
+  const params = new URLSearchParams();
+  Object.entries(this.range).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  return params;
+};
+
+// ==========================================================================
+// Site Analytics
+// ==========================================================================
+
+reports.loadAnalytics = async function() {
+  const container = document.getElementById('analytics-report');
+
+  try {
+    const result = await this.request(`/api/events/report?${this.query()}`);
+    const report = result.data;
+
+    // Show the range the server actually used
+    this.range = { from: report.from, to: report.to };
+    document.getElementById('report-from').value = report.from;
+    document.getElementById('report-to').value = report.to;
+
+    this.renderAnalytics(report);
+  } catch (error) {
+    console.error('Could not load analytics:', error);
+    container.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
+  }
+};
+
+// A two-column table of { key, count } rows
+const countTable = (title, rows, label = 'Count') => {
+  if (rows.length === 0) {
+    return `<h3>${escapeHtml(title)}</h3><p class="empty-state">No data yet.</p>`;
+  }
+
+  return `
+    <h3>${escapeHtml(title)}</h3>
+    <table class="quote-table">
+      <thead><tr><th scope="col">${escapeHtml(title)}</th><th scope="col">${escapeHtml(label)}</th></tr></thead>
+      <tbody>
+        ${rows.map(row => `<tr><td>${escapeHtml(row.key)}</td><td>${formatNumber(row.count)}</td></tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+};
+
+const funnelTable = (funnel) => `
+  <h3>${escapeHtml(funnel.form)} form</h3>
+  <table class="quote-table">
+    <thead><tr><th scope="col">Step</th><th scope="col">Visitors</th><th scope="col">Of views</th></tr></thead>
+    <tbody>
+      ${funnel.steps.map(step => `
+        <tr><td>${escapeHtml(step.step)}</td><td>${formatNumber(step.count)}</td><td>${formatRate(step.rate)}</td></tr>
+      `).join('')}
+    </tbody>
+  </table>
+`;
+
+reports.renderAnalytics = function(report) {
+  const summary = document.getElementById('analytics-summary');
+  const container = document.getElementById('analytics-report');
+  const conversions = report.daily.reduce((sum, day) => sum + day.conversions, 0);
+
+  summary.innerHTML = [
+    ['Pageviews', report.totals.pageviews],
+    ['Events', report.totals.events],
+    ['Form conversions', conversions]
+  ].map(([label, value]) => `
+    <div class="report-stat"><strong>${formatNumber(value)}</strong><span>${escapeHtml(label)}</span></div>
+  `).join('');
+
+  container.innerHTML = `
+    <article class="report-card">
+      <h2>Traffic</h2>
+      ${countTable('Day', report.daily.map(day => ({ key: day.date, count: day.pageviews })), 'Pageviews')}
+      ${countTable('Page', report.paths, 'Pageviews')}
+      ${countTable('Referrer', report.referrers, 'Pageviews')}
+    </article>
+    <article class="report-card">
+      <h2>Audience</h2>
+      ${countTable('Device', report.devices, 'Pageviews')}
+      ${countTable('Language', report.languages, 'Pageviews')}
+    </article>
+    <article class="report-card">
+      <h2>Engagement</h2>
+      ${countTable('Section', report.sections, 'Views')}
+      ${countTable('CTA', report.ctas, 'Clicks')}
+      ${countTable('Menu link', report.navigation, 'Clicks')}
+    </article>
+    <article class="report-card">
+      <h2>Form funnels</h2>
+      ${report.funnels.length ? report.funnels.map(funnelTable).join('') : '<p class="empty-state">No form activity yet.</p>'}
+    </article>
+  `;
+};
+
+// ==========================================================================
+// Lead Sources
+// ==========================================================================
+
+reports.setupSources = function() {
+  ['model', 'group'].forEach(name => {
+    const select = document.getElementById(`sources-${name}`);
+    select.addEventListener('change', () => {
+      this.sources[name] = select.value;
+      this.loadSources();
+    });
+  });
+};
+
+reports.loadSources = async function() {
+  const container = document.getElementById('sources-report');
+  const params = this.query();
+  params.set('model', this.sources.model);
+  params.set('group', this.sources.group);
+
+  try {
+    const result = await this.request(`/api/leads/sources?${params}`);
+    this.renderSources(result.data);
+  } catch (error) {
+    console.error('Could not load lead sources:', error);
+    container.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
+  }
+};
+
+reports.renderSources = function(report) {
+  const container = document.getElementById('sources-report');
+
+  container.innerHTML = `
+    <article class="report-card">
+      <h2>Leads and won deals (${escapeHtml(report.model)} touch)</h2>
+      ${report.rows.length === 0 ? '<p class="empty-state">No leads in this range.</p>' : `
+        <table class="quote-table">
+          <thead>
+            <tr>
+              <th scope="col">${escapeHtml(report.group)}</th><th scope="col">Leads</th><th scope="col">Open</th>
+              <th scope="col">Lost</th><th scope="col">Won</th><th scope="col">Win rate</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${report.rows.map(row => `
+              <tr>
+                <td>${escapeHtml(row.key)}</td>
+                <td>${formatNumber(row.leads)}</td>
+                <td>${formatNumber(row.open)}</td>
+                <td>${formatNumber(row.lost)}</td>
+                <td>${formatNumber(row.won)}</td>
+                <td>${formatRate(row.winRate)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+          <tfoot>
+            <tr><td>Total</td><td>${formatNumber(report.totals.leads)}</td><td></td><td></td><td>${formatNumber(report.totals.won)}</td><td></td></tr>
+          </tfoot>
+        </table>
+      `}
+    </article>
+    <article class="report-card">
+      <h2>Partner links</h2>
+      <table class="quote-table">
+        <thead><tr><th scope="col">Partner</th><th scope="col">Link</th><th scope="col">Clicks</th></tr></thead>
+        <tbody>
+          ${report.partners.map(partner => `
+            <tr>
+              <td>${escapeHtml(partner.name)}</td>
+              <td><code>${escapeHtml(partner.link)}</code></td>
+              <td>${formatNumber(partner.clicks)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </article>
+  `;
+};
+
+// ==========================================================================
+// A/B Tests
+// ==========================================================================
+
+reports.loadExperiments = async function() {
+  const container = document.getElementById('experiments-report');
+
+  try {
+    const result = await this.request('/api/experiments/report');
+    this.renderExperiments(result.data);
+  } catch (error) {
+    console.error('Could not load experiments:', error);
+    container.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
+  }
+};
+
+// Plain-language verdict for a variant against the control
+const verdict = (comparison) => {
+  if (!comparison) return '—';
+  const p = `p = ${comparison.pValue}`;
+  if (!comparison.significant) return `No clear difference (${p})`;
+  return `${comparison.lift > 0 ? 'Better' : 'Worse'} than control (${p})`;
+};
+
+const experimentCard = (experiment) => `
+  <article class="report-card">
+    <h2>${escapeHtml(experiment.name)}</h2>
+    <p class="quote-meta">
+      ${escapeHtml(experiment.status)}${experiment.winner ? ` · winner: ${escapeHtml(experiment.winner)}` : ''}
+      · goal: ${escapeHtml(experiment.goal)}
+      ${experiment.enoughData ? '' : ' · still collecting data, treat results as early'}
+    </p>
+    <table class="quote-table">
+      <thead>
+        <tr>
+          <th scope="col">Variant</th><th scope="col">Visitors</th><th scope="col">Conversions</th>
+          <th scope="col">Rate</th><th scope="col">Lift</th><th scope="col">Significance</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${experiment.variants.map(variant => `
+          <tr>
+            <td>${escapeHtml(variant.name)}<br><small>${escapeHtml(variant.id)}</small></td>
+            <td>${formatNumber(variant.visitors)}</td>
+            <td>${formatNumber(variant.conversions)}</td>
+            <td>${formatRate(variant.rate)}</td>
+            <td>${variant.comparison && variant.comparison.lift !== null ? formatRate(variant.comparison.lift) : '—'}</td>
+            <td>${escapeHtml(verdict(variant.comparison))}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  </article>
+`;
+
+reports.renderExperiments = function(experiments) {
+  const container = document.getElementById('experiments-report');
+  container.innerHTML = experiments.length
+    ? experiments.map(experimentCard).join('')
+    : '<p class="empty-state">No experiments are defined.</p>';
+};
+
+// ==========================================================================
+// Real-User Monitoring
+// ==========================================================================
+
+reports.loadRum = async function() {
+  const container = document.getElementById('rum-report');
+
+  try {
+    const result = await this.request(`/api/rum/report?${this.query()}`);
+    this.renderRum(result.data);
+  } catch (error) {
+    console.error('Could not load RUM report:', error);
+    container.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
+  }
+};
+
+const DEVICE_ROWS = ['all', 'mobile', 'tablet', 'desktop'];
+
+const formatValue = (value, unit) => {
+  if (value === null) return '—';
+  return unit === 'ms' ? `${formatNumber(Math.round(value))} ms` : String(value);
+};
+
+// p50/p75/p95 per device class; p75 is the figure Google grades on
+const percentileTable = (title, devices, unit, thresholds) => `
+  <h3>${escapeHtml(title)}${thresholds ? ` <small>good ≤ ${escapeHtml(formatValue(thresholds.good, unit))}</small>` : ''}</h3>
+  <table class="quote-table">
+    <thead>
+      <tr>
+        <th scope="col">Device</th><th scope="col">Samples</th><th scope="col">p50</th><th scope="col">p75</th><th scope="col">p95</th>
+        ${thresholds ? '<th scope="col">Good</th>' : ''}
+      </tr>
+    </thead>
+    <tbody>
+      ${DEVICE_ROWS.map(device => {
+        const row = devices[device];
+        return `
+          <tr>
+            <td>${escapeHtml(device)}</td>
+            <td>${formatNumber(row.count)}</td>
+            <td>${formatValue(row.p50, unit)}</td>
+            <td>${formatValue(row.p75, unit)}</td>
+            <td>${formatValue(row.p95, unit)}</td>
+            ${thresholds ? `<td>${formatRate(row.good)}</td>` : ''}
+          </tr>
+        `;
+      }).join('')}
+    </tbody>
+  </table>
+`;
+
+const errorItem = (error) => `
+  <li>
+    <details>
+      <summary>
+        <strong>${escapeHtml(error.message)}</strong>
+        <span>${formatNumber(error.count)}× · ${escapeHtml(error.source || error.kind)}${error.line ? `:${error.line}` : ''}</span>
+      </summary>
+      <p>Devices: ${escapeHtml(Object.entries(error.devices).map(([device, count]) => `${device} ${count}`).join(', '))}</p>
+      <p>Pages: ${escapeHtml(Object.keys(error.paths).join(', '))}</p>
+      <p>Last seen: <time>${escapeHtml(new Date(error.lastSeen).toLocaleString('en-PH'))}</time></p>
+      ${error.stack ? `<pre class="detail-message">${escapeHtml(error.stack)}</pre>` : ''}
+    </details>
+  </li>
+`;
+
+reports.renderRum = function(report) {
+  const container = document.getElementById('rum-report');
+
+  container.innerHTML = `
+    <article class="report-card">
+      <h2>Web Vitals</h2>
+      ${report.metrics.map(metric => percentileTable(metric.name, metric.devices, metric.unit, metric.thresholds)).join('')}
+    </article>
+    <article class="report-card">
+      <h2>Long tasks</h2>
+      ${percentileTable('Duration', report.longTasks, 'ms')}
+      <h2>Broken images</h2>
+      ${countTable('Image', report.images.map(image => ({ key: image.src, count: image.count })), 'Failures')}
+    </article>
+    <article class="report-card">
+      <h2>Script errors</h2>
+      ${report.errors.length ? `<ul class="note-list">${report.errors.map(errorItem).join('')}</ul>` : '<p class="empty-state">No errors reported.</p>'}
+    </article>
+  `;
+};
+
+// ==========================================================================
+// Content-Security-Policy
+// ==========================================================================
+
+reports.loadCsp = async function() {
+  const container = document.getElementById('csp-report');
+
+  try {
+    const result = await this.request(`/api/csp-report/report?${this.query()}`);
+    this.renderCsp(result.data);
+  } catch (error) {
+    console.error('Could not load CSP report:', error);
+    container.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
+  }
+};
+
+const violationItem = (violation) => `
+  <li>
+    <details>
+      <summary>
+        <strong>${escapeHtml(violation.directive)}</strong>
+        <span>${formatNumber(violation.count)}× · ${escapeHtml(violation.blocked)}</span>
+      </summary>
+      <p>Blocked: ${formatNumber(violation.enforced)} of ${formatNumber(violation.count)} (the rest were report-only)</p>
+      <p>Pages: ${escapeHtml(Object.keys(violation.paths).join(', '))}</p>
+      ${violation.source ? `<p>Source: ${escapeHtml(violation.source)}</p>` : ''}
+      <p>Last seen: <time>${escapeHtml(new Date(violation.lastSeen).toLocaleString('en-PH'))}</time></p>
+      ${violation.sample ? `<pre class="detail-message">${escapeHtml(violation.sample)}</pre>` : ''}
+    </details>
+  </li>
+`;
+
+reports.renderCsp = function(report) {
+  const container = document.getElementById('csp-report');
+
+  container.innerHTML = `
+    <article class="report-card">
+      <h2>Content-Security-Policy violations</h2>
+      ${report.violations.length ? `<ul class="note-list">${report.violations.map(violationItem).join('')}</ul>` : '<p class="empty-state">No violations reported.</p>'}
+    </article>
+  `;
+};
+
+// ==========================================================================
+// Initialize Reports
+// ==========================================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  reports.init();
+});
@@ -0,0 +1,328 @@
+/**
+ * Analytics
+ * First-party, cookieless event collection. The site's script sends events
+ * in batches; each one is checked against an allowlist of types and
+ * properties, appended to a daily log and rolled up into per-day totals
+ * (pageviews, sections viewed, CTA clicks and the contact form funnel).
+ * Script errors and performance go to real-user monitoring (./rum).
+ * Nothing that identifies a visitor is kept: no cookies, IP addresses or
+ * user agents, just a coarse device class.
+ */
+
+const { createCollection, createDailyLog } = require('./store');
+const { config } = require('./config');
+
+const RETENTION_DAYS = config.retentionDays.analytics;
+const MAX_BATCH = 50;
+const MAX_KEYS = 100;
+const FLUSH_DELAY_MS = 30 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+const MANILA_OFFSET_MS = config.business.utcOffsetMinutes * 60 * 1000;
+
+const DEVICES = ['mobile', 'tablet', 'desktop'];
+const FUNNEL_STEPS = ['view', 'start', 'submit', 'success', 'error'];
+
+const daily = createCollection('analytics-daily');
+const eventLog = createDailyLog('events');
+
+// ==========================================================================
+// Sanitizing
+// ==========================================================================
+
+const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]+/g;
+const LONG_NUMBER_PATTERN = /\d{7,}/g;
+
+// Free text can carry whatever a visitor typed; mask anything contact-like
+const cleanText = (value, max = 200) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  return value.trim().slice(0, max).replace(EMAIL_PATTERN, '[email]').replace(LONG_NUMBER_PATTERN, '[number]');
+};
+
+const cleanKey = (value) => {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase();
+  return /^[a-z0-9#_/-]{1,60}$/.test(key) ? key : null;
+};
+
+// Path only: query strings can hold emails, promo codes or tokens
+const cleanPath = (value) => {
+  if (typeof value !== 'string' || !value) return null;
+  try {
+    return new URL(value, 'https://mnl-ai.com').pathname.slice(0, 200);
+  } catch (error) {
+    return null;
+  }
+};
+
+const cleanHost = (value) => {
+  if (typeof value !== 'string' || !value) return null;
+  try {
+    return new URL(value).hostname.slice(0, 100) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const cleanNumber = (value) => (Number.isFinite(value) ? Math.round(value) : null);
+
+const CLEANERS = { text: cleanText, key: cleanKey, path: cleanPath, host: cleanHost, number: cleanNumber };
+
+// Event types the collector accepts, with the properties kept for each
+const EVENT_TYPES = {
+  pageview: { referrer: 'host' },
+  section_view: { section: 'key' },
+  cta_click: { cta: 'key', target: 'text' },
+  navigation: { target: 'key' },
+  form_view: { form: 'key' },
+  form_start: { form: 'key' },
+  form_submit: { form: 'key' },
+  form_success: { form: 'key' },
+  form_error: { form: 'key', code: 'key' },
+  chat_lead_created: {}
+};
+
+const cleanEvent = (event) => {
+  const spec = event && EVENT_TYPES[event.type];
+  if (!spec) return null;
+
+  const props = {};
+  Object.entries(spec).forEach(([name, kind]) => {
+    const value = CLEANERS[kind](event.props ? event.props[name] : undefined);
+    if (value !== null) props[name] = value;
+  });
+
+  return { type: event.type, props };
+};
+
+// Crawlers, link previews and uptime checks would skew every number
+const BOT_PATTERN = /bot|crawl|spider|slurp|headless|lighthouse|preview|monitor|facebookexternalhit|whatsapp|telegram/i;
+
+const isBot = (userAgent) => BOT_PATTERN.test(userAgent || '');
+
+const cleanContext = (context = {}) => ({
+  path: cleanPath(context.path) || '/',
+  lang: cleanKey(context.lang) || 'unknown',
+  device: DEVICES.includes(context.device) ? context.device : 'unknown'
+});
+
+// ==========================================================================
+// Daily Totals
+// ==========================================================================
+
+// "2026-10-21" for the Manila calendar day containing the instant
+const dayOf = (time) => new Date(time + MANILA_OFFSET_MS).toISOString().slice(0, 10);
+
+const emptyDay = (date) => ({
+  id: date,
+  date,
+  events: 0,
+  pageviews: 0,
+  paths: {},
+  referrers: {},
+  devices: {},
+  languages: {},
+  sections: {},
+  ctas: {},
+  navigation: {},
+  funnels: {}
+});
+
+// Days being counted in memory; written to the store shortly after changes
+const pending = new Map();
+let flushTimer = null;
+
+const dayTotals = (date) => {
+  if (!pending.has(date)) {
+    pending.set(date, daily.get(date) ? structuredClone(daily.get(date)) : emptyDay(date));
+  }
+  return pending.get(date);
+};
+
+// Caps distinct keys so junk values can't grow a day without bound
+const bump = (counts, key) => {
+  if (key === null || key === undefined) return;
+  const name = counts[key] !== undefined || Object.keys(counts).length < MAX_KEYS ? key : '(other)';
+  counts[name] = (counts[name] || 0) + 1;
+};
+
+const funnelStep = (totals, form, step) => {
+  const name = form || 'unknown';
+  if (!totals.funnels[name]) {
+    totals.funnels[name] = FUNNEL_STEPS.reduce((steps, s) => ({ ...steps, [s]: 0 }), {});
+  }
+  totals.funnels[name][step] += 1;
+};
+
+const countEvent = (totals, event, context) => {
+  const { props } = event;
+  totals.events += 1;
+
+  switch (event.type) {
+    case 'pageview':
+      totals.pageviews += 1;
+      bump(totals.paths, context.path);
+      bump(totals.referrers, props.referrer || '(direct)');
+      bump(totals.devices, context.device);
+      bump(totals.languages, context.lang);
+      break;
+    case 'section_view':
+      bump(totals.sections, props.section);
+      break;
+    case 'cta_click':
+      bump(totals.ctas, props.cta);
+      break;
+    case 'navigation':
+      bump(totals.navigation, props.target);
+      break;
+    case 'form_view':
+    case 'form_start':
+    case 'form_submit':
+    case 'form_success':
+    case 'form_error':
+      funnelStep(totals, props.form, event.type.slice('form_'.length));
+      break;
+    default:
+      break;
+  }
+};
+
+const flush = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  pending.forEach((totals, date) => {
+    if (daily.get(date)) {
+      daily.update(date, totals);
+    } else {
+      daily.insert(totals);
+    }
+  });
+  pending.clear();
+};
+
+const scheduleFlush = () => {
+  if (flushTimer) return;
+  flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+  flushTimer.unref();
+};
+
+// Writes are synchronous, so this still runs on the way out
+process.on('exit', flush);
+
+// ==========================================================================
+// Event Log
+// ==========================================================================
+
+// Raw events are only kept for RETENTION_DAYS; the daily totals stay
+const pruneLogs = () => eventLog.prune(dayOf(Date.now() - RETENTION_DAYS * DAY));
+
+pruneLogs();
+setInterval(pruneLogs, DAY).unref();
+
+/**
+ * Records one batch: { context: { path, lang, device }, events: [{ type,
+ * props }] }. Unknown event types and properties are dropped. Returns the
+ * number of events kept, or null when the batch itself is malformed.
+ */
+const recordBatch = (batch, now = Date.now()) => {
+  if (!batch || !Array.isArray(batch.events) || batch.events.length > MAX_BATCH) return null;
+
+  const context = cleanContext(batch.context);
+  const events = batch.events.map(cleanEvent).filter(Boolean);
+  if (events.length === 0) return 0;
+
+  const date = dayOf(now);
+  const at = new Date(now).toISOString();
+  const totals = dayTotals(date);
+  events.forEach(event => countEvent(totals, event, context));
+
+  eventLog.append(date, events.map(event => ({ at, ...context, ...event })));
+  scheduleFlush();
+  return events.length;
+};
+
+// ==========================================================================
+// Reports
+// ==========================================================================
+
+const mergeCounts = (target, source) => {
+  Object.entries(source || {}).forEach(([key, count]) => {
+    target[key] = (target[key] || 0) + count;
+  });
+  return target;
+};
+
+const topEntries = (counts, limit = 20) => {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([key, count]) => ({ key, count }));
+};
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+/**
+ * Totals for the Manila dates from..to (default: the last 30 days), with
+ * a row per day and the contact funnel as counts and percentages of views.
+ */
+const getReport = ({ from, to } = {}) => {
+  const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const end = isDate(to) ? to : dayOf(Date.now());
+  const start = isDate(from) ? from : dayOf(Date.parse(`${end}T12:00:00Z`) - 29 * DAY);
+
+  const days = [...new Set([...daily.all().map(day => day.date), ...pending.keys()])]
+    .filter(date => date >= start && date <= end)
+    .sort()
+    .map(date => pending.get(date) || daily.get(date));
+
+  const totals = days.reduce((sum, day) => {
+    sum.events += day.events;
+    sum.pageviews += day.pageviews;
+    ['paths', 'referrers', 'devices', 'languages', 'sections', 'ctas', 'navigation'].forEach(field => mergeCounts(sum[field], day[field]));
+    Object.entries(day.funnels).forEach(([form, steps]) => {
+      sum.funnels[form] = mergeCounts(sum.funnels[form] || {}, steps);
+    });
+    return sum;
+  }, { events: 0, pageviews: 0, paths: {}, referrers: {}, devices: {}, languages: {}, sections: {}, ctas: {}, navigation: {}, funnels: {} });
+
+  const funnels = Object.entries(totals.funnels).map(([form, steps]) => ({
+    form,
+    steps: FUNNEL_STEPS.map(step => ({ step, count: steps[step] || 0, rate: rate(steps[step] || 0, steps.view || 0) }))
+  }));
+
+  return {
+    from: start,
+    to: end,
+    totals: {
+      events: totals.events,
+      pageviews: totals.pageviews
+    },
+    daily: days.map(day => ({
+      date: day.date,
+      pageviews: day.pageviews,
+      events: day.events,
+      conversions: Object.values(day.funnels).reduce((sum, steps) => sum + steps.success, 0)
+    })),
+    paths: topEntries(totals.paths),
+    referrers: topEntries(totals.referrers),
+    devices: topEntries(totals.devices),
+    languages: topEntries(totals.languages),
+    sections: topEntries(totals.sections),
+    ctas: topEntries(totals.ctas),
+    navigation: topEntries(totals.navigation),
+    funnels
+  };
+};
+
+module.exports = {
+  MAX_BATCH,
+  DEVICES,
+  EVENT_TYPES,
+  isBot,
+  dayOf,
+  cleanText,
+  cleanPath,
+  recordBatch,
+  getReport,
+  flush
+};
@@ -0,0 +1,165 @@
+/**
+ * Asset Check
+ * Finds every local file URL the site refers to, in the page templates,
+ * stylesheets, scripts, admin pages and content JSON, and checks them
+ * against the files that are served: references to files that don't
+ * exist, files too heavy to send, and files nothing refers to. Run it with
+ * npm run check:assets, or as an admin from GET /api/assets/report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toFile, getImage } = require('./images');
+
+const ROOT = path.join(__dirname, '..');
+
+// Where each URL prefix is served from, as server.js and routes/admin.js
+// mount them; the first match wins
+const MOUNTS = [
+  { prefix: '/admin/assets/', dir: path.join(ROOT, 'admin', 'assets') },
+  { prefix: '/shared/', dir: path.join(ROOT, 'shared') },
+  { prefix: '/', dir: path.join(ROOT, 'public') }
+];
+
+// Files that can refer to assets, relative to the repository root
+const SOURCES = [
+  { dir: 'views', pattern: /\.ejs$/ },
+  { dir: 'public', pattern: /\.(css|js|html)$/, skip: ['assets'] },
+  { dir: 'admin', pattern: /\.(css|js|html)$/ },
+  { dir: 'shared', pattern: /\.js$/ },
+  { dir: 'content', pattern: /\.json$/ },
+  { dir: 'lib', pattern: /\.js$/ },
+  { dir: 'routes', pattern: /\.js$/ }
+];
+
+// Made by npm run build:images and listed in its manifest, not referenced
+const GENERATED_PREFIX = '/assets/_generated/';
+
+// Largest size worth sending to a browser, by file type
+const LIMITS = [
+  { pattern: /\.(png|jpe?g|gif|webp|avif)$/i, bytes: 250 * 1024 },
+  { pattern: /\.(svg|ico)$/i, bytes: 50 * 1024 },
+  { pattern: /\.(css|js)$/i, bytes: 100 * 1024 }
+];
+
+// A root-relative path with a file extension, after a quote, bracket,
+// space, comma, "=" or a template placeholder such as ${SITE_URL}
+const URL_PATTERN = /(?<=["'`(\s,=}])\/(?!\/)[\w\-./]*?[\w-]+\.(?:png|jpe?g|gif|webp|avif|svg|ico|css|js|json|pdf|woff2?)\b/g;
+
+// ==========================================================================
+// Files
+// ==========================================================================
+
+const listFiles = (dir, pattern, skip = []) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return skip.includes(entry.name) ? [] : listFiles(fullPath, pattern);
+    return pattern.test(entry.name) ? [fullPath] : [];
+  });
+};
+
+const relative = (filePath) => path.relative(ROOT, filePath).split(path.sep).join('/');
+
+// Commented-out references ("// img.src = '/assets/placeholder.jpg'") don't count
+const stripComments = (text) => text
+  .replace(/\/\*[\s\S]*?\*\//g, '')
+  .replace(/^\s*\/\/.*$/gm, '')
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .replace(/<%#[\s\S]*?%>/g, '');
+
+// Every referenced URL, with the files that refer to it
+const findReferences = () => {
+  const references = new Map();
+
+  SOURCES.forEach(source => {
+    listFiles(path.join(ROOT, source.dir), source.pattern, source.skip).forEach(filePath => {
+      const text = stripComments(fs.readFileSync(filePath, 'utf8'));
+      (text.match(URL_PATTERN) || []).forEach(url => {
+        if (url.startsWith(GENERATED_PREFIX)) return;
+        if (!references.has(url)) references.set(url, new Set());
+        references.get(url).add(relative(filePath));
+      });
+    });
+  });
+
+  return references;
+};
+
+const mountFor = (url) => MOUNTS.find(mount => url.startsWith(mount.prefix));
+
+const urlToFile = (url) => {
+  const mount = mountFor(url);
+  return path.join(mount.dir, ...url.slice(mount.prefix.length).split('/'));
+};
+
+// Every file the site serves, as URLs; generated variants are left out
+const listServed = () => MOUNTS.flatMap(mount => {
+  return listFiles(mount.dir, /./).map(filePath => {
+    return `${mount.prefix}${path.relative(mount.dir, filePath).split(path.sep).join('/')}`;
+  });
+}).filter(url => !url.startsWith(GENERATED_PREFIX));
+
+// ==========================================================================
+// Check
+// ==========================================================================
+
+/**
+ * What browsers actually download: for an image with AVIF and WebP
+ * variants (lib/images.js) that is the largest WebP variant, which is
+ * also the largest file any modern browser gets.
+ */
+const servedSize = (url) => {
+  const image = getImage(url);
+  if (image && image.variants.webp) {
+    const largest = image.variants.webp[image.variants.webp.length - 1];
+    return { bytes: fs.statSync(toFile(largest.src)).size, variant: largest.src };
+  }
+  return { bytes: fs.statSync(urlToFile(url)).size, variant: null };
+};
+
+/**
+ * The full report. ok is false when a referenced file is missing or a
+ * file is over its size limit; unreferenced files are only listed, since
+ * some (the Open Graph image, the favicon) are fetched by other sites.
+ */
+const checkAssets = () => {
+  const references = findReferences();
+  const served = listServed();
+
+  const missing = [...references.entries()]
+    .filter(([url]) => !fs.existsSync(urlToFile(url)))
+    .map(([url, files]) => ({ url, referencedIn: [...files].sort() }))
+    .sort((a, b) => a.url.localeCompare(b.url));
+
+  const oversized = served.flatMap(url => {
+    const limit = LIMITS.find(entry => entry.pattern.test(url));
+    if (!limit) return [];
+    const { bytes, variant } = servedSize(url);
+    return bytes > limit.bytes ? [{ url, bytes, limit: limit.bytes, variant }] : [];
+  }).sort((a, b) => b.bytes - a.bytes);
+
+  const unreferenced = served
+    .filter(url => !references.has(url))
+    .map(url => ({ url, bytes: fs.statSync(urlToFile(url)).size }))
+    .sort((a, b) => a.url.localeCompare(b.url));
+
+  return {
+    checkedAt: new Date().toISOString(),
+    ok: missing.length === 0 && oversized.length === 0,
+    summary: {
+      referenced: references.size,
+      served: served.length,
+      missing: missing.length,
+      oversized: oversized.length,
+      unreferenced: unreferenced.length
+    },
+    missing,
+    oversized,
+    unreferenced
+  };
+};
+
+module.exports = {
+  checkAssets
+};
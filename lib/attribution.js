@@ -0,0 +1,197 @@
+/**
+ * Lead Attribution
+ * Where leads come from. The browser records the first and latest
+ * marketing "touch" (UTM parameters, referrer and landing page) and sends
+ * them with the contact form, chat and bookings; they are cleaned here and
+ * stored on the lead.
+ * Partners get referral links (/r/:code) from content/partners.json, and
+ * the report counts leads and won deals by source, channel or partner.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createCollection } = require('./store');
+const { cleanPath, dayOf } = require('./analytics');
+
+const PARTNERS_FILE = path.join(__dirname, '..', 'content', 'partners.json');
+const MODELS = ['first', 'last'];
+const GROUPS = ['source', 'channel', 'campaign', 'partner'];
+
+const partners = JSON.parse(fs.readFileSync(PARTNERS_FILE, 'utf8'));
+const referralClicks = createCollection('referral-clicks');
+
+// ==========================================================================
+// Partners
+// ==========================================================================
+
+const getPartner = (code) => {
+  if (typeof code !== 'string') return null;
+  return partners.find(partner => partner.code === code.trim().toLowerCase()) || null;
+};
+
+const recordReferralClick = (partner) => {
+  const now = new Date().toISOString();
+  const current = referralClicks.get(partner.code);
+
+  if (current) {
+    return referralClicks.update(partner.code, { clicks: current.clicks + 1, lastClickAt: now });
+  }
+  return referralClicks.insert({ id: partner.code, clicks: 1, firstClickAt: now, lastClickAt: now });
+};
+
+// Where a referral link lands, tagged so the browser records the touch
+const referralLanding = (partner) => {
+  const params = new URLSearchParams({
+    utm_source: partner.code,
+    utm_medium: 'referral',
+    utm_campaign: 'partner',
+    ref: partner.code
+  });
+  return `${partner.landingPage || '/'}?${params}`;
+};
+
+// ==========================================================================
+// Touches
+// ==========================================================================
+
+const SEARCH_ENGINES = /(^|\.)(google|bing|yahoo|duckduckgo|ecosia|baidu|yandex)\./;
+const SOCIAL_NETWORKS = /(^|\.)(facebook|fb|messenger|instagram|t|twitter|x|linkedin|tiktok|youtube|reddit|pinterest)\.(com|co|me)$/;
+const PAID_MEDIUMS = ['cpc', 'ppc', 'paid', 'paid-social', 'paidsocial', 'display', 'ads'];
+
+const cleanString = (value, max = 100) => {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().slice(0, max);
+  return text || null;
+};
+
+const cleanHost = (value) => {
+  const host = cleanString(value, 200);
+  return host && /^[a-z0-9.-]+$/i.test(host) ? host.toLowerCase().replace(/^www\./, '') : null;
+};
+
+// Paid, partner, email, social, organic search, referral or direct
+const channelOf = (touch) => {
+  const medium = (touch.medium || '').toLowerCase();
+
+  if (touch.partner) return 'partner';
+  if (PAID_MEDIUMS.includes(medium)) return 'paid';
+  if (medium === 'email') return 'email';
+  if (medium === 'social' || (!touch.medium && touch.referrer && SOCIAL_NETWORKS.test(touch.referrer))) return 'social';
+  if (medium === 'organic' || (!touch.medium && touch.referrer && SEARCH_ENGINES.test(touch.referrer))) return 'organic';
+  if (touch.source || touch.referrer) return 'referral';
+  return 'direct';
+};
+
+const cleanTouch = (touch) => {
+  if (!touch || typeof touch !== 'object') return null;
+
+  const partner = getPartner(touch.ref);
+  const cleaned = {
+    source: cleanString(touch.source),
+    medium: cleanString(touch.medium),
+    campaign: cleanString(touch.campaign),
+    term: cleanString(touch.term),
+    content: cleanString(touch.content),
+    referrer: cleanHost(touch.referrer),
+    landingPage: cleanPath(touch.landingPage),
+    partner: partner ? partner.code : null,
+    at: typeof touch.at === 'string' && !Number.isNaN(Date.parse(touch.at)) ? new Date(touch.at).toISOString() : null
+  };
+
+  return { ...cleaned, channel: channelOf(cleaned) };
+};
+
+/**
+ * The { firstTouch, lastTouch } pair sent with a lead, cleaned for
+ * storage. Unknown partner codes are dropped so nobody can be credited
+ * by a made-up link. Returns null when nothing usable was sent.
+ */
+const cleanAttribution = (attribution) => {
+  if (!attribution || typeof attribution !== 'object') return null;
+
+  const firstTouch = cleanTouch(attribution.firstTouch);
+  const lastTouch = cleanTouch(attribution.lastTouch) || firstTouch;
+  if (!firstTouch && !lastTouch) return null;
+
+  return { firstTouch: firstTouch || lastTouch, lastTouch };
+};
+
+// ==========================================================================
+// Reports
+// ==========================================================================
+
+const groupKey = (touch, group) => {
+  if (!touch) return '(unknown)';
+
+  switch (group) {
+    case 'channel':
+      return touch.channel;
+    case 'campaign':
+      return touch.campaign || '(none)';
+    case 'partner': {
+      const partner = getPartner(touch.partner);
+      return partner ? partner.name : '(none)';
+    }
+    default:
+      return touch.source || touch.referrer || '(direct)';
+  }
+};
+
+/**
+ * Leads and won deals grouped by source (or channel, campaign or partner),
+ * credited to the first or last touch. Leads from before attribution was
+ * recorded, or with browser storage blocked, count as "(unknown)". from and
+ * to are Manila dates, like the analytics report.
+ */
+const getSourceReport = (leads, { model, group, from, to } = {}) => {
+  const touchModel = MODELS.includes(model) ? model : 'last';
+  const groupBy = GROUPS.includes(group) ? group : 'source';
+  const rows = new Map();
+
+  leads
+    .filter(lead => !from || dayOf(Date.parse(lead.receivedAt)) >= from)
+    .filter(lead => !to || dayOf(Date.parse(lead.receivedAt)) <= to)
+    .forEach(lead => {
+      const touch = lead.attribution ? lead.attribution[`${touchModel}Touch`] : null;
+      const key = groupKey(touch, groupBy);
+      const row = rows.get(key) || { key, leads: 0, won: 0, lost: 0, open: 0 };
+
+      row.leads += 1;
+      if (lead.status === 'won') row.won += 1;
+      else if (lead.status === 'lost') row.lost += 1;
+      else row.open += 1;
+      rows.set(key, row);
+    });
+
+  const result = [...rows.values()]
+    .map(row => ({ ...row, winRate: row.leads ? Math.round((row.won / row.leads) * 1000) / 10 : null }))
+    .sort((a, b) => b.won - a.won || b.leads - a.leads);
+
+  return {
+    model: touchModel,
+    group: groupBy,
+    totals: {
+      leads: result.reduce((sum, row) => sum + row.leads, 0),
+      won: result.reduce((sum, row) => sum + row.won, 0)
+    },
+    rows: result,
+    partners: partners.map(partner => {
+      const clicks = referralClicks.get(partner.code);
+      return {
+        code: partner.code,
+        name: partner.name,
+        link: `/r/${partner.code}`,
+        clicks: clicks ? clicks.clicks : 0,
+        lastClickAt: clicks ? clicks.lastClickAt : null
+      };
+    })
+  };
+};
+
+module.exports = {
+  getPartner,
+  recordReferralClick,
+  referralLanding,
+  cleanAttribution,
+  getSourceReport
+};
@@ -0,0 +1,186 @@
+/**
+ * Admin Authentication
+ * Password login with in-memory sessions for the /admin dashboard, plus a
+ * bearer token (ADMIN_API_TOKEN) for scripted access to admin endpoints and
+ * expiring signed links for sharing single documents with clients
+ */
+
+const crypto = require('crypto');
+const { config } = require('./config');
+
+const SESSION_COOKIE = 'mnl_admin';
+const SESSION_TTL_MS = config.admin.sessionTtlMs;
+
+// Failed logins allowed per IP inside the lockout window
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Signed links made with a random secret stop working when the server restarts
+const LINK_SECRET = config.signedLinks.secret || crypto.randomBytes(32).toString('hex');
+const LINK_TTL_MS = config.signedLinks.ttlMs;
+
+if (!config.signedLinks.secret) {
+  console.warn('SIGNED_LINK_SECRET is not set; signed document links will expire on restart');
+}
+
+const sessions = new Map();
+const failedLogins = new Map();
+
+// Compare digests so the check takes the same time for any input length
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+// ==========================================================================
+// Login & Sessions
+// ==========================================================================
+
+const isLoginEnabled = () => Boolean(config.admin.password);
+
+const isLoginLocked = (ip) => {
+  const record = failedLogins.get(ip);
+  if (!record) return false;
+
+  if (Date.now() - record.firstAt > LOGIN_LOCKOUT_MS) {
+    failedLogins.delete(ip);
+    return false;
+  }
+
+  return record.count >= MAX_LOGIN_ATTEMPTS;
+};
+
+const checkPassword = (ip, password) => {
+  const expected = config.admin.password;
+  const valid = Boolean(expected && password && safeEqual(password, expected));
+
+  if (valid) {
+    failedLogins.delete(ip);
+  } else {
+    const record = failedLogins.get(ip) || { count: 0, firstAt: Date.now() };
+    record.count++;
+    failedLogins.set(ip, record);
+  }
+
+  return valid;
+};
+
+const startSession = (res) => {
+  const id = crypto.randomBytes(32).toString('hex');
+  sessions.set(id, { createdAt: Date.now(), expiresAt: Date.now() + SESSION_TTL_MS });
+
+  res.cookie(SESSION_COOKIE, id, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: config.isProduction,
+    maxAge: SESSION_TTL_MS,
+    path: '/'
+  });
+};
+
+const getSession = (req) => {
+  const id = req.cookies && req.cookies[SESSION_COOKIE];
+  const session = id && sessions.get(id);
+  if (!session) return null;
+
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(id);
+    return null;
+  }
+
+  return session;
+};
+
+const endSession = (req, res) => {
+  const id = req.cookies && req.cookies[SESSION_COOKIE];
+  if (id) sessions.delete(id);
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+};
+
+// Drop expired sessions so the map can't grow without bound
+setInterval(() => {
+  const now = Date.now();
+  sessions.forEach((session, id) => {
+    if (session.expiresAt <= now) sessions.delete(id);
+  });
+}, 60 * 60 * 1000).unref();
+
+// ==========================================================================
+// Signed Links
+// ==========================================================================
+
+const signature = (pathname, expires) => {
+  return crypto.createHmac('sha256', LINK_SECRET).update(`${pathname}:${expires}`).digest('base64url');
+};
+
+// Returns a path with ?expires=&signature= that grants access to that path only
+const signPath = (pathname, ttlMs = LINK_TTL_MS) => {
+  const expires = Date.now() + ttlMs;
+  return {
+    path: `${pathname}?expires=${expires}&signature=${signature(pathname, expires)}`,
+    expiresAt: new Date(expires).toISOString()
+  };
+};
+
+const hasValidSignature = (req) => {
+  const expires = Number(req.query.expires);
+  const provided = req.query.signature;
+
+  if (!expires || expires <= Date.now() || typeof provided !== 'string') return false;
+  return safeEqual(provided, signature(req.originalUrl.split('?')[0], expires));
+};
+
+// ==========================================================================
+// Middleware
+// ==========================================================================
+
+const hasValidToken = (req) => {
+  const token = config.admin.apiToken;
+  const header = req.get('authorization') || '';
+  const [scheme, value] = header.split(' ');
+
+  return Boolean(token && scheme === 'Bearer' && value && safeEqual(value, token));
+};
+
+const isAdmin = (req) => Boolean(getSession(req)) || hasValidToken(req);
+
+// For JSON endpoints
+const requireAdmin = (req, res, next) => {
+  if (isAdmin(req)) return next();
+
+  res.status(401).json({
+    success: false,
+    error: 'Unauthorized'
+  });
+};
+
+// For dashboard pages, which send visitors to the login form instead
+const requireAdminPage = (req, res, next) => {
+  if (isAdmin(req)) return next();
+  res.redirect('/admin/login');
+};
+
+// For documents shared with clients through a signed link
+const requireAdminOrSignature = (req, res, next) => {
+  if (isAdmin(req) || hasValidSignature(req)) return next();
+
+  res.status(401).json({
+    success: false,
+    error: 'This link is invalid or has expired'
+  });
+};
+
+module.exports = {
+  safeEqual,
+  signPath,
+  isLoginEnabled,
+  isLoginLocked,
+  checkPassword,
+  startSession,
+  endSession,
+  isAdmin,
+  requireAdmin,
+  requireAdminPage,
+  requireAdminOrSignature
+};
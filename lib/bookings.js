@@ -0,0 +1,240 @@
+/**
+ * Consult Bookings
+ * Weekly availability in Manila time, blackout dates, slot length and
+ * buffers from content/availability.json. Checking a slot and saving the
+ * booking happen in the same synchronous step, so two requests can never
+ * take the same time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createId, createCollection } = require('./store');
+const { config } = require('./config');
+
+const SETTINGS_FILE = path.join(__dirname, '..', 'content', 'availability.json');
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const MANILA_OFFSET_MS = config.business.utcOffsetMinutes * MINUTE;
+
+const settings = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
+const bookings = createCollection('bookings');
+
+const getAvailabilitySettings = () => settings;
+
+// ==========================================================================
+// Manila Time Helpers
+// ==========================================================================
+
+// "2026-10-21" for the Manila calendar day containing the instant
+const manilaDate = (time) => new Date(time + MANILA_OFFSET_MS).toISOString().slice(0, 10);
+
+// Instant for a Manila wall-clock time such as ("2026-10-21", "09:30")
+const manilaTime = (date, clock) => Date.parse(`${date}T${clock}:00.000Z`) - MANILA_OFFSET_MS;
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00.000Z`) + days * DAY).toISOString().slice(0, 10);
+
+const weekdayOf = (date) => WEEKDAYS[new Date(`${date}T00:00:00.000Z`).getUTCDay()];
+
+const formatSlot = (start) => {
+  return new Date(start).toLocaleString(config.business.locale, {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: settings.timezone
+  });
+};
+
+// ==========================================================================
+// Availability
+// ==========================================================================
+
+const activeBookings = () => bookings.all().filter(booking => booking.status === 'confirmed');
+
+// The last Manila date the picker offers; later slots can't be booked either
+const lastBookableDate = (now) => addDays(manilaDate(now), settings.horizonDays - 1);
+
+// Bookings block their own time plus the buffer on either side
+const overlapsBooking = (start, end, existing) => {
+  const buffer = settings.bufferMinutes * MINUTE;
+  return existing.some(booking => {
+    return start < Date.parse(booking.end) + buffer && end > Date.parse(booking.start) - buffer;
+  });
+};
+
+const slotsForDate = (date, { now, existing }) => {
+  if (date > lastBookableDate(now) || settings.blackoutDates.includes(date)) return [];
+
+  const length = settings.slotMinutes * MINUTE;
+  const step = length + settings.bufferMinutes * MINUTE;
+  const earliest = now + settings.minNoticeHours * 60 * MINUTE;
+  const slots = [];
+
+  (settings.weekly[weekdayOf(date)] || []).forEach(([from, to]) => {
+    const windowEnd = manilaTime(date, to);
+
+    for (let start = manilaTime(date, from); start + length <= windowEnd; start += step) {
+      if (start < earliest || overlapsBooking(start, start + length, existing)) continue;
+
+      slots.push({
+        start: new Date(start).toISOString(),
+        end: new Date(start + length).toISOString(),
+        label: new Date(start + MANILA_OFFSET_MS).toISOString().slice(11, 16)
+      });
+    }
+  });
+
+  return slots;
+};
+
+// Days from "from" (a Manila date) up to the booking horizon, with open slots
+const getAvailability = ({ from, days, now = Date.now() } = {}) => {
+  const today = manilaDate(now);
+  const lastDay = lastBookableDate(now);
+  const existing = activeBookings();
+
+  let date = from && /^\d{4}-\d{2}-\d{2}$/.test(from) && from > today ? from : today;
+  const count = Math.min(Number(days) || settings.horizonDays, settings.horizonDays);
+  const result = [];
+
+  for (let i = 0; i < count && date <= lastDay; i++, date = addDays(date, 1)) {
+    result.push({
+      date,
+      weekday: weekdayOf(date),
+      slots: slotsForDate(date, { now, existing })
+    });
+  }
+
+  return {
+    timezone: settings.timezone,
+    slotMinutes: settings.slotMinutes,
+    days: result
+  };
+};
+
+// Returns an error when the start time is not an open slot right now
+const checkSlot = (start, now = Date.now()) => {
+  const time = Date.parse(start);
+  if (typeof start !== 'string' || Number.isNaN(time)) {
+    return { field: 'booking', code: 'invalid', message: 'Please choose a time for your call' };
+  }
+
+  const date = manilaDate(time);
+  const open = slotsForDate(date, { now, existing: activeBookings() });
+  if (open.some(slot => Date.parse(slot.start) === time)) return null;
+
+  const taken = overlapsBooking(time, time + settings.slotMinutes * MINUTE, activeBookings());
+  return taken
+    ? { field: 'booking', code: 'slot_taken', message: 'Sorry, that time was just booked. Please pick another slot.' }
+    : { field: 'booking', code: 'unavailable', message: 'That time is not available. Please pick another slot.' };
+};
+
+// ==========================================================================
+// Bookings
+// ==========================================================================
+
+const listBookings = ({ status, from, leadId } = {}) => {
+  return bookings.all()
+    .filter(booking => !status || booking.status === status)
+    .filter(booking => !leadId || booking.leadId === leadId)
+    .filter(booking => !from || booking.start >= from)
+    .sort((a, b) => a.start.localeCompare(b.start));
+};
+
+const getBooking = (id) => bookings.get(id);
+
+// Re-checks the slot immediately before saving; returns { errors } on conflict
+const createBooking = ({ start, leadId, name, email }) => {
+  const error = checkSlot(start);
+  if (error) return { errors: [error] };
+
+  const startTime = Date.parse(start);
+  const booking = bookings.insert({
+    id: createId('booking'),
+    status: 'confirmed',
+    leadId,
+    name,
+    email,
+    start: new Date(startTime).toISOString(),
+    end: new Date(startTime + settings.slotMinutes * MINUTE).toISOString(),
+    timezone: settings.timezone,
+    createdAt: new Date().toISOString()
+  });
+
+  return { booking, errors: [] };
+};
+
+const cancelBooking = (id) => {
+  const booking = bookings.get(id);
+  if (!booking) return null;
+  if (booking.status === 'cancelled') return booking;
+
+  return bookings.update(id, {
+    status: 'cancelled',
+    cancelledAt: new Date().toISOString()
+  });
+};
+
+// ==========================================================================
+// Calendar File
+// ==========================================================================
+
+const icsDate = (iso) => iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const icsText = (value) => String(value).replace(/[\\;,]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+const bookingIcs = (booking) => {
+  const meeting = settings.meeting;
+  const cancelled = booking.status === 'cancelled';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//MNL-AI//Consult Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${cancelled ? 'CANCEL' : 'REQUEST'}`,
+    'BEGIN:VEVENT',
+    `UID:${booking.id}@mnl-ai.com`,
+    `DTSTAMP:${icsDate(booking.createdAt)}`,
+    `DTSTART:${icsDate(booking.start)}`,
+    `DTEND:${icsDate(booking.end)}`,
+    `SUMMARY:${icsText(meeting.title)}`,
+    `DESCRIPTION:${icsText(meeting.description)}`,
+    `LOCATION:${icsText(meeting.location)}`,
+    `ORGANIZER;CN=${icsText(meeting.organizer.name)}:mailto:${meeting.organizer.email}`,
+    `ATTENDEE;CN=${icsText(booking.name)};RSVP=FALSE:mailto:${booking.email}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  getAvailabilitySettings,
+  getAvailability,
+  checkSlot,
+  formatSlot,
+  listBookings,
+  getBooking,
+  createBooking,
+  cancelBooking,
+  bookingIcs
+};
@@ -0,0 +1,67 @@
+/**
+ * Case Studies
+ * Client stories for the /case-studies/:id pages, kept in
+ * content/case-studies.json. Each one names the service it used and can
+ * quote a testimonial from the home page content.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { translateEntry } = require('./i18n');
+const { getPageContent } = require('./page-content');
+
+const CASE_STUDIES_FILE = path.join(__dirname, '..', 'content', 'case-studies.json');
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Refuse to start on a broken file rather than render half a page
+const loadCaseStudies = () => {
+  const { caseStudies } = JSON.parse(fs.readFileSync(CASE_STUDIES_FILE, 'utf8'));
+  const testimonialIds = getPageContent().testimonials.map(testimonial => testimonial.id);
+  const problems = [];
+
+  caseStudies.forEach(caseStudy => {
+    if (!ID_PATTERN.test(caseStudy.id || '')) problems.push(`"${caseStudy.id}": id must be lowercase letters, numbers and dashes`);
+    ['client', 'title', 'summary'].forEach(field => {
+      if (!caseStudy[field]) problems.push(`${caseStudy.id}: ${field} is required`);
+    });
+    if (caseStudy.testimonial && !testimonialIds.includes(caseStudy.testimonial)) {
+      problems.push(`${caseStudy.id}: no testimonial "${caseStudy.testimonial}" in page.json`);
+    }
+  });
+
+  if (new Set(caseStudies.map(caseStudy => caseStudy.id)).size !== caseStudies.length) {
+    problems.push('case study ids must be unique');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${path.basename(CASE_STUDIES_FILE)}:\n  ${problems.join('\n  ')}`);
+  }
+
+  return caseStudies;
+};
+
+const caseStudies = loadCaseStudies();
+
+const listCaseStudies = ({ locale } = {}) => caseStudies.map(caseStudy => translateEntry(caseStudy, locale));
+
+// The case study with its testimonial filled in; null when it doesn't exist
+const getCaseStudy = (id, { locale } = {}) => {
+  const caseStudy = caseStudies.find(entry => entry.id === id);
+  if (!caseStudy) return null;
+
+  const localized = translateEntry(caseStudy, locale);
+  const testimonial = getPageContent({ locale }).testimonials.find(entry => entry.id === caseStudy.testimonial);
+
+  return {
+    ...localized,
+    challenge: localized.challenge || [],
+    solution: localized.solution || [],
+    results: localized.results || [],
+    testimonial: testimonial || null
+  };
+};
+
+module.exports = {
+  listCaseStudies,
+  getCaseStudy
+};
@@ -0,0 +1,192 @@
+/**
+ * Chat Answer Engines
+ * Answer free-form visitor questions for the chat assistant. CHAT_ENGINE
+ * picks the engine: "rules" (default) matches the FAQ and services catalog
+ * with no outside calls; "llm" sends the question to an OpenAI-compatible
+ * chat completions API, or to a local stub when CHAT_LLM_PROVIDER=stub.
+ * Every engine resolves answer(question, knowledge) to { text, source } or
+ * null when it has nothing useful to say. knowledge holds the FAQs and
+ * priced services, and t, the translator for the conversation's language.
+ */
+
+const { formatPrice } = require('./services');
+const { DEFAULT_LOCALE, getTranslator } = require('./i18n');
+const { config } = require('./config');
+
+const LLM_TIMEOUT_MS = 8000;
+
+// ==========================================================================
+// Rule Engine
+// ==========================================================================
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'do', 'does', 'you', 'your', 'i', 'me', 'my', 'we', 'to', 'of', 'for',
+  'and', 'or', 'in', 'on', 'it', 'can', 'what', 'how', 'with', 'be', 'have', 'ba', 'po', 'ang', 'ng',
+  'sa', 'na', 'ko', 'mo', 'kayo', 'ninyo', 'ito', 'yung', 'ano'
+]);
+
+const PRICE_WORDS = ['price', 'prices', 'pricing', 'cost', 'costs', 'how much', 'rate', 'rates', 'magkano', 'presyo', 'bayad'];
+
+// Words visitors use for each service besides its name
+const SERVICE_ALIASES = {
+  'website-creation': ['website', 'site', 'web', 'landing page', 'webpage'],
+  'ai-chatbots': ['chatbot', 'chat bot', 'bot', 'messenger', 'ai'],
+  'business-automation': ['automation', 'automate', 'workflow', 'workflows'],
+  'marketing-assets': ['logo', 'branding', 'business card', 'business cards', 'marketing']
+};
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9₱\s-]/g, ' ').replace(/\s+/g, ' ').trim();
+
+const tokens = (text) => normalize(text).split(' ').filter(word => word && !STOP_WORDS.has(word));
+
+// Phrases match on word boundaries so "ai" doesn't match "email"
+const mentions = (text, phrase) => ` ${text} `.includes(` ${normalize(phrase)} `);
+
+const scoreFaq = (question, faq) => {
+  const text = normalize(question);
+  const questionWords = new Set(tokens(faq.question));
+
+  const keywordScore = (faq.keywords || []).filter(keyword => mentions(text, keyword)).length * 3;
+  const overlapScore = tokens(question).filter(word => questionWords.has(word)).length;
+  return keywordScore + overlapScore;
+};
+
+const describePrice = (service, t = getTranslator(DEFAULT_LOCALE)) => {
+  if (service.effectivePrice === null) {
+    return t('chat.priceCustom', { service: service.name });
+  }
+
+  const price = formatPrice(service.effectivePrice, service.currency);
+  if (service.promotion) {
+    return t('chat.pricePromotion', {
+      service: service.name,
+      price,
+      regular: formatPrice(service.regularPrice, service.currency),
+      promotion: service.promotion.label
+    });
+  }
+
+  return t('chat.priceFrom', { service: service.name, price });
+};
+
+const answerFromServices = (question, services, t) => {
+  const text = normalize(question);
+  const askingPrice = PRICE_WORDS.some(word => mentions(text, word));
+  const matched = services.filter(service => {
+    const aliases = SERVICE_ALIASES[service.id] || [];
+    return mentions(text, service.name) || aliases.some(alias => mentions(text, alias));
+  });
+
+  if (matched.length > 0) {
+    const reply = matched.map(service => askingPrice ? describePrice(service, t) : `${service.name}: ${service.description} ${describePrice(service, t)}`).join(' ');
+    return { text: reply, source: 'services', score: askingPrice ? 4 : 2 };
+  }
+
+  if (askingPrice) {
+    return { text: services.map(service => describePrice(service, t)).join(' '), source: 'services', score: 3 };
+  }
+
+  return null;
+};
+
+const createRuleEngine = () => ({
+  name: 'rules',
+
+  async answer(question, { faqs, services, t }) {
+    const candidates = faqs.map(faq => ({ text: faq.answer, source: `faq:${faq.id}`, score: scoreFaq(question, faq) }));
+
+    const serviceAnswer = answerFromServices(question, services, t);
+    if (serviceAnswer) candidates.push(serviceAnswer);
+
+    const best = candidates.sort((a, b) => b.score - a.score)[0];
+    if (!best || best.score < 2) return null;
+
+    return { text: best.text, source: best.source };
+  }
+});
+
+// ==========================================================================
+// LLM Adapter
+// ==========================================================================
+
+// Keeps the model to what the business actually offers
+const systemPrompt = ({ faqs, services }) => [
+  'You are the website assistant for MNL-AI, which builds websites, chatbots, automations and marketing assets for Filipino small businesses.',
+  'Answer in two or three friendly sentences, in the language the visitor used (English or Filipino).',
+  'Only use the facts below. If they do not cover the question, say that Tristan will follow up.',
+  '',
+  'Services:',
+  ...services.map(service => `- ${service.name}: ${service.description} ${describePrice(service)}`),
+  '',
+  'FAQ:',
+  ...faqs.map(faq => `- Q: ${faq.question} A: ${faq.answer}`)
+].join('\n');
+
+const createLlmEngine = ({ provider, url, apiKey, model }) => ({
+  name: `llm:${provider}`,
+
+  async answer(question, knowledge) {
+    // Local development: no network, predictable output
+    if (provider === 'stub') {
+      return { text: `(stub) You asked: "${question}"`, source: 'llm:stub' };
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        model,
+        temperature: 0.2,
+        max_tokens: 250,
+        messages: [
+          { role: 'system', content: systemPrompt(knowledge) },
+          { role: 'user', content: question }
+        ]
+      }),
+      signal: AbortSignal.timeout(LLM_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`LLM provider answered ${response.status}`);
+    }
+
+    const body = await response.json();
+    const text = body.choices && body.choices[0] && body.choices[0].message && body.choices[0].message.content;
+    return text ? { text: text.trim(), source: `llm:${provider}` } : null;
+  }
+});
+
+// The rule engine always backs up the LLM, so an outage only costs nuance
+const withFallback = (primary, fallback) => ({
+  name: primary.name,
+
+  async answer(question, knowledge) {
+    try {
+      const answer = await primary.answer(question, knowledge);
+      if (answer) return answer;
+    } catch (error) {
+      console.error(`Chat engine ${primary.name} failed:`, error.message);
+    }
+    return fallback.answer(question, knowledge);
+  }
+});
+
+const createAnswerEngine = () => {
+  const rules = createRuleEngine();
+
+  // lib/config.js has already checked that the LLM settings are complete
+  if (config.chat.engine === 'llm') {
+    return withFallback(createLlmEngine(config.chat.llm), rules);
+  }
+
+  return rules;
+};
+
+module.exports = {
+  createRuleEngine,
+  createLlmEngine,
+  createAnswerEngine
+};
@@ -0,0 +1,262 @@
+/**
+ * Chat Assistant
+ * Scripted qualification flow (business type, budget, timeline, service,
+ * then name and email) that ends by creating a lead with the transcript.
+ * Questions asked along the way go to the answer engine, and the flow
+ * picks up where it left off. Conversations live in memory until handoff.
+ * The script is written in English with optional translations per locale,
+ * like the FAQ, and each turn is answered in the request's language.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLead } = require('./leads');
+const { listFaqs } = require('./faq');
+const { listPricedServices } = require('./promotions');
+const { createAnswerEngine } = require('./chat-engines');
+const { settings: spamSettings, checkSubmission } = require('./spam');
+const {
+  LOCALES,
+  DEFAULT_LOCALE,
+  getTranslator,
+  translateEntry: translate,
+  localizeErrors,
+  localizeRejection
+} = require('./i18n');
+const contactSchema = require('../shared/contact-schema');
+
+const SCRIPT_FILE = path.join(__dirname, '..', 'content', 'chat.json');
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_MESSAGES = 80;
+
+const script = JSON.parse(fs.readFileSync(SCRIPT_FILE, 'utf8'));
+
+// The whole script per locale; steps keep their order, so a conversation
+// can change language between turns
+const scripts = Object.fromEntries(LOCALES.map(locale => {
+  const { steps, ...lines } = translate(script, locale);
+  return [locale, { ...lines, steps: steps.map(step => translate(step, locale)) }];
+}));
+const engine = createAnswerEngine();
+const sessions = new Map();
+
+// Drop abandoned conversations
+setInterval(() => {
+  const now = Date.now();
+  sessions.forEach((session, id) => {
+    if (session.lastActiveAt + SESSION_TTL_MS <= now) sessions.delete(id);
+  });
+}, 10 * 60 * 1000).unref();
+
+// ==========================================================================
+// Conversation Helpers
+// ==========================================================================
+
+const QUESTION_START = /^(what|how|when|where|why|who|which|do|does|can|could|is|are|will|magkano|paano|ano|saan|kailan|pwede|puwede|meron|may)\b/i;
+
+// Free-text answers can start like questions ("May Santos", "Will's
+// Bakery"), so on those steps only a trailing "?" counts
+const FREE_TEXT_STEPS = ['businessType', 'name', 'email'];
+
+const isQuestion = (text, step) => {
+  return text.endsWith('?') || (!FREE_TEXT_STEPS.includes(step.id) && QUESTION_START.test(text));
+};
+
+const getStep = (session, lines) => lines.steps[session.stepIndex] || null;
+
+const quickRepliesFor = (step, lines) => {
+  if (!step) return [];
+
+  if (step.options === 'services') {
+    return [
+      ...listPricedServices().map(service => ({ label: service.name, value: service.id })),
+      { label: lines.notSure, value: '' }
+    ];
+  }
+
+  return (step.quickReplies || []).map(label => ({ label, value: label }));
+};
+
+const say = (session, text) => {
+  session.transcript.push({ role: 'assistant', text, at: new Date().toISOString() });
+  return text;
+};
+
+const hear = (session, text) => {
+  session.transcript.push({ role: 'visitor', text, at: new Date().toISOString() });
+};
+
+// Steps whose answers end up as lead fields, checked like the contact form
+const SCHEMA_FIELDS = { businessType: 'business', name: 'name', email: 'email' };
+
+// Returns an error message, in the translator's language, when the answer
+// can't be used for the step
+const recordAnswer = (session, step, text, choice, t) => {
+  if (step.options === 'services') {
+    const services = listPricedServices();
+    const value = choice !== undefined ? choice : text;
+    const service = services.find(s => s.id === value || s.name.toLowerCase() === String(value).toLowerCase());
+    session.answers.service = service ? service.id : null;
+    session.answers.serviceLabel = service ? service.name : text;
+    return null;
+  }
+
+  const field = SCHEMA_FIELDS[step.id];
+  if (field) {
+    const value = contactSchema.normalize({ [field]: text })[field];
+    const error = contactSchema.validateField(field, value, {});
+    if (error) return localizeErrors([error], t, contactSchema.fields)[0].message;
+    session.answers[step.id] = value;
+    return null;
+  }
+
+  session.answers[step.id] = text;
+  return null;
+};
+
+// The lead the conversation would create, as createLead() takes it
+const leadInput = (session) => {
+  const { answers } = session;
+  const summary = [
+    'Qualified by the website chat assistant.',
+    `Business type: ${answers.businessType}`,
+    `Budget: ${answers.budget}`,
+    `Timeline: ${answers.timeline}`,
+    `Interested in: ${answers.serviceLabel || 'Not sure yet'}`
+  ].join('\n');
+
+  return {
+    name: answers.name,
+    email: answers.email,
+    business: answers.businessType,
+    service: answers.service || null,
+    message: summary,
+    locale: session.locale,
+    attribution: session.attribution,
+    qualification: {
+      businessType: answers.businessType,
+      budget: answers.budget,
+      timeline: answers.timeline,
+      service: answers.service || null
+    },
+    transcript: session.transcript
+  };
+};
+
+const handoff = (session) => {
+  const lead = createLead(leadInput(session), 'chat');
+  session.leadId = lead.id;
+  return lead;
+};
+
+// ==========================================================================
+// Message Handling
+// ==========================================================================
+
+const startSession = () => {
+  const now = Date.now();
+  const session = {
+    id: crypto.randomBytes(16).toString('base64url'),
+    stepIndex: 0,
+    answers: {},
+    transcript: [],
+    leadId: null,
+    locale: DEFAULT_LOCALE,
+    attribution: null,
+    createdAt: now,
+    lastActiveAt: now
+  };
+  sessions.set(session.id, session);
+  return session;
+};
+
+const knowledge = (locale) => ({
+  faqs: listFaqs({ locale }),
+  services: listPricedServices(),
+  t: getTranslator(locale)
+});
+
+/**
+ * Handles one visitor turn. Pass no message to start (or resume) a
+ * conversation; pass choice with the value of a clicked quick reply,
+ * locale for the language of the replies (English by default) and the
+ * visitor's cleaned attribution (lib/attribution.js) for the lead.
+ * Resolves to { sessionId, messages, quickReplies, step, lead, rejection }
+ * where lead is set on the turn that completed the handoff, and rejection
+ * when the contact form's spam checks (lib/spam.js) stopped it; the
+ * conversation then stays on the last step.
+ */
+const handleMessage = async ({ sessionId, message, choice, locale, attribution }) => {
+  let session = sessionId ? sessions.get(sessionId) : null;
+  const lines = scripts[locale] || scripts[DEFAULT_LOCALE];
+  const t = getTranslator(locale);
+  const messages = [];
+
+  if (!session) {
+    session = startSession();
+    messages.push(say(session, lines.greeting));
+    messages.push(say(session, getStep(session, lines).prompt));
+  }
+
+  // The lead's emails go out in the language the conversation ended in
+  session.locale = scripts[locale] ? locale : DEFAULT_LOCALE;
+  if (attribution) session.attribution = attribution;
+  session.lastActiveAt = Date.now();
+  let lead = null;
+  let rejection = null;
+  const text = typeof message === 'string' ? message.trim() : '';
+
+  if (text && session.transcript.length < MAX_MESSAGES) {
+    hear(session, text);
+    const step = getStep(session, lines);
+
+    if (!step) {
+      // After handoff the assistant only answers questions
+      const answer = await engine.answer(text, knowledge(session.locale));
+      messages.push(say(session, answer ? answer.text : lines.afterHandoff));
+    } else if (isQuestion(text, step) && choice === undefined) {
+      const answer = await engine.answer(text, knowledge(session.locale));
+      messages.push(say(session, answer ? answer.text : lines.fallback));
+      messages.push(say(session, step.prompt));
+    } else {
+      const error = recordAnswer(session, step, text, choice, t);
+
+      // The last answer completes the lead, which gets the same spam checks as /contact
+      if (!error && session.stepIndex === script.steps.length - 1) {
+        rejection = checkSubmission(leadInput(session));
+        if (rejection) rejection = localizeRejection(t, rejection, { max: spamSettings.maxLinks });
+      }
+
+      if (error || rejection) {
+        messages.push(say(session, error || rejection.error));
+      } else {
+        session.stepIndex += 1;
+        const next = getStep(session, lines);
+
+        if (next) {
+          messages.push(say(session, next.prompt));
+        } else {
+          messages.push(say(session, lines.handoff.replace('{name}', session.answers.name)));
+          lead = handoff(session);
+        }
+      }
+    }
+  } else if (text) {
+    messages.push(lines.limitReached);
+  }
+
+  return {
+    sessionId: session.id,
+    messages,
+    quickReplies: quickRepliesFor(getStep(session, lines), lines),
+    step: getStep(session, lines) ? getStep(session, lines).id : 'done',
+    lead,
+    rejection
+  };
+};
+
+module.exports = {
+  ENGINE_NAME: engine.name,
+  handleMessage
+};
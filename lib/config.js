@@ -0,0 +1,320 @@
+/**
+ * Configuration
+ * Every setting the server reads, in one typed and validated object.
+ * Values come from the defaults below, then .env and .env.<NODE_ENV> in
+ * the project root (KEY=value lines, both optional and never committed),
+ * then the real environment, which wins. Anything invalid stops startup
+ * with one line per problem, instead of surfacing later as a broken form
+ * or an email that never arrives. See .env.example for every variable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config: packageConfig } = require('../package.json');
+
+const ROOT = path.join(__dirname, '..');
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Facts the code is built around (Manila wall-clock math in bookings and
+// analytics, peso prices in the content files), so not meant to change
+// per deployment
+const BUSINESS = {
+  name: 'MNL-AI',
+  currency: 'PHP',
+  locale: 'en-PH',
+  timezone: 'Asia/Manila',
+  // The Philippines has no daylight saving time, so the offset never changes
+  utcOffsetMinutes: 8 * 60
+};
+
+// ==========================================================================
+// Variables
+// ==========================================================================
+
+/**
+ * Each variable's type, default and limits. Types: string, secret (never
+ * shown in messages), int, number, boolean, enum (values), url, email,
+ * mailbox ("Name <email>" or an address) and list (comma-separated).
+ * A function default is called with the values read so far.
+ */
+const VARIABLES = {
+  NODE_ENV: { type: 'enum', values: ['development', 'production', 'test'], default: 'development' },
+  PORT: { type: 'int', min: 1, max: 65535, default: packageConfig.port },
+  SITE_URL: { type: 'url', default: 'https://mnl-ai.com' },
+  BUSINESS_EMAIL: { type: 'email', default: 'hello@mnl-ai.com' },
+  DATA_DIR: { type: 'string', default: path.join(ROOT, 'data') },
+
+  ADMIN_PASSWORD: { type: 'secret', minLength: 8 },
+  ADMIN_API_TOKEN: { type: 'secret', minLength: 16 },
+  ADMIN_SESSION_TTL_HOURS: { type: 'number', min: 0.25, max: 24 * 30, default: 8 },
+  SIGNED_LINK_SECRET: { type: 'secret', minLength: 16 },
+  SIGNED_LINK_TTL_DAYS: { type: 'number', min: 1, max: 365, default: 14 },
+
+  MAIL_TRANSPORT: { type: 'enum', values: ['smtp', 'file', 'disabled'], default: 'disabled' },
+  MAIL_FROM: { type: 'mailbox', default: (values) => `${BUSINESS.name} <${values.BUSINESS_EMAIL}>` },
+  MAIL_OWNER_TO: { type: 'email', default: (values) => values.BUSINESS_EMAIL },
+  MAIL_FILE_DIR: { type: 'string', default: (values) => path.join(values.DATA_DIR, 'mail') },
+  SMTP_HOST: { type: 'string' },
+  SMTP_PORT: { type: 'int', min: 1, max: 65535, default: 587 },
+  SMTP_SECURE: { type: 'boolean', default: false },
+  SMTP_USER: { type: 'string' },
+  SMTP_PASS: { type: 'secret' },
+
+  CHAT_ENGINE: { type: 'enum', values: ['rules', 'llm'], default: 'rules' },
+  CHAT_LLM_PROVIDER: { type: 'enum', values: ['openai', 'stub'], default: 'openai' },
+  CHAT_LLM_API_URL: { type: 'url', default: 'https://api.openai.com/v1/chat/completions' },
+  CHAT_LLM_API_KEY: { type: 'secret' },
+  CHAT_LLM_MODEL: { type: 'string', default: 'gpt-4o-mini' },
+
+  SPAM_MIN_FILL_MS: { type: 'int', min: 0, max: 60000, default: 3000 },
+  SPAM_MAX_LINKS: { type: 'int', min: 0, max: 100, default: 2 },
+  SPAM_BLOCKED_WORDS: { type: 'list', default: 'viagra,casino,crypto giveaway,backlinks,guest post,seo ranking' },
+  SPAM_DUPLICATE_WINDOW_HOURS: { type: 'number', min: 0, max: 24 * 30, default: 24 },
+  CONTACT_LIMIT_PER_IP: { type: 'int', min: 1, max: 1000, default: 5 },
+  CONTACT_LIMIT_PER_EMAIL: { type: 'int', min: 1, max: 1000, default: 3 },
+
+  ANALYTICS_RETENTION_DAYS: { type: 'int', min: 1, max: 3650, default: 90 },
+  RUM_RETENTION_DAYS: { type: 'int', min: 1, max: 3650, default: 30 },
+  CSP_REPORT_RETENTION_DAYS: { type: 'int', min: 1, max: 3650, default: 30 },
+
+  CSP_MODE: { type: 'enum', values: ['enforce', 'report-only', 'off'], default: 'enforce' },
+  HSTS_MAX_AGE: { type: 'int', min: 0, max: 2 * 365 * 24 * 60 * 60, default: 365 * 24 * 60 * 60 }
+};
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// Each parser returns { value } or { error }, given the trimmed raw string
+const PARSERS = {
+  string: (raw) => ({ value: raw }),
+  secret: (raw, spec) => (spec.minLength && raw.length < spec.minLength
+    ? { error: `must be at least ${spec.minLength} characters` }
+    : { value: raw }),
+  int: (raw, spec) => {
+    const value = Number(raw);
+    if (!/^-?\d+$/.test(raw) || value < spec.min || value > spec.max) {
+      return { error: `must be a whole number from ${spec.min} to ${spec.max}` };
+    }
+    return { value };
+  },
+  number: (raw, spec) => {
+    const value = Number(raw);
+    if (raw === '' || Number.isNaN(value) || value < spec.min || value > spec.max) {
+      return { error: `must be a number from ${spec.min} to ${spec.max}` };
+    }
+    return { value };
+  },
+  boolean: (raw) => {
+    const value = raw.toLowerCase();
+    if (['true', '1', 'yes'].includes(value)) return { value: true };
+    if (['false', '0', 'no'].includes(value)) return { value: false };
+    return { error: 'must be true or false' };
+  },
+  enum: (raw, spec) => {
+    const value = raw.toLowerCase();
+    return spec.values.includes(value) ? { value } : { error: `must be one of ${spec.values.join(', ')}` };
+  },
+  url: (raw) => {
+    try {
+      const url = new URL(raw);
+      if (!['http:', 'https:'].includes(url.protocol)) return { error: 'must be an http(s) URL' };
+      return { value: raw.replace(/\/+$/, '') };
+    } catch (error) {
+      return { error: 'must be a full URL such as https://example.com' };
+    }
+  },
+  email: (raw) => (EMAIL_PATTERN.test(raw) ? { value: raw } : { error: 'must be an email address' }),
+  mailbox: (raw) => {
+    const address = (raw.match(/<([^>]+)>\s*$/) || [null, raw])[1];
+    return EMAIL_PATTERN.test(address) ? { value: raw } : { error: 'must be an email address or "Name <email>"' };
+  },
+  list: (raw) => ({
+    value: raw.split(',').map(item => item.trim().toLowerCase()).filter(Boolean)
+  })
+};
+
+// ==========================================================================
+// .env Files
+// ==========================================================================
+
+/**
+ * KEY=value lines; blank lines and # comments are skipped, "export " is
+ * allowed, and values may be quoted ("..." understands \n, '...' is
+ * taken as is). Unquoted values end at " #".
+ */
+const parseEnvFile = (text, file, problems) => {
+  const values = {};
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const match = trimmed.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) {
+      problems.push(`${file}:${index + 1}: expected KEY=value`);
+      return;
+    }
+
+    const [, key, rest] = match;
+    if (/^"(.*)"$/.test(rest)) {
+      values[key] = rest.slice(1, -1).replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+    } else if (/^'(.*)'$/.test(rest)) {
+      values[key] = rest.slice(1, -1);
+    } else {
+      values[key] = rest.replace(/\s+#.*$/, '');
+    }
+  });
+
+  return values;
+};
+
+const readEnvFile = (name, problems) => {
+  const file = path.join(ROOT, name);
+  return fs.existsSync(file) ? parseEnvFile(fs.readFileSync(file, 'utf8'), name, problems) : {};
+};
+
+// ==========================================================================
+// Loading
+// ==========================================================================
+
+// Problems that involve more than one variable
+const checkCombinations = (values) => {
+  const problems = [];
+
+  if (values.MAIL_TRANSPORT === 'smtp' && !values.SMTP_HOST) {
+    problems.push('SMTP_HOST: required when MAIL_TRANSPORT=smtp');
+  }
+  if (values.SMTP_USER && !values.SMTP_PASS) {
+    problems.push('SMTP_PASS: required when SMTP_USER is set');
+  }
+  if (values.CHAT_ENGINE === 'llm' && values.CHAT_LLM_PROVIDER !== 'stub' && !values.CHAT_LLM_API_KEY) {
+    problems.push('CHAT_LLM_API_KEY: required when CHAT_ENGINE=llm');
+  }
+  if (values.NODE_ENV === 'production' && !values.SITE_URL.startsWith('https://')) {
+    problems.push('SITE_URL: must use https:// in production');
+  }
+
+  return problems;
+};
+
+// The typed object the rest of the server reads
+const buildConfig = (values) => {
+  const isProduction = values.NODE_ENV === 'production';
+
+  return {
+    env: values.NODE_ENV,
+    isProduction,
+    port: values.PORT,
+    siteUrl: values.SITE_URL,
+    dataDir: values.DATA_DIR,
+    business: { ...BUSINESS, email: values.BUSINESS_EMAIL },
+    admin: {
+      password: values.ADMIN_PASSWORD || null,
+      apiToken: values.ADMIN_API_TOKEN || null,
+      sessionTtlMs: values.ADMIN_SESSION_TTL_HOURS * HOUR
+    },
+    signedLinks: {
+      secret: values.SIGNED_LINK_SECRET || null,
+      ttlMs: values.SIGNED_LINK_TTL_DAYS * DAY
+    },
+    mail: {
+      transport: values.MAIL_TRANSPORT,
+      from: values.MAIL_FROM,
+      ownerTo: values.MAIL_OWNER_TO,
+      fileDir: values.MAIL_FILE_DIR,
+      smtp: {
+        host: values.SMTP_HOST || null,
+        port: values.SMTP_PORT,
+        secure: values.SMTP_SECURE,
+        user: values.SMTP_USER || null,
+        pass: values.SMTP_PASS || null
+      }
+    },
+    chat: {
+      engine: values.CHAT_ENGINE,
+      llm: {
+        provider: values.CHAT_LLM_PROVIDER,
+        url: values.CHAT_LLM_API_URL,
+        apiKey: values.CHAT_LLM_API_KEY || null,
+        model: values.CHAT_LLM_MODEL
+      }
+    },
+    spam: {
+      minFillMs: values.SPAM_MIN_FILL_MS,
+      maxLinks: values.SPAM_MAX_LINKS,
+      blockedWords: values.SPAM_BLOCKED_WORDS,
+      duplicateWindowMs: values.SPAM_DUPLICATE_WINDOW_HOURS * HOUR,
+      limitPerIp: values.CONTACT_LIMIT_PER_IP,
+      limitPerEmail: values.CONTACT_LIMIT_PER_EMAIL
+    },
+    retentionDays: {
+      analytics: values.ANALYTICS_RETENTION_DAYS,
+      rum: values.RUM_RETENTION_DAYS,
+      cspReports: values.CSP_REPORT_RETENTION_DAYS
+    },
+    security: {
+      cspMode: values.CSP_MODE,
+      // TLS is only guaranteed behind the production proxy
+      hstsMaxAge: isProduction ? values.HSTS_MAX_AGE : 0
+    }
+  };
+};
+
+/**
+ * Reads and validates every variable. Throws one error listing all the
+ * problems, so a deploy shows everything to fix at once.
+ */
+const loadConfig = (env = process.env) => {
+  const problems = [];
+  const dotenv = readEnvFile('.env', problems);
+  const nodeEnv = (env.NODE_ENV || dotenv.NODE_ENV || VARIABLES.NODE_ENV.default).trim().toLowerCase();
+  const sources = { ...dotenv, ...readEnvFile(`.env.${nodeEnv}`, problems), ...env };
+
+  const values = {};
+  Object.entries(VARIABLES).forEach(([name, spec]) => {
+    const raw = sources[name] === undefined ? '' : String(sources[name]).trim();
+
+    if (raw === '') {
+      values[name] = typeof spec.default === 'function' ? spec.default(values) : spec.default;
+      if (spec.type === 'list' && typeof values[name] === 'string') values[name] = PARSERS.list(values[name]).value;
+      return;
+    }
+
+    const { value, error } = PARSERS[spec.type](raw, spec);
+    if (error) {
+      problems.push(`${name}: ${error} (got ${spec.type === 'secret' ? 'a hidden value' : `"${raw}"`})`);
+    } else {
+      values[name] = value;
+    }
+  });
+
+  if (problems.length === 0) problems.push(...checkCombinations(values));
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+  }
+
+  return Object.freeze(buildConfig(values));
+};
+
+const config = loadConfig();
+
+// What the browser may see: nothing secret, nothing about the server.
+// features is the visitor's evaluated flags (lib/flags.js), when given
+const publicConfig = ({ features = {} } = {}) => ({
+  siteUrl: config.siteUrl,
+  business: {
+    name: config.business.name,
+    email: config.business.email
+  },
+  currency: config.business.currency,
+  locale: config.business.locale,
+  timezone: config.business.timezone,
+  features
+});
+
+module.exports = {
+  config,
+  publicConfig,
+  loadConfig
+};
@@ -0,0 +1,144 @@
+/**
+ * CSP Violation Reports
+ * What browsers report when a page breaks the Content-Security-Policy
+ * (lib/security-headers.js), in either report format: report-uri's
+ * { "csp-report": {...} } and the Reporting API's [{ type, body }].
+ * Kept per day with page paths and blocked origins only, and grouped for
+ * the admin report, so the policy can be tightened without surprises.
+ */
+
+const { createDailyLog } = require('./store');
+const { dayOf, cleanText, cleanPath } = require('./analytics');
+const { config } = require('./config');
+
+const RETENTION_DAYS = config.retentionDays.cspReports;
+const MAX_BATCH = 20;
+const DAY = 24 * 60 * 60 * 1000;
+
+const violations = createDailyLog('csp');
+
+// ==========================================================================
+// Sanitizing
+// ==========================================================================
+
+// "inline", "eval" and "data" stay as they are; URLs keep their origin and path
+const cleanBlocked = (value) => {
+  if (typeof value !== 'string' || !value) return null;
+  if (/^[a-z-]+$/.test(value)) return value;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'data:' ? 'data' : `${url.origin}${url.pathname}`.slice(0, 200);
+  } catch (error) {
+    return null;
+  }
+};
+
+const lineNumber = (value) => (Number.isInteger(value) && value >= 0 && value <= 1e7 ? value : null);
+
+// The same violation from either format, with camelCase field names
+const normalize = (report) => {
+  if (report && report['csp-report']) {
+    const body = report['csp-report'];
+    return {
+      documentURL: body['document-uri'],
+      blockedURL: body['blocked-uri'],
+      effectiveDirective: body['effective-directive'] || body['violated-directive'],
+      disposition: body.disposition,
+      sourceFile: body['source-file'],
+      lineNumber: body['line-number'],
+      columnNumber: body['column-number'],
+      sample: body['script-sample']
+    };
+  }
+
+  if (report && report.type === 'csp-violation' && report.body) return report.body;
+  return null;
+};
+
+const cleanViolation = (report) => {
+  const body = normalize(report);
+  if (!body) return null;
+
+  const directive = typeof body.effectiveDirective === 'string' ? body.effectiveDirective.split(' ')[0] : null;
+  if (!directive || !/^[a-z-]{3,40}$/.test(directive)) return null;
+
+  return {
+    path: cleanPath(body.documentURL) || '/',
+    directive,
+    blocked: cleanBlocked(body.blockedURL) || 'unknown',
+    disposition: body.disposition === 'report' ? 'report' : 'enforce',
+    source: cleanPath(body.sourceFile),
+    line: lineNumber(body.lineNumber),
+    column: lineNumber(body.columnNumber),
+    sample: cleanText(body.sample, 100)
+  };
+};
+
+/**
+ * Records a report body, one report or an array of them. Returns the
+ * number of violations kept, or null when the body is not a CSP report.
+ */
+const recordReports = (body, now = Date.now()) => {
+  const reports = Array.isArray(body) ? body : [body];
+  if (reports.length === 0 || reports.length > MAX_BATCH) return null;
+
+  const at = new Date(now).toISOString();
+  const entries = reports.map(cleanViolation).filter(Boolean);
+  if (entries.length === 0) return null;
+
+  violations.append(dayOf(now), entries.map(entry => ({ at, ...entry })));
+  return entries.length;
+};
+
+const pruneViolations = () => violations.prune(dayOf(Date.now() - RETENTION_DAYS * DAY));
+
+pruneViolations();
+setInterval(pruneViolations, DAY).unref();
+
+// ==========================================================================
+// Reports
+// ==========================================================================
+
+/**
+ * Violations grouped by directive and what was blocked, most frequent
+ * first, with the pages they happened on, for the Manila dates from..to
+ * (default: the last 7 days).
+ */
+const getReport = ({ from, to } = {}) => {
+  const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const end = isDate(to) ? to : dayOf(Date.now());
+  const start = isDate(from) ? from : dayOf(Date.parse(`${end}T12:00:00Z`) - 6 * DAY);
+
+  const groups = new Map();
+  violations.read(start, end).forEach(entry => {
+    const key = `${entry.directive}|${entry.blocked}`;
+    const group = groups.get(key) || {
+      directive: entry.directive,
+      blocked: entry.blocked,
+      count: 0,
+      enforced: 0,
+      paths: {},
+      firstSeen: entry.at,
+      lastSeen: entry.at
+    };
+    group.count += 1;
+    if (entry.disposition === 'enforce') group.enforced += 1;
+    group.paths[entry.path] = (group.paths[entry.path] || 0) + 1;
+    group.lastSeen = entry.at;
+    if (entry.source) group.source = `${entry.source}${entry.line ? `:${entry.line}` : ''}`;
+    if (entry.sample) group.sample = entry.sample;
+    groups.set(key, group);
+  });
+
+  return {
+    from: start,
+    to: end,
+    violations: [...groups.values()].sort((a, b) => b.count - a.count).slice(0, 100)
+  };
+};
+
+module.exports = {
+  MAX_BATCH,
+  recordReports,
+  getReport
+};
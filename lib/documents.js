@@ -0,0 +1,302 @@
+/**
+ * Documents
+ * Branded PDF quotes and invoices set in Inter, bundled in lib/fonts so
+ * nothing is fetched at render time. Document numbers are sequential per
+ * prefix and Manila calendar year, e.g. Q-2026-0001 and INV-2026-0001.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { createCollection } = require('./store');
+const { config } = require('./config');
+
+const SETTINGS_FILE = path.join(__dirname, '..', 'content', 'documents.json');
+const STYLESHEET = path.join(__dirname, '..', 'public', 'style.css');
+const FONT_DIR = path.join(__dirname, 'fonts');
+
+// The site's body font; unlike the standard PDF fonts it has the peso sign
+const FONTS = {
+  regular: { name: 'Inter', file: fs.readFileSync(path.join(FONT_DIR, 'Inter-Regular.ttf')) },
+  bold: { name: 'Inter-Bold', file: fs.readFileSync(path.join(FONT_DIR, 'Inter-Bold.ttf')) }
+};
+const REGULAR = FONTS.regular.name;
+const BOLD = FONTS.bold.name;
+
+const settings = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
+const counters = createCollection('document-counters');
+
+const getDocumentSettings = () => settings;
+
+// ==========================================================================
+// Numbering
+// ==========================================================================
+
+// The year on the Manila calendar, whatever the server's time zone
+const manilaYear = (date) => new Date(date.getTime() + config.business.utcOffsetMinutes * 60 * 1000).getUTCFullYear();
+
+const nextDocumentNumber = (prefix, date = new Date()) => {
+  const id = `${prefix}-${manilaYear(date)}`;
+  const counter = counters.get(id);
+  const last = counter ? counter.last + 1 : 1;
+
+  if (counter) {
+    counters.update(id, { last });
+  } else {
+    counters.insert({ id, last });
+  }
+
+  return `${id}-${String(last).padStart(4, '0')}`;
+};
+
+// ==========================================================================
+// Brand
+// ==========================================================================
+
+// Colors come from the site's custom properties so the PDFs follow rebrands
+const readBrandColors = () => {
+  const fallback = { charcoal: '#121A2F', teal: '#00E0C6', mango: '#FFCE52', offWhite: '#F2F2F2', gray: '#6B7280', border: '#E5E7EB' };
+  const css = fs.readFileSync(STYLESHEET, 'utf8');
+  const pick = (name) => {
+    const match = css.match(new RegExp(`--color-${name}:\\s*(#[0-9A-Fa-f]{6})`));
+    return match ? match[1] : null;
+  };
+
+  return {
+    charcoal: pick('charcoal') || fallback.charcoal,
+    teal: pick('teal') || fallback.teal,
+    mango: pick('mango') || fallback.mango,
+    offWhite: pick('off-white') || fallback.offWhite,
+    gray: pick('gray-500') || fallback.gray,
+    border: pick('gray-200') || fallback.border
+  };
+};
+
+const BRAND = readBrandColors();
+
+const formatMoney = (amount, currency = config.business.currency) => {
+  return new Intl.NumberFormat(config.business.locale, {
+    style: 'currency',
+    currency
+  }).format(amount);
+};
+
+const formatDate = (iso) => {
+  return new Date(iso).toLocaleDateString(config.business.locale, {
+    dateStyle: 'long',
+    timeZone: config.business.timezone
+  });
+};
+
+// ==========================================================================
+// Rendering
+// ==========================================================================
+
+const PAGE_MARGIN = 50;
+
+const drawHeader = (doc, title, number) => {
+  const width = doc.page.width;
+
+  doc.rect(0, 0, width, 96).fill(BRAND.charcoal);
+
+  doc.font(BOLD).fontSize(26).fillColor(BRAND.offWhite)
+    .text(settings.issuer.name, PAGE_MARGIN, 34, { continued: true })
+    .fillColor(BRAND.teal).text('.');
+
+  doc.font(BOLD).fontSize(18).fillColor(BRAND.teal)
+    .text(title.toUpperCase(), PAGE_MARGIN, 30, { width: width - PAGE_MARGIN * 2, align: 'right' });
+  doc.font(REGULAR).fontSize(10).fillColor(BRAND.offWhite)
+    .text(number, PAGE_MARGIN, 54, { width: width - PAGE_MARGIN * 2, align: 'right' });
+
+  doc.y = 120;
+};
+
+const drawParties = (doc, client, meta) => {
+  const top = doc.y;
+  const columnWidth = (doc.page.width - PAGE_MARGIN * 2) / 2 - 10;
+  const issuer = settings.issuer;
+
+  doc.font(BOLD).fontSize(9).fillColor(BRAND.gray).text('FROM', PAGE_MARGIN, top);
+  doc.font(BOLD).fontSize(11).fillColor(BRAND.charcoal).text(issuer.name);
+  doc.font(REGULAR).fontSize(10)
+    .text(issuer.tagline, { width: columnWidth })
+    .text(issuer.address)
+    .text(`${issuer.email} · ${issuer.website}`);
+  const leftBottom = doc.y;
+
+  const right = PAGE_MARGIN + columnWidth + 20;
+  doc.font(BOLD).fontSize(9).fillColor(BRAND.gray).text('PREPARED FOR', right, top);
+  doc.font(BOLD).fontSize(11).fillColor(BRAND.charcoal).text(client.name || 'Client', right);
+  doc.font(REGULAR).fontSize(10);
+  [client.business, client.email].filter(Boolean).forEach(line => doc.text(line, right, doc.y, { width: columnWidth }));
+  const rightBottom = doc.y;
+
+  doc.y = Math.max(leftBottom, rightBottom) + 20;
+
+  // Dates and other facts in one row of labelled cells
+  const cellWidth = (doc.page.width - PAGE_MARGIN * 2) / meta.length;
+  const metaTop = doc.y;
+  meta.forEach(([label, value], index) => {
+    const x = PAGE_MARGIN + index * cellWidth;
+    doc.font(BOLD).fontSize(9).fillColor(BRAND.gray).text(label.toUpperCase(), x, metaTop, { width: cellWidth - 10 });
+    doc.font(REGULAR).fontSize(10).fillColor(BRAND.charcoal).text(value, x, doc.y, { width: cellWidth - 10 });
+  });
+
+  doc.y = metaTop + 44;
+};
+
+const drawLineItems = (doc, document) => {
+  const left = PAGE_MARGIN;
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const columns = [
+    { label: 'Description', x: left + 8, width: width * 0.5 - 8, align: 'left' },
+    { label: 'Qty', x: left + width * 0.5, width: width * 0.1, align: 'right' },
+    { label: 'Unit price', x: left + width * 0.6, width: width * 0.2, align: 'right' },
+    { label: 'Amount', x: left + width * 0.8, width: width * 0.2 - 8, align: 'right' }
+  ];
+
+  const drawHead = () => {
+    const top = doc.y;
+    doc.rect(left, top, width, 22).fill(BRAND.charcoal);
+    doc.font(BOLD).fontSize(9).fillColor(BRAND.offWhite);
+    columns.forEach(column => doc.text(column.label.toUpperCase(), column.x, top + 7, { width: column.width, align: column.align }));
+    doc.y = top + 30;
+  };
+
+  drawHead();
+
+  document.lineItems.forEach(item => {
+    if (doc.y > doc.page.height - 220) {
+      doc.addPage();
+      doc.y = PAGE_MARGIN;
+      drawHead();
+    }
+
+    const top = doc.y;
+    const cells = [
+      item.description,
+      String(item.quantity),
+      item.custom ? 'To be confirmed' : formatMoney(item.unitPrice, document.currency),
+      item.custom ? 'To be confirmed' : formatMoney(item.amount, document.currency)
+    ];
+
+    doc.font(REGULAR).fontSize(10).fillColor(BRAND.charcoal);
+    cells.forEach((cell, index) => {
+      const column = columns[index];
+      doc.text(cell, column.x, top, { width: column.width, align: column.align });
+    });
+
+    let bottom = doc.heightOfString(item.description, { width: columns[0].width }) + top;
+    if (item.promotion) {
+      doc.font(REGULAR).fontSize(8).fillColor(BRAND.gray)
+        .text(`${item.promotion} · regular ${formatMoney(item.regularPrice, document.currency)}`, columns[0].x, bottom + 2, { width: columns[0].width });
+      bottom = doc.y;
+    }
+
+    doc.moveTo(left, bottom + 8).lineTo(left + width, bottom + 8).lineWidth(0.5).strokeColor(BRAND.border).stroke();
+    doc.y = bottom + 16;
+  });
+};
+
+const drawTotals = (doc, document) => {
+  const width = 220;
+  const left = doc.page.width - PAGE_MARGIN - width;
+  const row = (label, value, options = {}) => {
+    const top = doc.y;
+    doc.font(options.bold ? BOLD : REGULAR).fontSize(options.size || 10).fillColor(options.color || BRAND.charcoal);
+    doc.text(label, left + 8, top, { width: width / 2 });
+    doc.text(value, left + width / 2, top, { width: width / 2 - 8, align: 'right' });
+    doc.y = top + (options.size || 10) + 8;
+  };
+
+  doc.y += 4;
+  row('Subtotal', formatMoney(document.subtotal, document.currency));
+  row(document.vat.inclusive ? `${document.vat.label}, included` : document.vat.label, formatMoney(document.vat.amount, document.currency));
+
+  const top = doc.y;
+  doc.rect(left, top, width, 28).fill(BRAND.teal);
+  doc.y = top + 8;
+  row(document.kind === 'invoice' ? 'Amount due' : 'Total', formatMoney(document.total, document.currency), { bold: true, size: 12 });
+  doc.y = top + 44;
+
+  if (document.hasCustomItems) {
+    doc.font(REGULAR).fontSize(8).fillColor(BRAND.gray)
+      .text('Excludes items marked "To be confirmed".', left, doc.y - 8, { width, align: 'right' });
+    doc.y += 8;
+  }
+};
+
+const drawTerms = (doc, terms) => {
+  if (doc.y > doc.page.height - 160) {
+    doc.addPage();
+    doc.y = PAGE_MARGIN;
+  }
+
+  doc.font(BOLD).fontSize(9).fillColor(BRAND.gray).text('PAYMENT TERMS', PAGE_MARGIN, doc.y + 10);
+  doc.moveDown(0.4);
+  doc.font(REGULAR).fontSize(10).fillColor(BRAND.charcoal)
+    .list(terms, PAGE_MARGIN, doc.y, { bulletRadius: 2, textIndent: 12, width: doc.page.width - PAGE_MARGIN * 2 });
+};
+
+const drawFooters = (doc) => {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+
+    // Writing inside the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    const bottom = doc.page.height - 40;
+    doc.rect(0, bottom - 12, doc.page.width, 4).fill(BRAND.mango);
+    doc.font(REGULAR).fontSize(8).fillColor(BRAND.gray)
+      .text(`${settings.issuer.name} · ${settings.issuer.website} · ${settings.issuer.email}`, PAGE_MARGIN, bottom, { lineBreak: false })
+      .text(`Page ${i + 1} of ${range.count}`, PAGE_MARGIN, bottom, { width: doc.page.width - PAGE_MARGIN * 2, align: 'right', lineBreak: false });
+  }
+};
+
+/**
+ * Renders a quote or invoice to a PDF buffer.
+ * document: { kind: 'quote' | 'invoice', number, issuedAt, lineItems,
+ * subtotal, vat, total, currency, hasCustomItems, timeline } plus validUntil
+ * for quotes or dueAt for invoices. client: { name, business, email }.
+ */
+const renderDocumentPdf = (document, client = {}) => {
+  const kindSettings = settings[document.kind];
+  const meta = document.kind === 'invoice'
+    ? [['Issued', formatDate(document.issuedAt)], ['Due', formatDate(document.dueAt)], ['Quote', document.quoteNumber || '—']]
+    : [['Issued', formatDate(document.issuedAt)], ['Valid until', formatDate(document.validUntil)], ['Timeline', document.timeline ? document.timeline.name : '—']];
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `${kindSettings.title} ${document.number}`,
+      Author: settings.issuer.name
+    }
+  });
+
+  Object.values(FONTS).forEach(font => doc.registerFont(font.name, font.file));
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  drawHeader(doc, kindSettings.title, document.number);
+  drawParties(doc, client, meta);
+  drawLineItems(doc, document);
+  drawTotals(doc, document);
+  drawTerms(doc, kindSettings.terms);
+  drawFooters(doc);
+  doc.end();
+
+  return done;
+};
+
+module.exports = {
+  getDocumentSettings,
+  nextDocumentNumber,
+  renderDocumentPdf
+};
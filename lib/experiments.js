@@ -0,0 +1,306 @@
+/**
+ * Experiments
+ * A/B tests on page copy, defined in content/experiments.json. Each
+ * variant overrides translation keys per locale, and the page is rendered
+ * with the visitor's variant already in place, so nothing changes after
+ * load. Visitors get a random anonymous id in a cookie; hashing it with the
+ * experiment id picks the variant, and the first assignment is stored so
+ * it sticks even if the weights change. New ids are counted on the page
+ * that created them, up to a few per IP an hour, so clients that drop
+ * cookies can't add an exposure per request; past that a visitor is counted
+ * once the id comes back in the cookie. Conversions are counted once per
+ * counted visitor and experiment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+const { createRateLimiter } = require('./rate-limit');
+const { LOCALES } = require('./i18n');
+const { isBot } = require('./analytics');
+const { config } = require('./config');
+
+const EXPERIMENTS_FILE = path.join(__dirname, '..', 'content', 'experiments.json');
+const VISITOR_COOKIE = 'mnl_vid';
+const VISITOR_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+const STATUSES = ['running', 'paused', 'complete'];
+const SIGNIFICANCE_LEVEL = 0.05;
+const MIN_VISITORS = 100;
+const NEW_VISITORS_PER_IP = { windowMs: 60 * 60 * 1000, max: 10 };
+
+const assignments = createCollection('experiment-assignments');
+const newVisitorLimiter = createRateLimiter(NEW_VISITORS_PER_IP);
+
+// ==========================================================================
+// Definitions
+// ==========================================================================
+
+// A broken definition would skew results silently, so refuse to start
+const validateExperiment = (experiment) => {
+  const problems = [];
+  const variantIds = (experiment.variants || []).map(variant => variant.id);
+
+  if (!experiment.id) problems.push('an experiment has no id');
+  if (!STATUSES.includes(experiment.status)) problems.push(`${experiment.id}: status must be one of ${STATUSES.join(', ')}`);
+  if (variantIds.length < 2) problems.push(`${experiment.id}: needs at least two variants`);
+  if (new Set(variantIds).size !== variantIds.length) problems.push(`${experiment.id}: variant ids must be unique`);
+  if (experiment.status === 'complete' && !variantIds.includes(experiment.winner)) {
+    problems.push(`${experiment.id}: a complete experiment needs a winner from its variants`);
+  }
+
+  (experiment.variants || []).forEach(variant => {
+    if (!(variant.weight > 0)) problems.push(`${experiment.id}/${variant.id}: weight must be above 0`);
+
+    // Copy in one language only would show the control to everyone else
+    const copy = variant.copy || {};
+    if (Object.keys(copy).length > 0) {
+      LOCALES.filter(locale => !copy[locale]).forEach(locale => {
+        problems.push(`${experiment.id}/${variant.id}: copy for "${locale}" is missing`);
+      });
+    }
+  });
+
+  return problems;
+};
+
+const loadExperiments = () => {
+  const { experiments } = JSON.parse(fs.readFileSync(EXPERIMENTS_FILE, 'utf8'));
+  const problems = experiments.flatMap(validateExperiment);
+
+  if (new Set(experiments.map(experiment => experiment.id)).size !== experiments.length) {
+    problems.push('experiment ids must be unique');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${path.basename(EXPERIMENTS_FILE)}:\n  ${problems.join('\n  ')}`);
+  }
+
+  return experiments;
+};
+
+const experiments = loadExperiments();
+
+const getVariant = (experiment, id) => experiment.variants.find(variant => variant.id === id) || null;
+
+// ==========================================================================
+// Assignment
+// ==========================================================================
+
+const createVisitorId = () => crypto.randomBytes(16).toString('base64url');
+
+const isVisitorId = (value) => typeof value === 'string' && /^[A-Za-z0-9_-]{22}$/.test(value);
+
+// Same inputs, same point in [0, 1): assignment needs no lookup to be stable
+const bucketOf = (experimentId, visitorId) => {
+  const hash = crypto.createHash('sha256').update(`${experimentId}:${visitorId}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+};
+
+const pickVariant = (experiment, visitorId) => {
+  const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = bucketOf(experiment.id, visitorId) * total;
+
+  for (const variant of experiment.variants) {
+    point -= variant.weight;
+    if (point < 0) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+};
+
+// The stored assignment wins, so a visitor never switches variants
+const assign = (experiment, visitorId) => {
+  const id = `${experiment.id}:${visitorId}`;
+  const existing = assignments.get(id);
+  if (existing && getVariant(experiment, existing.variantId)) return existing;
+
+  return assignments.insert({
+    id,
+    experimentId: experiment.id,
+    variantId: pickVariant(experiment, visitorId).id,
+    visitorId,
+    exposedAt: new Date().toISOString(),
+    convertedAt: null
+  });
+};
+
+const optedOut = (req) => req.get('DNT') === '1' || req.get('Sec-GPC') === '1';
+
+// Bots and visitors who opted out are never assigned or counted
+const isTracked = (req) => !optedOut(req) && !isBot(req.get('User-Agent'));
+
+/**
+ * The visitor's anonymous id, setting the cookie for a new visitor, or
+ * null for bots and visitors who opted out of tracking. Kept on req so
+ * experiments and feature flags agree within a request.
+ */
+const visitorIdFor = (req, res) => {
+  if (req.visitorId !== undefined) return req.visitorId;
+
+  let visitorId = null;
+  if (isTracked(req)) {
+    visitorId = req.cookies && req.cookies[VISITOR_COOKIE];
+    if (!isVisitorId(visitorId)) {
+      visitorId = createVisitorId();
+      res.cookie(VISITOR_COOKIE, visitorId, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: config.isProduction,
+        maxAge: VISITOR_TTL_MS,
+        path: '/'
+      });
+    }
+  }
+
+  req.visitorId = visitorId;
+  return visitorId;
+};
+
+// An uncounted id is shown its variant without storing it; the hash picks
+// the same one when the id comes back
+const variantFor = (experiment, visitorId, counted) => {
+  if (!visitorId) return experiment.variants[0];
+  if (!counted) return pickVariant(experiment, visitorId);
+  return getVariant(experiment, assign(experiment, visitorId).variantId);
+};
+
+/**
+ * Variants for this page view and the copy they override for the locale.
+ * Running experiments set the id cookie when needed and assign (and
+ * count) the visitor, unless the id is new and its IP has already started
+ * NEW_VISITORS_PER_IP.max counted visitors this hour; complete ones show
+ * their winner to everyone. Bots and visitors who opted out of tracking
+ * see the control, uncounted.
+ * Returns { variants: { experimentId: variantId }, copy: { key: text } }.
+ */
+const assignVariants = (req, res, locale) => {
+  const running = experiments.filter(experiment => experiment.status === 'running');
+  const visitorId = running.length > 0 ? visitorIdFor(req, res) : null;
+  const returning = Boolean(visitorId && req.cookies && req.cookies[VISITOR_COOKIE] === visitorId);
+  const counted = Boolean(visitorId) && (returning || newVisitorLimiter.hit(req.ip).allowed);
+  const variants = {};
+  const copy = {};
+
+  experiments.forEach(experiment => {
+    let variant = null;
+    if (experiment.status === 'complete') {
+      variant = getVariant(experiment, experiment.winner);
+    } else if (experiment.status === 'running') {
+      variant = variantFor(experiment, visitorId, counted);
+    }
+    if (!variant) return;
+
+    variants[experiment.id] = variant.id;
+    Object.assign(copy, (variant.copy || {})[locale]);
+  });
+
+  return { variants, copy };
+};
+
+// A translator that prefers the experiment copy
+const withCopy = (t, copy) => {
+  if (Object.keys(copy).length === 0) return t;
+  return (key, params) => (copy[key] !== undefined ? copy[key] : t(key, params));
+};
+
+/**
+ * Marks the visitor as converted in every running experiment with this
+ * goal they were counted in. Repeat conversions don't count twice, and
+ * ids that were never counted (or made up) change nothing. Returns how
+ * many experiments recorded a conversion.
+ */
+const recordConversion = (visitorId, goal) => {
+  if (!isVisitorId(visitorId)) return 0;
+
+  return experiments
+    .filter(experiment => experiment.status === 'running' && experiment.goal === goal)
+    .filter(experiment => {
+      const assignment = assignments.get(`${experiment.id}:${visitorId}`);
+      if (!assignment || assignment.convertedAt) return false;
+      assignments.update(assignment.id, { convertedAt: new Date().toISOString() });
+      return true;
+    }).length;
+};
+
+// ==========================================================================
+// Reports
+// ==========================================================================
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26, error under 1.5e-7)
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Two-sided two-proportion z-test of a variant against the control
+const compareToControl = (control, variant) => {
+  if (control.visitors === 0 || variant.visitors === 0) return null;
+
+  const pooled = (control.conversions + variant.conversions) / (control.visitors + variant.visitors);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / control.visitors + 1 / variant.visitors));
+  if (standardError === 0) return null;
+
+  const z = (variant.rate - control.rate) / standardError;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+
+  return {
+    lift: control.rate > 0 ? Math.round(((variant.rate - control.rate) / control.rate) * 1000) / 10 : null,
+    z: Math.round(z * 100) / 100,
+    pValue: Math.round(pValue * 10000) / 10000,
+    significant: pValue < SIGNIFICANCE_LEVEL
+  };
+};
+
+/**
+ * Visitors, conversions and conversion rate per variant, each compared to
+ * the first (control) variant. "enoughData" is false until every variant
+ * has MIN_VISITORS visitors; significance before then is not worth much.
+ */
+const getReport = () => {
+  const all = assignments.all();
+
+  return experiments.map(experiment => {
+    const variants = experiment.variants.map(variant => {
+      const assigned = all.filter(a => a.experimentId === experiment.id && a.variantId === variant.id);
+      const conversions = assigned.filter(a => a.convertedAt).length;
+      return {
+        id: variant.id,
+        name: variant.name,
+        weight: variant.weight,
+        visitors: assigned.length,
+        conversions,
+        rate: assigned.length ? conversions / assigned.length : 0
+      };
+    });
+
+    const [control] = variants;
+    return {
+      id: experiment.id,
+      name: experiment.name,
+      status: experiment.status,
+      goal: experiment.goal,
+      winner: experiment.winner || null,
+      significanceLevel: SIGNIFICANCE_LEVEL,
+      enoughData: variants.every(variant => variant.visitors >= MIN_VISITORS),
+      variants: variants.map((variant, index) => ({
+        ...variant,
+        rate: Math.round(variant.rate * 10000) / 100,
+        comparison: index === 0 ? null : compareToControl(control, variant)
+      }))
+    };
+  });
+};
+
+module.exports = {
+  VISITOR_COOKIE,
+  isVisitorId,
+  bucketOf,
+  isTracked,
+  visitorIdFor,
+  assignVariants,
+  withCopy,
+  recordConversion,
+  getReport
+};
@@ -0,0 +1,215 @@
+/**
+ * FAQ
+ * Frequently asked questions by category, shown on the page, searched from
+ * the FAQ search box and used by the chat assistant to answer visitors.
+ * Entries are written in English with optional translations per locale.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { translateEntry: translate } = require('./i18n');
+
+const FAQ_FILE = path.join(__dirname, '..', 'content', 'faq.json');
+
+const { categories, faqs } = JSON.parse(fs.readFileSync(FAQ_FILE, 'utf8'));
+
+const listCategories = ({ locale } = {}) => categories.map(category => translate(category, locale));
+
+// Each answer shows its category's icon
+const localize = (faq, locale) => {
+  const category = translate(categories.find(c => c.id === faq.category) || {}, locale);
+  return {
+    ...translate(faq, locale),
+    categoryName: category.name || null,
+    icon: category.icon || null,
+    iconAlt: category.iconAlt || ''
+  };
+};
+
+const listFaqs = ({ category, locale } = {}) => {
+  return faqs
+    .filter(faq => !category || faq.category === category)
+    .map(faq => localize(faq, locale));
+};
+
+// ==========================================================================
+// Search
+// ==========================================================================
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'do', 'does', 'you', 'your', 'i', 'me', 'my', 'we', 'our', 'to', 'of',
+  'for', 'and', 'or', 'in', 'on', 'it', 'can', 'with', 'be', 'have', 'what', 'whats',
+  'ba', 'po', 'ang', 'ng', 'nang', 'sa', 'na', 'ko', 'mo', 'ako', 'kayo', 'ninyo', 'nyo', 'ito', 'yung',
+  'ung', 'ano', 'si', 'ni', 'pa', 'din', 'rin', 'lang', 'naman', 'kung', 'may', 'mga', 'at', 'pwede', 'puwede'
+]);
+
+// Tagalog and Taglish words mapped to the English terms the FAQ uses
+const SYNONYMS = {
+  magkano: ['price', 'cost'],
+  presyo: ['price'],
+  halaga: ['price', 'cost'],
+  bayad: ['price', 'payment'],
+  pricing: ['price'],
+  cost: ['price'],
+  katagal: ['long'],
+  matagal: ['long'],
+  tagal: ['long'],
+  kailan: ['when', 'timeline'],
+  araw: ['days'],
+  linggo: ['weeks'],
+  buwan: ['month'],
+  gawa: ['build'],
+  gumawa: ['build'],
+  paggawa: ['build'],
+  gagawa: ['build'],
+  tulong: ['support', 'help'],
+  suporta: ['support'],
+  ayusin: ['maintenance'],
+  kasama: ['included'],
+  libre: ['free'],
+  probinsya: ['province', 'outside'],
+  probinsiya: ['province', 'outside'],
+  labas: ['outside'],
+  malayo: ['outside', 'remote'],
+  taga: ['location'],
+  websayt: ['website'],
+  site: ['website'],
+  negosyo: ['business', 'businesses']
+};
+
+const normalize = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/₱/g, ' ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Rough English stemming so "websites" finds "website" and "building" finds "build"
+const stem = (word) => {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && word.endsWith('es') && !word.endsWith('ses')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+const terms = (text) => {
+  return normalize(text).split(' ')
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(stem);
+};
+
+// Each query word stands for itself plus its English equivalents
+const expandQuery = (text) => {
+  return normalize(text).split(' ')
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(word => [stem(word), ...(SYNONYMS[word] || []).map(stem)]);
+};
+
+// Matches in the question count most, then keywords, category and answer
+const FIELD_WEIGHTS = { question: 3, keywords: 2.5, category: 1.5, answer: 1 };
+
+// Every language's wording is indexed, so mixed-language queries match
+// whichever version of the page the visitor is on
+const buildIndex = () => {
+  return faqs.map(faq => {
+    const versions = [faq, ...Object.values(faq.translations || {})];
+    const category = categories.find(c => c.id === faq.category) || {};
+    const categoryNames = [category.name, ...Object.values(category.translations || {}).map(t => t.name)];
+    const textOf = (values) => values.filter(Boolean).join(' ');
+
+    return {
+      faq,
+      fields: {
+        question: new Set(terms(textOf(versions.map(v => v.question)))),
+        keywords: new Set(terms((faq.keywords || []).join(' '))),
+        category: new Set(terms(textOf(categoryNames))),
+        answer: new Set(terms(textOf(versions.map(v => v.answer))))
+      },
+      phrases: (faq.keywords || []).map(normalize).filter(phrase => phrase.includes(' '))
+    };
+  });
+};
+
+const index = buildIndex();
+
+const fieldsContaining = (entry, term) => {
+  const exact = Object.keys(FIELD_WEIGHTS).filter(field => entry.fields[field].has(term));
+  if (exact.length || term.length < 3) return { fields: exact, partial: false };
+
+  // Half credit for prefixes, so results show up while the visitor is typing
+  const partial = Object.keys(FIELD_WEIGHTS).filter(field => [...entry.fields[field]].some(word => word.startsWith(term)));
+  return { fields: partial, partial: true };
+};
+
+/**
+ * Ranked search over questions, keywords, categories and answers. Scores
+ * weight each matched word by how rare it is across the FAQ, so "support"
+ * outranks "website", and favor answers that match more of the query.
+ * Returns the matching FAQs in the locale, best first, each with a score.
+ */
+const searchFaqs = (query, { category, locale } = {}) => {
+  const groups = expandQuery(query);
+  const entries = index.filter(entry => !category || entry.faq.category === category);
+  if (groups.length === 0) return entries.map(entry => localize(entry.faq, locale));
+
+  const documentFrequency = (term) => index.filter(entry => fieldsContaining(entry, term).fields.length > 0).length;
+  const idf = (term) => Math.log(1 + index.length / (1 + documentFrequency(term)));
+  const text = normalize(query);
+
+  return entries
+    .map((entry, position) => {
+      let score = 0;
+      let matchedGroups = 0;
+
+      groups.forEach(group => {
+        const best = Math.max(0, ...group.map(term => {
+          const { fields, partial } = fieldsContaining(entry, term);
+          if (fields.length === 0) return 0;
+          const weight = Math.max(...fields.map(field => FIELD_WEIGHTS[field]));
+          return weight * idf(term) * (partial ? 0.5 : 1);
+        }));
+
+        if (best > 0) matchedGroups += 1;
+        score += best;
+      });
+
+      // Multi-word keywords such as "gaano katagal" are strong signals
+      score += entry.phrases.filter(phrase => ` ${text} `.includes(` ${phrase} `)).length * 2;
+      score *= matchedGroups / groups.length;
+
+      return { faq: entry.faq, score, position };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .map(result => ({ ...localize(result.faq, locale), score: Math.round(result.score * 100) / 100 }));
+};
+
+// ==========================================================================
+// Structured Data
+// ==========================================================================
+
+// schema.org FAQPage so search engines can show answers as rich results
+const faqPageJsonLd = ({ locale } = {}) => ({
+  '@context': 'https://schema.org',
+  '@type': 'FAQPage',
+  mainEntity: listFaqs({ locale }).map(faq => ({
+    '@type': 'Question',
+    name: faq.question,
+    acceptedAnswer: {
+      '@type': 'Answer',
+      text: faq.answer
+    }
+  }))
+});
+
+module.exports = {
+  listCategories,
+  listFaqs,
+  searchFaqs,
+  faqPageJsonLd
+};
@@ -0,0 +1,202 @@
+/**
+ * Feature Flags
+ * Page sections and features that can be switched on and off without a
+ * redeploy. The flags are seeded from content/flags.json and then changed
+ * through the admin API; a flag added to the file later is picked up on
+ * the next start, while stored flags keep their admin changes.
+ *
+ * A flag that is not enabled is off for everyone. An enabled flag is on
+ * according to its rule: "boolean" for everyone, "percentage" for that
+ * share of visitors (bucketed by the anonymous visitor id, like the
+ * experiments, so a visitor keeps their answer as the share grows) or
+ * "allowlist" for matching visitors: "admin" (signed in or using the API
+ * token), "ip:<address>" or "visitor:<id>".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createCollection } = require('./store');
+const { isAdmin } = require('./auth');
+const { LOCALES, DEFAULT_LOCALE } = require('./i18n');
+const { VISITOR_COOKIE, isVisitorId, bucketOf, visitorIdFor } = require('./experiments');
+
+const SEED_FILE = path.join(__dirname, '..', 'content', 'flags.json');
+const RULES = ['boolean', 'percentage', 'allowlist'];
+const ALLOWLIST_ENTRY = /^(?:admin|ip:[0-9A-Fa-f.:]{3,45}|visitor:[A-Za-z0-9_-]{22})$/;
+const MAX_ALLOWLIST = 100;
+
+const flags = createCollection('flags');
+
+// ==========================================================================
+// Validation
+// ==========================================================================
+
+// Validates a full flag record, returning { field, code, message } errors
+const validateFlag = (flag) => {
+  const errors = [];
+  const fail = (field, code, message) => errors.push({ field, code, message });
+
+  if (typeof flag.id !== 'string' || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(flag.id)) {
+    fail('id', 'invalid', 'ID must be lowercase letters, numbers and dashes');
+  }
+
+  if (typeof flag.description !== 'string' || flag.description.length > 200) {
+    fail('description', 'invalid', 'Description must be text of at most 200 characters');
+  }
+
+  if (!RULES.includes(flag.rule)) {
+    fail('rule', 'invalid', `Rule must be one of ${RULES.join(', ')}`);
+  }
+
+  if (typeof flag.enabled !== 'boolean') {
+    fail('enabled', 'invalid', 'Enabled must be true or false');
+  }
+
+  if (!Number.isInteger(flag.percentage) || flag.percentage < 0 || flag.percentage > 100) {
+    fail('percentage', 'invalid', 'Percentage must be a whole number from 0 to 100');
+  }
+
+  if (!Array.isArray(flag.allowlist) || flag.allowlist.length > MAX_ALLOWLIST) {
+    fail('allowlist', 'invalid', `Allowlist must be a list of at most ${MAX_ALLOWLIST} entries`);
+  } else if (!flag.allowlist.every(entry => typeof entry === 'string' && ALLOWLIST_ENTRY.test(entry))) {
+    fail('allowlist', 'invalid', 'Allowlist entries must be "admin", "ip:<address>" or "visitor:<id>"');
+  }
+
+  return errors;
+};
+
+// A broken seed would hide sections nobody meant to hide, so refuse to start
+const loadSeed = () => {
+  const seed = JSON.parse(fs.readFileSync(SEED_FILE, 'utf8'));
+  const problems = seed.flatMap(flag => validateFlag(flag).map(error => `${flag.id}: ${error.message}`));
+
+  if (new Set(seed.map(flag => flag.id)).size !== seed.length) {
+    problems.push('flag ids must be unique');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${path.basename(SEED_FILE)}:\n  ${problems.join('\n  ')}`);
+  }
+
+  return seed;
+};
+
+// Stores the seed flags that are not stored yet
+const seedFlags = () => {
+  const now = new Date().toISOString();
+  loadSeed()
+    .filter(flag => !flags.get(flag.id))
+    .forEach(flag => flags.insert({ ...flag, updatedAt: now }));
+};
+
+seedFlags();
+
+// ==========================================================================
+// Admin
+// ==========================================================================
+
+const listFlags = () => flags.all().sort((a, b) => a.id.localeCompare(b.id));
+
+const getFlag = (id) => flags.get(id);
+
+const pickFields = (input) => {
+  const fields = ['description', 'rule', 'enabled', 'percentage', 'allowlist'];
+  return fields.reduce((picked, field) => {
+    if (input[field] !== undefined) picked[field] = input[field];
+    return picked;
+  }, {});
+};
+
+// Returns null when the flag does not exist
+const updateFlag = (id, input) => {
+  const current = flags.get(id);
+  if (!current) return null;
+
+  const changes = pickFields(input);
+  const errors = validateFlag({ ...current, ...changes });
+  if (errors.length) return { errors };
+
+  const flag = flags.update(id, { ...changes, updatedAt: new Date().toISOString() });
+  return { flag, errors };
+};
+
+// ==========================================================================
+// Evaluation
+// ==========================================================================
+
+const matchesEntry = (entry, visitor) => {
+  const [kind, ...rest] = entry.split(':');
+  const value = rest.join(':');
+
+  if (kind === 'admin') return visitor.admin;
+  if (kind === 'ip') return value === visitor.ip;
+  return value === visitor.id;
+};
+
+const evaluate = (flag, visitor) => {
+  if (!flag.enabled) return false;
+
+  switch (flag.rule) {
+    case 'percentage':
+      if (flag.percentage >= 100) return true;
+      return Boolean(visitor.id) && bucketOf(`flag:${flag.id}`, visitor.id) * 100 < flag.percentage;
+
+    case 'allowlist':
+      return flag.allowlist.some(entry => matchesEntry(entry, visitor));
+
+    default:
+      return true;
+  }
+};
+
+// Only a partial rollout needs an id; it is never created just to read it
+const needsVisitorId = (all) => all.some(flag => flag.enabled && flag.rule === 'percentage' &&
+  flag.percentage > 0 && flag.percentage < 100);
+
+/**
+ * Sets req.features and res.locals.features to { flagId: true|false } for
+ * this visitor, for routes, views and the embedded page data. Flags that
+ * do not exist read as off.
+ */
+const featureFlags = () => (req, res, next) => {
+  const all = flags.all();
+  const cookie = req.cookies && req.cookies[VISITOR_COOKIE];
+  const visitor = {
+    id: needsVisitorId(all) ? visitorIdFor(req, res) : (isVisitorId(cookie) ? cookie : null),
+    ip: req.ip,
+    admin: isAdmin(req)
+  };
+
+  req.features = Object.fromEntries(all.map(flag => [flag.id, evaluate(flag, visitor)]));
+  res.locals.features = req.features;
+  next();
+};
+
+/**
+ * Passes when the flag is on for this request. Otherwise answers with
+ * onDisabled, by default the API's 404, as if the feature did not exist.
+ */
+const requireFeature = (id, onDisabled) => (req, res, next) => {
+  if (req.features && req.features[id]) return next();
+  if (onDisabled) return onDisabled(req, res, next);
+
+  res.status(404).json({
+    success: false,
+    error: req.t('api.notFound')
+  });
+};
+
+// The default language plus every language whose "locale-<code>" flag is on
+const enabledLocales = (features = {}) => {
+  return LOCALES.filter(locale => locale === DEFAULT_LOCALE || features[`locale-${locale}`]);
+};
+
+module.exports = {
+  RULES,
+  listFlags,
+  getFlag,
+  updateFlag,
+  featureFlags,
+  requireFeature,
+  enabledLocales
+};
@@ -0,0 +1,135 @@
+/**
+ * Internationalization
+ * English and Filipino message catalogs from content/locales. Pages pick
+ * their language from the URL (/ or /fil/); API responses follow the
+ * request's Accept-Language header, which the site's scripts set to the
+ * page language.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTranslator, localizeErrors } = require('../shared/i18n');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'content', 'locales');
+const LOCALES = ['en', 'fil'];
+const DEFAULT_LOCALE = 'en';
+const LOCALE_COOKIE = 'lang';
+
+// Sections the browser needs for validation and the interactive widgets
+const CLIENT_SECTIONS = ['language', 'fields', 'validation', 'fieldErrors', 'client'];
+
+const catalogs = {};
+LOCALES.forEach(locale => {
+  catalogs[locale] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), 'utf8'));
+});
+
+const translators = {};
+LOCALES.forEach(locale => {
+  translators[locale] = createTranslator(catalogs[locale], catalogs[DEFAULT_LOCALE]);
+});
+
+const getTranslator = (locale) => translators[locale] || translators[DEFAULT_LOCALE];
+
+const clientCatalog = (locale) => {
+  const catalog = catalogs[locale] || catalogs[DEFAULT_LOCALE];
+  return CLIENT_SECTIONS.reduce((subset, section) => ({ ...subset, [section]: catalog[section] }), {});
+};
+
+// Content entries are written in English with { translations: { fil: {...} } };
+// this gives the entry with its translated fields, without the translations
+const translateEntry = ({ translations, ...entry }, locale) => {
+  return { ...entry, ...((translations && translations[locale]) || {}) };
+};
+
+// ==========================================================================
+// Locale Detection
+// ==========================================================================
+
+// Tagalog (tl) is what many browsers and phones send for Filipino
+const ALIASES = { tl: 'fil' };
+
+const toLocale = (tag) => {
+  const base = String(tag || '').trim().toLowerCase().split('-')[0];
+  const locale = ALIASES[base] || base;
+  return LOCALES.includes(locale) ? locale : null;
+};
+
+// Best supported language from an Accept-Language header, honoring q-values
+const negotiateLocale = (header) => {
+  const ranked = String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { locale: toLocale(tag), quality: q ? Number(q.slice(2)) || 0 : 1, index };
+    })
+    .filter(entry => entry.locale && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  return ranked.length ? ranked[0].locale : DEFAULT_LOCALE;
+};
+
+// A language picked in the switcher beats the browser's preference
+const preferredLocale = (req) => {
+  return toLocale(req.cookies && req.cookies[LOCALE_COOKIE]) || negotiateLocale(req.get('Accept-Language'));
+};
+
+// "fil" for /fil and /fil/..., null for default-language URLs
+const localeFromPath = (pathname) => {
+  const match = pathname.match(/^\/([a-z]{2,3})(?:\/|$)/);
+  return match && match[1] !== DEFAULT_LOCALE && LOCALES.includes(match[1]) ? match[1] : null;
+};
+
+// The URL of a page in a language: ("fil", "/") gives "/fil/"
+const localePath = (locale, pathname = '/') => {
+  return locale === DEFAULT_LOCALE ? pathname : `/${locale}${pathname}`;
+};
+
+// The same URL in the default language: ("fil", "/fil?utm_source=fb") gives
+// "/?utm_source=fb". Always rooted, and never "//host" (protocol-relative)
+const withoutLocale = (locale, url) => {
+  const rest = url.slice(localePath(locale, '').length);
+  return `/${rest.replace(/^\/+/, '')}`;
+};
+
+// Sets req.locale and req.t from Accept-Language for API responses
+const i18n = () => (req, res, next) => {
+  req.locale = negotiateLocale(req.get('Accept-Language'));
+  req.t = getTranslator(req.locale);
+  next();
+};
+
+// ==========================================================================
+// Localized Errors
+// ==========================================================================
+
+const retryWait = (t, seconds) => {
+  const minutes = Math.ceil(seconds / 60);
+  return minutes <= 1 ? t('api.waitMinute') : t('api.waitMinutes', { minutes });
+};
+
+// Spam and rate limit rejections keep their code; only the wording changes
+const localizeRejection = (t, rejection, params = {}) => {
+  const key = `rejections.${rejection.code}`;
+  const wait = rejection.retryAfter ? retryWait(t, rejection.retryAfter) : undefined;
+  const error = t(key, { wait, ...params });
+  return { ...rejection, error: error === key ? rejection.error : error };
+};
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_COOKIE,
+  getTranslator,
+  clientCatalog,
+  translateEntry,
+  negotiateLocale,
+  preferredLocale,
+  localeFromPath,
+  localePath,
+  withoutLocale,
+  i18n,
+  retryWait,
+  localizeRejection,
+  localizeErrors
+};
@@ -0,0 +1,126 @@
+/**
+ * Images
+ * Responsive variants of the PNG and JPEG assets, made by
+ * scripts/build-images.js. picture() turns an asset path into what the
+ * picture partial renders: AVIF and WebP <source> srcsets, the intrinsic
+ * size and a blur placeholder. negotiateImages() serves the best variant
+ * the browser accepts when an original is requested directly, as CSS
+ * backgrounds are. Without a manifest everything falls back to the
+ * originals, so the site works before the first build.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const MANIFEST_FILE = path.join(PUBLIC_DIR, 'assets', '_generated', 'manifest.json');
+
+// Best first: browsers take the first <source> type they support
+const FORMATS = [
+  { format: 'avif', type: 'image/avif' },
+  { format: 'webp', type: 'image/webp' }
+];
+
+// "/assets/hero/hero-mobile.jpg" becomes its path under public/
+const toFile = (url) => path.join(PUBLIC_DIR, ...url.split('/'));
+
+// Entries whose variants are missing on disk are left out, so a partial
+// build never points browsers at files that 404
+const loadManifest = () => {
+  if (!fs.existsSync(MANIFEST_FILE)) {
+    console.warn('⚠️ No image manifest, serving original images (run npm run build:images)');
+    return {};
+  }
+
+  const { images } = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+  return Object.fromEntries(Object.entries(images).filter(([url, entry]) => {
+    const complete = Object.values(entry.variants).every(variants => {
+      return variants.every(variant => fs.existsSync(toFile(variant.src)));
+    });
+    if (!complete) console.warn(`⚠️ Image variants missing for ${url}, serving the original`);
+    return complete;
+  }));
+};
+
+const images = loadManifest();
+
+// The manifest entry for an original asset path, or null without variants
+const getImage = (src) => images[src] || null;
+
+// ==========================================================================
+// Pictures
+// ==========================================================================
+
+const srcsetOf = (variants) => variants.map(variant => `${variant.src} ${variant.width}w`).join(', ');
+
+// One <source> per format; an asset with no variants keeps its original
+const sourcesFor = (src, media) => {
+  const entry = images[src];
+  if (!entry) return media ? [{ media, srcset: src }] : [];
+
+  return FORMATS
+    .filter(({ format }) => entry.variants[format] && entry.variants[format].length > 0)
+    .map(({ format, type }) => ({ media, type, srcset: srcsetOf(entry.variants[format]) }));
+};
+
+/**
+ * Everything the picture partial needs for the asset at src. art lists
+ * other assets for wider screens as { media, src }, widest first; src is
+ * what the remaining screens (and browsers without <picture>) get.
+ */
+const picture = (src, { art = [] } = {}) => {
+  const entry = images[src];
+
+  return {
+    src,
+    width: entry ? entry.width : null,
+    height: entry ? entry.height : null,
+    placeholder: entry ? entry.placeholder : null,
+    sources: [
+      ...art.flatMap(alternative => sourcesFor(alternative.src, alternative.media)),
+      ...sourcesFor(src)
+    ]
+  };
+};
+
+// ==========================================================================
+// Format Negotiation
+// ==========================================================================
+
+// Only an explicit listing counts: every browser sends */*, even those
+// that can't decode AVIF
+const acceptsType = (accept, type) => accept.split(',').some(range => {
+  const [mediaType, ...params] = range.split(';').map(part => part.trim().toLowerCase());
+  if (mediaType !== type) return false;
+  const quality = params.find(param => param.startsWith('q='));
+  return !quality || parseFloat(quality.slice(2)) > 0;
+});
+
+/**
+ * Rewrites GET and HEAD requests for an original image to its largest
+ * AVIF or WebP variant when the Accept header lists that format, so the
+ * static middleware after it serves the smaller file. Responses vary by
+ * Accept either way, so caches keep one copy per format.
+ */
+const negotiateImages = () => (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+  const entry = images[req.path];
+  if (!entry) return next();
+
+  res.vary('Accept');
+  const accept = req.get('Accept') || '';
+  const best = FORMATS.find(({ format, type }) => entry.variants[format] && acceptsType(accept, type));
+  if (!best) return next();
+
+  const variants = entry.variants[best.format];
+  req.url = `${variants[variants.length - 1].src}${req.url.slice(req.path.length)}`;
+  next();
+};
+
+module.exports = {
+  toFile,
+  getImage,
+  picture,
+  negotiateImages
+};
@@ -0,0 +1,67 @@
+/**
+ * Invoices
+ * Invoices are issued from a stored quote and copy its line items and
+ * totals, so later catalog or promotion changes never alter what was billed.
+ */
+
+const { createId, createCollection } = require('./store');
+const { getQuote, ensureQuoteNumber } = require('./quotes');
+const { getDocumentSettings, nextDocumentNumber } = require('./documents');
+const { addTimelineEntry } = require('./leads');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const invoices = createCollection('invoices');
+
+const listInvoices = ({ leadId } = {}) => {
+  return invoices.all()
+    .filter(invoice => !leadId || invoice.leadId === leadId)
+    .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+};
+
+const getInvoice = (id) => invoices.get(id);
+
+// Returns { errors } when the quote can't be billed as it stands
+const createInvoiceFromQuote = (quoteId) => {
+  const found = getQuote(quoteId);
+  if (!found) {
+    return { errors: [{ field: 'quoteId', code: 'not_found', message: 'Quote not found' }] };
+  }
+
+  if (found.hasCustomItems) {
+    return { errors: [{ field: 'quoteId', code: 'custom_items', message: 'Price the custom items in a new quote before invoicing' }] };
+  }
+
+  const quote = ensureQuoteNumber(found);
+  const settings = getDocumentSettings().invoice;
+  const now = new Date();
+
+  const invoice = invoices.insert({
+    id: createId('inv'),
+    number: nextDocumentNumber(settings.prefix, now),
+    quoteId: quote.id,
+    quoteNumber: quote.number,
+    leadId: quote.leadId,
+    currency: quote.currency,
+    timeline: quote.timeline,
+    lineItems: quote.lineItems,
+    subtotal: quote.subtotal,
+    vat: quote.vat,
+    total: quote.total,
+    hasCustomItems: false,
+    issuedAt: now.toISOString(),
+    dueAt: new Date(now.getTime() + settings.dueDays * DAY).toISOString()
+  });
+
+  if (invoice.leadId) {
+    addTimelineEntry(invoice.leadId, 'invoice_issued', { invoiceId: invoice.id, number: invoice.number });
+  }
+
+  return { invoice, errors: [] };
+};
+
+module.exports = {
+  listInvoices,
+  getInvoice,
+  createInvoiceFromQuote
+};
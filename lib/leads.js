@@ -0,0 +1,152 @@
+/**
+ * Lead Inbox
+ * Durable store for contact form submissions, their status and history
+ */
+
+const { createId, createCollection } = require('./store');
+
+const LEAD_STATUSES = ['new', 'contacted', 'won', 'lost'];
+
+const leads = createCollection('leads');
+
+const timelineEntry = (type, details = {}) => ({
+  type,
+  at: new Date().toISOString(),
+  ...details
+});
+
+// Leads saved before notes and timelines existed lack those fields
+const withDefaults = (lead) => {
+  if (!lead) return null;
+
+  return {
+    service: null,
+    quoteId: null,
+    bookingId: null,
+    notes: [],
+    timeline: [{ type: 'received', at: lead.receivedAt, source: lead.source }],
+    ...lead
+  };
+};
+
+const createLead = (fields, source = 'contact-form') => {
+  const now = new Date().toISOString();
+
+  return leads.insert({
+    id: createId('lead'),
+    status: 'new',
+    source,
+    receivedAt: now,
+    updatedAt: now,
+    ...fields,
+    notes: [],
+    timeline: [timelineEntry('received', { source })]
+  });
+};
+
+const getLead = (id) => withDefaults(leads.get(id));
+
+// Newest first, optionally narrowed by status, service and a free-text query
+const listLeads = ({ status, service, q } = {}) => {
+  const query = q ? q.trim().toLowerCase() : '';
+
+  return leads.all()
+    .map(withDefaults)
+    .filter(lead => !status || lead.status === status)
+    .filter(lead => !service || lead.service === service)
+    .filter(lead => {
+      if (!query) return true;
+      return [lead.name, lead.email, lead.business, lead.message]
+        .some(value => value && value.toLowerCase().includes(query));
+    })
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+};
+
+// Same sender and message (ignoring case and spacing) received recently
+const findDuplicateLead = ({ email, message }, windowMs) => {
+  const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const since = new Date(Date.now() - windowMs).toISOString();
+
+  return leads.all().find(lead => {
+    return lead.receivedAt >= since &&
+      lead.email === email &&
+      normalize(lead.message) === normalize(message);
+  }) || null;
+};
+
+const updateLeadStatus = (id, status) => {
+  const lead = getLead(id);
+  if (!lead) return null;
+  if (lead.status === status) return lead;
+
+  return withDefaults(leads.update(id, {
+    status,
+    updatedAt: new Date().toISOString(),
+    timeline: [...lead.timeline, timelineEntry('status_changed', { from: lead.status, to: status })]
+  }));
+};
+
+const addLeadNote = (id, text) => {
+  const lead = getLead(id);
+  if (!lead) return null;
+
+  const note = {
+    id: createId('note'),
+    text,
+    createdAt: new Date().toISOString()
+  };
+
+  return withDefaults(leads.update(id, {
+    updatedAt: note.createdAt,
+    notes: [...lead.notes, note],
+    timeline: [...lead.timeline, timelineEntry('note_added', { noteId: note.id })]
+  }));
+};
+
+// Links a quote priced from the same submission
+const attachQuote = (id, quoteId) => {
+  const lead = getLead(id);
+  if (!lead) return null;
+
+  return withDefaults(leads.update(id, {
+    quoteId,
+    updatedAt: new Date().toISOString(),
+    timeline: [...lead.timeline, timelineEntry('quote_created', { quoteId })]
+  }));
+};
+
+// Links a consult call booked by this lead
+const attachBooking = (id, booking) => {
+  const lead = getLead(id);
+  if (!lead) return null;
+
+  return withDefaults(leads.update(id, {
+    bookingId: booking.id,
+    updatedAt: new Date().toISOString(),
+    timeline: [...lead.timeline, timelineEntry('booking_created', { bookingId: booking.id, start: booking.start })]
+  }));
+};
+
+// Records something that happened elsewhere, such as an invoice being issued
+const addTimelineEntry = (id, type, details) => {
+  const lead = getLead(id);
+  if (!lead) return null;
+
+  return withDefaults(leads.update(id, {
+    updatedAt: new Date().toISOString(),
+    timeline: [...lead.timeline, timelineEntry(type, details)]
+  }));
+};
+
+module.exports = {
+  LEAD_STATUSES,
+  createLead,
+  getLead,
+  listLeads,
+  findDuplicateLead,
+  updateLeadStatus,
+  addLeadNote,
+  attachQuote,
+  attachBooking,
+  addTimelineEntry
+};
@@ -0,0 +1,139 @@
+/**
+ * Email Templates
+ * HTML and plain-text versions of every message the site sends. Owner
+ * alerts are in English; prospects get theirs in the language they wrote in.
+ */
+
+const { formatPrice } = require('./services');
+const { config } = require('./config');
+const { DEFAULT_LOCALE, getTranslator } = require('./i18n');
+
+const SITE_URL = config.siteUrl;
+
+const escapeHtml = (value) => {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Shared branded wrapper so every email looks like the site
+const layout = (title, body, locale = DEFAULT_LOCALE) => `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:24px;background:#F2F2F2;font-family:Inter,Arial,sans-serif;color:#121A2F;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#FFFFFF;border-radius:16px;overflow:hidden;">
+    <tr>
+      <td style="background:#121A2F;padding:20px 28px;font-family:Sora,Arial,sans-serif;font-size:20px;font-weight:800;color:#F2F2F2;">
+        MNL-AI<span style="color:#00E0C6;">.</span>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding:28px;font-size:15px;line-height:1.6;">
+        ${body}
+      </td>
+    </tr>
+    <tr>
+      <td style="padding:16px 28px;background:#F9FAFB;font-size:12px;color:#6B7280;">
+        MNL-AI · ${escapeHtml(getTranslator(locale)('mail.tagline'))} · <a href="${SITE_URL}" style="color:#6B7280;">${SITE_URL.replace(/^https?:\/\//, '')}</a>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+const fieldRows = (fields) => fields.map(([label, value]) => `
+        <tr>
+          <td style="padding:6px 12px 6px 0;color:#6B7280;vertical-align:top;white-space:nowrap;">${escapeHtml(label)}</td>
+          <td style="padding:6px 0;">${escapeHtml(value)}</td>
+        </tr>`).join('');
+
+const leadFields = (lead) => [
+  ['Name', lead.name],
+  ['Email', lead.email],
+  ['Business', lead.business || 'Not provided'],
+  ['Service', lead.serviceName || 'Not sure yet'],
+  ...(lead.quote ? [['Quote', `${formatPrice(lead.quote.total, lead.quote.currency)} incl. VAT${lead.quote.hasCustomItems ? ' + custom items' : ''}`]] : []),
+  ...(lead.booking ? [['Consult call', `${lead.booking.label} (Manila time)`]] : [])
+];
+
+// Bookings made outside the contact form may come without a message
+const messageBlock = (label, message) => !message ? '' : `
+        <p style="margin:20px 0 8px;color:#6B7280;">${escapeHtml(label)}</p>
+        <div style="white-space:pre-wrap;background:#F3F4F6;border-radius:12px;padding:16px;">${escapeHtml(message)}</div>`;
+
+const bookingSentence = (lead, t) => {
+  return lead.booking ? t('mail.booking', { time: lead.booking.label }) : null;
+};
+
+// ==========================================================================
+// Owner Alert
+// ==========================================================================
+
+const newLeadAlert = (lead) => {
+  const subject = lead.business ? `New lead: ${lead.name} (${lead.business})` : `New lead: ${lead.name}`;
+  const adminUrl = `${SITE_URL}/admin`;
+
+  const html = layout(subject, `
+        <h1 style="font-family:Sora,Arial,sans-serif;font-size:20px;margin:0 0 16px;">New lead from the website</h1>
+        <table role="presentation" cellpadding="0" cellspacing="0">${fieldRows(leadFields(lead))}
+        </table>${messageBlock('Message', lead.message)}
+        <p style="margin:24px 0 0;">
+          <a href="${adminUrl}" style="display:inline-block;background:#00E0C6;color:#121A2F;font-weight:600;text-decoration:none;padding:12px 20px;border-radius:999px;">Open in dashboard</a>
+        </p>`);
+
+  const text = [
+    'New lead from the website',
+    '',
+    ...leadFields(lead).map(([label, value]) => `${label}: ${value}`),
+    '',
+    ...(lead.message ? ['Message:', lead.message, ''] : []),
+    `Open in dashboard: ${adminUrl}`,
+    `Lead ID: ${lead.id}`
+  ].join('\n');
+
+  return { subject, html, text };
+};
+
+// ==========================================================================
+// Prospect Acknowledgement
+// ==========================================================================
+
+// Leads saved before they had a locale get the English email
+const leadAcknowledgement = (lead, locale = lead.locale || DEFAULT_LOCALE) => {
+  const t = getTranslator(locale);
+  const subject = t('mail.acknowledgementSubject');
+  const booking = bookingSentence(lead, t);
+
+  const html = layout(subject, `
+        <h1 style="font-family:Sora,Arial,sans-serif;font-size:20px;margin:0 0 16px;">${escapeHtml(t('mail.greeting', { name: lead.name }))}</h1>
+        <p style="margin:0 0 16px;">${escapeHtml(t('mail.thanks'))}</p>${booking ? `
+        <p style="margin:0 0 16px;font-weight:600;">${escapeHtml(booking)}</p>` : ''}${messageBlock(t('mail.yourMessage'), lead.message)}
+        <p style="margin:24px 0 0;">${escapeHtml(t('mail.signOff'))}<br>Tristan Trinidad<br><span style="color:#6B7280;">${escapeHtml(t('mail.founder'))}</span></p>`, locale);
+
+  const text = [
+    t('mail.greeting', { name: lead.name }),
+    '',
+    t('mail.thanks'),
+    '',
+    ...(booking ? [booking, ''] : []),
+    ...(lead.message ? [t('mail.yourMessage'), lead.message, ''] : []),
+    t('mail.signOff'),
+    'Tristan Trinidad',
+    t('mail.founder'),
+    SITE_URL
+  ].join('\n');
+
+  return { subject, html, text };
+};
+
+module.exports = {
+  escapeHtml,
+  newLeadAlert,
+  leadAcknowledgement
+};
@@ -0,0 +1,178 @@
+/**
+ * Mailer
+ * Queues outgoing email and delivers it through the transport chosen by
+ * MAIL_TRANSPORT: "smtp", "file" (writes .eml files for local testing) or
+ * "disabled". Failed sends are retried with backoff, so a mail outage
+ * never affects the request that queued the message.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { createId, createCollection } = require('./store');
+const { getService } = require('./services');
+const { getQuote } = require('./quotes');
+const { getBooking, formatSlot, bookingIcs } = require('./bookings');
+const { newLeadAlert, leadAcknowledgement } = require('./mail-templates');
+const { config } = require('./config');
+
+const TRANSPORT = config.mail.transport;
+const MAIL_FROM = config.mail.from;
+const OWNER_EMAIL = config.mail.ownerTo;
+const FILE_DIR = config.mail.fileDir;
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 60 * 1000;
+const QUEUE_INTERVAL_MS = 30 * 1000;
+
+const queue = createCollection('mail-queue');
+
+// ==========================================================================
+// Transports
+// ==========================================================================
+
+const createTransport = () => {
+  switch (TRANSPORT) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: config.mail.smtp.host,
+        port: config.mail.smtp.port,
+        secure: config.mail.smtp.secure,
+        auth: config.mail.smtp.user ? {
+          user: config.mail.smtp.user,
+          pass: config.mail.smtp.pass
+        } : undefined
+      });
+
+    case 'file': {
+      // Render the full RFC 822 message, then save it where a mail client can open it
+      const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      return {
+        sendMail: async (message) => {
+          const info = await stream.sendMail(message);
+          fs.mkdirSync(FILE_DIR, { recursive: true });
+          const file = path.join(FILE_DIR, `${message.messageId.replace(/^<|@.*$/g, '')}.eml`);
+          fs.writeFileSync(file, info.message);
+          return { ...info, file };
+        }
+      };
+    }
+
+    default:
+      return null;
+  }
+};
+
+const transport = createTransport();
+
+const isMailEnabled = () => Boolean(transport);
+
+// ==========================================================================
+// Queue
+// ==========================================================================
+
+let processing = false;
+
+const deliver = async (job) => {
+  try {
+    await transport.sendMail({
+      messageId: `<${job.id}@mnl-ai.com>`,
+      from: MAIL_FROM,
+      to: job.to,
+      replyTo: job.replyTo,
+      subject: job.subject,
+      html: job.html,
+      text: job.text,
+      attachments: job.attachments
+    });
+
+    queue.update(job.id, {
+      status: 'sent',
+      attempts: job.attempts + 1,
+      sentAt: new Date().toISOString()
+    });
+  } catch (error) {
+    const attempts = job.attempts + 1;
+    const giveUp = attempts >= MAX_ATTEMPTS;
+
+    console.error(`Mail ${job.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, error.message);
+
+    queue.update(job.id, {
+      status: giveUp ? 'failed' : 'pending',
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: Date.now() + RETRY_BASE_MS * Math.pow(2, attempts - 1)
+    });
+  }
+};
+
+const processQueue = async () => {
+  if (!transport || processing) return;
+  processing = true;
+
+  try {
+    const due = queue.all().filter(job => job.status === 'pending' && job.nextAttemptAt <= Date.now());
+    for (const job of due) {
+      await deliver(job);
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+const enqueue = (message) => {
+  const job = queue.insert({
+    id: createId('mail'),
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    createdAt: new Date().toISOString(),
+    ...message
+  });
+
+  setImmediate(() => processQueue().catch(error => console.error('Mail queue error:', error)));
+  return job;
+};
+
+setInterval(() => {
+  processQueue().catch(error => console.error('Mail queue error:', error));
+}, QUEUE_INTERVAL_MS).unref();
+
+// ==========================================================================
+// Notifications
+// ==========================================================================
+
+// Alert the owner and acknowledge the prospect for a newly stored lead
+const queueLeadNotifications = (lead) => {
+  if (!transport) return [];
+
+  const service = lead.service ? getService(lead.service) : null;
+  const quote = lead.quoteId ? getQuote(lead.quoteId) : null;
+  const booking = lead.bookingId ? getBooking(lead.bookingId) : null;
+  const context = {
+    ...lead,
+    serviceName: service ? service.name : null,
+    quote,
+    booking: booking ? { ...booking, label: formatSlot(booking.start) } : null
+  };
+
+  // Both sides get the calendar invite for a booked call
+  const attachments = booking ? [{
+    filename: 'mnl-ai-consult.ics',
+    content: bookingIcs(booking),
+    contentType: 'text/calendar; charset=utf-8; method=REQUEST'
+  }] : undefined;
+
+  return [
+    enqueue({ kind: 'lead-alert', leadId: lead.id, to: OWNER_EMAIL, replyTo: lead.email, attachments, ...newLeadAlert(context) }),
+    enqueue({ kind: 'lead-acknowledgement', leadId: lead.id, to: lead.email, replyTo: OWNER_EMAIL, attachments, ...leadAcknowledgement(context) })
+  ];
+};
+
+module.exports = {
+  TRANSPORT,
+  isMailEnabled,
+  enqueue,
+  processQueue,
+  queueLeadNotifications
+};
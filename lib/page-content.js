@@ -0,0 +1,126 @@
+/**
+ * Page Content
+ * The home page's stats, process steps, before/after showcase,
+ * testimonials and tool stack, kept in content/page.json and rendered by
+ * the page template. Entries are written in English with optional
+ * translations per locale, like the FAQ. Section headings and other
+ * interface text stay in the locale catalogs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { translateEntry: translate } = require('./i18n');
+
+const PAGE_FILE = path.join(__dirname, '..', 'content', 'page.json');
+const LISTS = ['stats', 'process', 'testimonials', 'stack'];
+
+// ==========================================================================
+// Loading
+// ==========================================================================
+
+const requireFields = (entry, fields, where) => {
+  return fields
+    .filter(field => typeof entry[field] !== 'string' || !entry[field].trim())
+    .map(field => `${where}: ${field} is required`);
+};
+
+// A typo here would break the page for everyone, so refuse to start
+const validateContent = (content) => {
+  const problems = [];
+
+  LISTS.forEach(list => {
+    const entries = content[list];
+    if (!Array.isArray(entries)) {
+      problems.push(`${list} must be a list`);
+      return;
+    }
+
+    const ids = entries.map(entry => entry.id);
+    if (ids.some(id => !id)) problems.push(`${list}: every entry needs an id`);
+    if (new Set(ids).size !== ids.length) problems.push(`${list}: ids must be unique`);
+  });
+
+  (content.stats || []).forEach(stat => {
+    if (!Number.isFinite(stat.value)) problems.push(`stats/${stat.id}: value must be a number`);
+    problems.push(...requireFields(stat, ['label'], `stats/${stat.id}`));
+  });
+  (content.process || []).forEach(step => {
+    problems.push(...requireFields(step, ['title', 'text'], `process/${step.id}`));
+  });
+  (content.testimonials || []).forEach(testimonial => {
+    problems.push(...requireFields(testimonial, ['name', 'quote'], `testimonials/${testimonial.id}`));
+    if (testimonial.rating !== undefined && !(Number.isInteger(testimonial.rating) && testimonial.rating >= 1 && testimonial.rating <= 5)) {
+      problems.push(`testimonials/${testimonial.id}: rating must be a whole number from 1 to 5`);
+    }
+  });
+  (content.stack || []).forEach(tool => {
+    problems.push(...requireFields(tool, ['name', 'icon'], `stack/${tool.id}`));
+  });
+
+  const showcase = content.showcase || {};
+  ['before', 'after'].forEach(side => {
+    problems.push(...requireFields(showcase[side] || {}, ['label', 'image'], `showcase/${side}`));
+  });
+  (showcase.results || []).forEach(result => {
+    if (!result.featuredService) problems.push(...requireFields(result, ['value'], `showcase/results/${result.id}`));
+    problems.push(...requireFields(result, ['label'], `showcase/results/${result.id}`));
+  });
+
+  return problems;
+};
+
+const loadContent = () => {
+  const content = JSON.parse(fs.readFileSync(PAGE_FILE, 'utf8'));
+  const problems = validateContent(content);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${path.basename(PAGE_FILE)}:\n  ${problems.join('\n  ')}`);
+  }
+
+  return content;
+};
+
+const content = loadContent();
+
+// ==========================================================================
+// Localizing
+// ==========================================================================
+
+// Counters animate from zero to the value; the rest show it as written
+const localizeStat = (stat, locale) => {
+  const entry = translate(stat, locale);
+  return {
+    ...entry,
+    prefix: entry.prefix || '',
+    suffix: entry.suffix || '',
+    animate: entry.animate !== false,
+    display: `${entry.prefix || ''}${entry.value}${entry.suffix || ''}`
+  };
+};
+
+/**
+ * Everything the page template needs from the content file, translated for
+ * the locale. Process steps are numbered in order ("01", "02", ...).
+ */
+const getPageContent = ({ locale } = {}) => {
+  const { showcase } = content;
+
+  return {
+    stats: content.stats.map(stat => localizeStat(stat, locale)),
+    process: content.process.map((step, index) => ({
+      ...translate(step, locale),
+      number: String(index + 1).padStart(2, '0')
+    })),
+    showcase: {
+      before: translate(showcase.before, locale),
+      after: translate(showcase.after, locale),
+      results: (showcase.results || []).map(result => translate(result, locale))
+    },
+    testimonials: content.testimonials.map(testimonial => translate(testimonial, locale)),
+    stack: content.stack.map(tool => translate(tool, locale))
+  };
+};
+
+module.exports = {
+  getPageContent
+};
@@ -0,0 +1,22 @@
+/**
+ * Privacy Policy
+ * The /privacy page's sections, kept in content/privacy.json with
+ * translations per locale like the rest of the page content.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { translateEntry } = require('./i18n');
+
+const PRIVACY_FILE = path.join(__dirname, '..', 'content', 'privacy.json');
+
+const { updatedAt, sections } = JSON.parse(fs.readFileSync(PRIVACY_FILE, 'utf8'));
+
+const getPrivacyPolicy = ({ locale } = {}) => ({
+  updatedAt,
+  sections: sections.map(section => translateEntry(section, locale))
+});
+
+module.exports = {
+  getPrivacyPolicy
+};
@@ -0,0 +1,231 @@
+/**
+ * Promotions
+ * Percentage or fixed discounts with optional date windows, service
+ * targeting and promo codes. Effective prices are always computed at
+ * request time, so an expired promotion disappears on its own.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createCollection } = require('./store');
+const { listServices } = require('./services');
+
+const SEED_FILE = path.join(__dirname, '..', 'content', 'promotions.json');
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const PROMOTION_TYPES = ['percentage', 'fixed'];
+
+const promotions = createCollection('promotions');
+
+// First boot: copy the bundled promotions into the store
+if (!fs.existsSync(promotions.file)) {
+  const now = new Date().toISOString();
+  JSON.parse(fs.readFileSync(SEED_FILE, 'utf8')).forEach(promotion => {
+    promotions.insert({ ...promotion, createdAt: now, updatedAt: now });
+  });
+}
+
+// ==========================================================================
+// Validation
+// ==========================================================================
+
+const isDate = (value) => value === null || (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+
+// Validates a full promotion record, returning { field, code, message } errors
+const validatePromotion = (promotion) => {
+  const errors = [];
+  const fail = (field, code, message) => errors.push({ field, code, message });
+
+  if (typeof promotion.id !== 'string' || !ID_PATTERN.test(promotion.id)) {
+    fail('id', 'invalid', 'ID must be lowercase letters, numbers and dashes');
+  }
+
+  if (typeof promotion.name !== 'string' || !promotion.name.trim()) {
+    fail('name', 'required', 'Name is required');
+  }
+
+  if (typeof promotion.label !== 'string' || !promotion.label.trim()) {
+    fail('label', 'required', 'Label is required');
+  } else if (promotion.label.length > 40) {
+    fail('label', 'too_long', 'Label must be at most 40 characters long');
+  }
+
+  if (!PROMOTION_TYPES.includes(promotion.type)) {
+    fail('type', 'invalid', `Type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+  }
+
+  if (typeof promotion.value !== 'number' || !(promotion.value > 0)) {
+    fail('value', 'invalid', 'Value must be a number greater than zero');
+  } else if (promotion.type === 'percentage' && promotion.value > 100) {
+    fail('value', 'invalid', 'A percentage discount cannot exceed 100');
+  }
+
+  if (!Array.isArray(promotion.serviceIds) || promotion.serviceIds.some(id => typeof id !== 'string')) {
+    fail('serviceIds', 'invalid', 'Service IDs must be a list (empty for every service)');
+  }
+
+  if (promotion.code !== null && (typeof promotion.code !== 'string' || !/^[A-Za-z0-9_-]{3,30}$/.test(promotion.code))) {
+    fail('code', 'invalid', 'Promo code must be 3-30 letters, numbers, dashes or underscores');
+  }
+
+  if (!isDate(promotion.startsAt)) {
+    fail('startsAt', 'invalid', 'Start date must be an ISO date or null');
+  }
+
+  if (!isDate(promotion.endsAt)) {
+    fail('endsAt', 'invalid', 'End date must be an ISO date or null');
+  } else if (promotion.startsAt && promotion.endsAt && Date.parse(promotion.endsAt) <= Date.parse(promotion.startsAt)) {
+    fail('endsAt', 'invalid', 'End date must be after the start date');
+  }
+
+  if (typeof promotion.active !== 'boolean') {
+    fail('active', 'invalid', 'Active must be true or false');
+  }
+
+  return errors;
+};
+
+// ==========================================================================
+// Storage
+// ==========================================================================
+
+const listPromotions = () => {
+  return promotions.all().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+const getPromotion = (id) => promotions.get(id);
+
+const pickFields = (input) => {
+  const fields = ['id', 'name', 'label', 'type', 'value', 'serviceIds', 'code', 'startsAt', 'endsAt', 'active'];
+  return fields.reduce((picked, field) => {
+    if (input[field] !== undefined) picked[field] = input[field];
+    return picked;
+  }, {});
+};
+
+const createPromotion = (input) => {
+  const now = new Date().toISOString();
+  const promotion = {
+    serviceIds: [],
+    code: null,
+    startsAt: null,
+    endsAt: null,
+    active: true,
+    ...pickFields(input),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const errors = validatePromotion(promotion);
+  if (!errors.length && promotions.get(promotion.id)) {
+    errors.push({ field: 'id', code: 'taken', message: `A promotion with ID "${promotion.id}" already exists` });
+  }
+  if (errors.length) return { errors };
+
+  return { promotion: promotions.insert(promotion), errors };
+};
+
+// Returns null when the promotion does not exist
+const updatePromotion = (id, input) => {
+  const current = promotions.get(id);
+  if (!current) return null;
+
+  const changes = pickFields(input);
+  delete changes.id;
+
+  const errors = validatePromotion({ ...current, ...changes });
+  if (errors.length) return { errors };
+
+  const promotion = promotions.update(id, { ...changes, updatedAt: new Date().toISOString() });
+  return { promotion, errors };
+};
+
+const deletePromotion = (id) => promotions.remove(id);
+
+// ==========================================================================
+// Pricing Engine
+// ==========================================================================
+
+const isRunning = (promotion, now) => {
+  if (!promotion.active) return false;
+  if (promotion.startsAt && Date.parse(promotion.startsAt) > now) return false;
+  if (promotion.endsAt && Date.parse(promotion.endsAt) <= now) return false;
+  return true;
+};
+
+// Code-only promotions apply when the visitor supplied the matching code.
+// Codes come straight from the query string, where ?promo=a&promo=b is an array
+const appliesTo = (promotion, serviceId, promoCode) => {
+  if (promotion.serviceIds.length > 0 && !promotion.serviceIds.includes(serviceId)) return false;
+  if (!promotion.code) return true;
+  return typeof promoCode === 'string' && promotion.code.toLowerCase() === promoCode.toLowerCase();
+};
+
+const discountFor = (promotion, price) => {
+  const discount = promotion.type === 'percentage'
+    ? Math.round(price * promotion.value / 100)
+    : promotion.value;
+  return Math.min(discount, price);
+};
+
+// Public view of a promotion: the code is only echoed back to whoever sent it
+const summarize = (promotion) => ({
+  id: promotion.id,
+  label: promotion.label,
+  type: promotion.type,
+  value: promotion.value,
+  endsAt: promotion.endsAt,
+  code: promotion.code
+});
+
+// Picks the biggest discount that currently applies to a service. When that
+// promotion has an end date, "afterPromotion" says what the price becomes
+// once it ends (the regular price, or the next best running promotion).
+const priceService = (service, { promoCode = null, now = Date.now(), lookAhead = true } = {}) => {
+  let best = null;
+  let bestDiscount = 0;
+
+  if (service.regularPrice !== null) {
+    promotions.all()
+      .filter(promotion => isRunning(promotion, now) && appliesTo(promotion, service.id, promoCode))
+      .forEach(promotion => {
+        const discount = discountFor(promotion, service.regularPrice);
+        if (discount > bestDiscount) {
+          best = promotion;
+          bestDiscount = discount;
+        }
+      });
+  }
+
+  const effectivePrice = service.regularPrice === null ? null : service.regularPrice - bestDiscount;
+
+  let afterPromotion = null;
+  if (best && best.endsAt && lookAhead) {
+    const next = priceService(service, { promoCode, now: Date.parse(best.endsAt), lookAhead: false });
+    afterPromotion = { effectivePrice: next.effectivePrice, promotion: next.promotion };
+  }
+
+  return {
+    ...service,
+    effectivePrice,
+    // Kept for clients written against the original API
+    startingPrice: effectivePrice,
+    discount: bestDiscount,
+    discountPercent: best ? Math.round(bestDiscount / service.regularPrice * 100) : 0,
+    promotion: best ? summarize(best) : null,
+    afterPromotion
+  };
+};
+
+const listPricedServices = (options) => listServices().map(service => priceService(service, options));
+
+module.exports = {
+  PROMOTION_TYPES,
+  validatePromotion,
+  listPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  priceService,
+  listPricedServices
+};
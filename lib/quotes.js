@@ -0,0 +1,73 @@
+/**
+ * Quotes
+ * Priced proposals built from a visitor's service, add-on and timeline
+ * selection. Quote ids are long random tokens so a quote can be shared by
+ * link without exposing anyone else's.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+const { listPricedServices } = require('./promotions');
+const { calculate } = require('../shared/quote-calculator');
+const { getDocumentSettings, nextDocumentNumber } = require('./documents');
+
+const OPTIONS_FILE = path.join(__dirname, '..', 'content', 'quote-options.json');
+const DAY = 24 * 60 * 60 * 1000;
+
+const quoteOptions = JSON.parse(fs.readFileSync(OPTIONS_FILE, 'utf8'));
+const quotes = createCollection('quotes');
+
+const createQuoteId = () => `quote_${crypto.randomBytes(12).toString('base64url')}`;
+
+const getQuoteOptions = () => quoteOptions;
+
+// Prices a selection without saving it; returns the calculator result
+const priceSelection = (selection, { promoCode = null } = {}) => {
+  const result = calculate(selection, listPricedServices({ promoCode }), quoteOptions);
+
+  const hasItems = result.lineItems.some(item => item.type !== 'timeline');
+  if (!result.errors.length && !hasItems) {
+    result.errors.push({ field: 'services', code: 'required', message: 'Choose at least one service or add-on' });
+  }
+
+  return result;
+};
+
+const saveQuote = (priced, { selection, promoCode = null, leadId = null }) => {
+  const { errors, ...totals } = priced;
+  const now = new Date();
+
+  return quotes.insert({
+    id: createQuoteId(),
+    number: nextDocumentNumber(getDocumentSettings().quote.prefix, now),
+    leadId,
+    selection,
+    promoCode,
+    ...totals,
+    validUntil: new Date(now.getTime() + quoteOptions.validityDays * DAY).toISOString(),
+    createdAt: now.toISOString()
+  });
+};
+
+const getQuote = (id) => quotes.get(id);
+
+// Quotes saved before document numbers existed get one when first needed
+const ensureQuoteNumber = (quote) => {
+  if (quote.number) return quote;
+  return quotes.update(quote.id, {
+    number: nextDocumentNumber(getDocumentSettings().quote.prefix, new Date(quote.createdAt))
+  });
+};
+
+const isExpired = (quote) => Date.parse(quote.validUntil) < Date.now();
+
+module.exports = {
+  getQuoteOptions,
+  priceSelection,
+  saveQuote,
+  getQuote,
+  ensureQuoteNumber,
+  isExpired
+};
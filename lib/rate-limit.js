@@ -0,0 +1,79 @@
+/**
+ * Rate Limiting
+ * In-memory sliding-window counters keyed by IP, email or anything else
+ */
+
+const { retryWait } = require('./i18n');
+
+const createRateLimiter = ({ windowMs, max }) => {
+  const hits = new Map();
+
+  // Forget keys whose window has fully passed
+  setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    hits.forEach((times, key) => {
+      const recent = times.filter(time => time > cutoff);
+      if (recent.length === 0) {
+        hits.delete(key);
+      } else {
+        hits.set(key, recent);
+      }
+    });
+  }, Math.min(windowMs, 10 * 60 * 1000)).unref();
+
+  return {
+    // Record a hit and report whether it is within the limit
+    hit(key) {
+      const now = Date.now();
+      const times = (hits.get(key) || []).filter(time => time > now - windowMs);
+
+      if (times.length >= max) {
+        hits.set(key, times);
+        return {
+          allowed: false,
+          retryAfter: Math.ceil((times[0] + windowMs - now) / 1000)
+        };
+      }
+
+      times.push(now);
+      hits.set(key, times);
+      return { allowed: true, remaining: max - times.length };
+    },
+
+    reset(key) {
+      hits.delete(key);
+    }
+  };
+};
+
+const retryMessage = (seconds) => {
+  const minutes = Math.ceil(seconds / 60);
+  return minutes <= 1 ? 'a minute' : `${minutes} minutes`;
+};
+
+// Express middleware that answers 429 once a client goes over the limit.
+// messageKey names a translated message with a {wait} placeholder.
+const rateLimit = ({ windowMs, max, key = (req) => req.ip, message = 'Too many requests', messageKey }) => {
+  const limiter = createRateLimiter({ windowMs, max });
+
+  return (req, res, next) => {
+    const result = limiter.hit(key(req));
+    if (result.allowed) return next();
+
+    res.setHeader('Retry-After', result.retryAfter);
+    res.status(429).json({
+      success: false,
+      code: 'rate_limited',
+      error: messageKey && req.t
+        ? req.t(messageKey, { wait: retryWait(req.t, result.retryAfter) })
+        : `${message}. Please try again in ${retryMessage(result.retryAfter)}.`,
+      retryAfter: result.retryAfter
+    });
+  };
+};
+
+module.exports = {
+  createRateLimiter,
+  rateLimit,
+  retryMessage
+};
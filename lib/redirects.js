@@ -0,0 +1,73 @@
+/**
+ * Redirects
+ * Permanent redirects for moved URLs, kept in content/redirects.json as
+ * { from, to } pairs. "from" is a path on this site; "to" is a path or a
+ * full URL. The visitor's query string is carried over, so campaign
+ * parameters on old links still count. Use "status" for anything other
+ * than a 301.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REDIRECTS_FILE = path.join(__dirname, '..', 'content', 'redirects.json');
+const STATUSES = [301, 302, 307, 308];
+
+// "/services/" and "/services" are the same old URL
+const normalize = (pathname) => (pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname);
+
+// A bad entry could loop visitors forever, so refuse to start
+const loadRedirects = () => {
+  const { redirects } = JSON.parse(fs.readFileSync(REDIRECTS_FILE, 'utf8'));
+  const problems = [];
+  const sources = redirects.map(redirect => normalize(String(redirect.from || '')));
+
+  redirects.forEach((redirect, index) => {
+    const from = sources[index];
+    const to = String(redirect.to || '');
+
+    if (!from.startsWith('/') || from.startsWith('/api/')) problems.push(`"${redirect.from}": from must be a page path starting with "/", outside /api/`);
+    if (!to.startsWith('/') && !/^https?:\/\//.test(to)) problems.push(`"${redirect.from}": to must be a path or an http(s) URL`);
+    if (redirect.status !== undefined && !STATUSES.includes(redirect.status)) {
+      problems.push(`"${redirect.from}": status must be one of ${STATUSES.join(', ')}`);
+    }
+
+    // Chains and loops: the target must not be redirected itself
+    const target = normalize(to.split(/[?#]/)[0]);
+    if (to.startsWith('/') && sources.includes(target)) problems.push(`"${redirect.from}": ${to} is redirected again`);
+  });
+
+  if (new Set(sources).size !== sources.length) problems.push('each "from" path may only be listed once');
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${path.basename(REDIRECTS_FILE)}:\n  ${problems.join('\n  ')}`);
+  }
+
+  return new Map(redirects.map((redirect, index) => [sources[index], redirect]));
+};
+
+const redirectsByPath = loadRedirects();
+
+// Where the redirect sends this request, with the query string kept
+const redirectTarget = (redirect, query) => {
+  if (!query) return redirect.to;
+
+  const [beforeHash, hash] = redirect.to.split('#');
+  const separator = beforeHash.includes('?') ? '&' : '?';
+  return `${beforeHash}${separator}${query}${hash !== undefined ? `#${hash}` : ''}`;
+};
+
+// Redirects GET and HEAD requests for moved URLs; everything else passes
+const redirectMiddleware = () => (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+  const redirect = redirectsByPath.get(normalize(req.path));
+  if (!redirect) return next();
+
+  const query = req.url.slice(req.path.length).replace(/^\?/, '');
+  res.redirect(redirect.status || 301, redirectTarget(redirect, query));
+};
+
+module.exports = {
+  redirects: redirectMiddleware
+};
@@ -0,0 +1,203 @@
+/**
+ * Real-User Monitoring
+ * Core Web Vitals (LCP, CLS, INP, TTFB), page load time, long tasks,
+ * script errors with stack traces and failed image loads, as measured in
+ * visitors' browsers. Samples are kept per day with only the page path and
+ * device class, and the report gives percentiles by device class.
+ */
+
+const { createDailyLog } = require('./store');
+const { DEVICES, dayOf, cleanText, cleanPath } = require('./analytics');
+const { config } = require('./config');
+
+const RETENTION_DAYS = config.retentionDays.rum;
+const MAX_BATCH = 50;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Upper bounds for "good" and "needs improvement", per web.dev
+const METRICS = {
+  LCP: { unit: 'ms', good: 2500, poor: 4000, max: 60000 },
+  CLS: { unit: '', good: 0.1, poor: 0.25, max: 10 },
+  INP: { unit: 'ms', good: 200, poor: 500, max: 60000 },
+  TTFB: { unit: 'ms', good: 800, poor: 1800, max: 60000 },
+  load: { unit: 'ms', good: 3000, poor: 6000, max: 120000 }
+};
+
+const PERCENTILES = [50, 75, 95];
+
+const samples = createDailyLog('rum');
+
+// ==========================================================================
+// Sanitizing
+// ==========================================================================
+
+const inRange = (value, max) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max;
+
+// Keeps function names and script paths, drops origins and query strings
+const cleanStack = (stack) => {
+  if (typeof stack !== 'string') return null;
+  const lines = stack.split('\n').slice(0, 12).map(line => {
+    return line.replace(/https?:\/\/[^/\s)]+/g, '').replace(/\?[^:\s)]*/g, '');
+  });
+  return cleanText(lines.join('\n'), 2000);
+};
+
+const cleanEntry = (entry) => {
+  if (!entry || typeof entry !== 'object') return null;
+
+  switch (entry.type) {
+    case 'metric': {
+      const metric = METRICS[entry.name];
+      if (!metric || !inRange(entry.value, metric.max)) return null;
+      const value = entry.name === 'CLS' ? Math.round(entry.value * 1000) / 1000 : Math.round(entry.value);
+      return { type: 'metric', name: entry.name, value };
+    }
+    case 'longtask':
+      if (!inRange(entry.duration, 60000)) return null;
+      return { type: 'longtask', duration: Math.round(entry.duration) };
+    case 'error': {
+      const message = cleanText(entry.message, 300);
+      if (!message) return null;
+      return {
+        type: 'error',
+        kind: entry.kind === 'rejection' ? 'rejection' : 'error',
+        message,
+        source: cleanPath(entry.source),
+        line: inRange(entry.line, 1e7) ? Math.round(entry.line) : null,
+        column: inRange(entry.column, 1e7) ? Math.round(entry.column) : null,
+        stack: cleanStack(entry.stack)
+      };
+    }
+    case 'image': {
+      const src = cleanPath(entry.src);
+      if (!src) return null;
+      return { type: 'image', src, background: entry.background === true };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Records one batch: { context: { path, device }, entries: [...] } where
+ * each entry is a metric ({ name, value }), longtask ({ duration }), error
+ * ({ kind, message, source, line, column, stack }) or image ({ src }).
+ * Returns the number of entries kept, or null for a malformed batch.
+ */
+const recordBatch = (batch, now = Date.now()) => {
+  if (!batch || !Array.isArray(batch.entries) || batch.entries.length > MAX_BATCH) return null;
+
+  const context = batch.context || {};
+  const page = cleanPath(context.path) || '/';
+  const device = DEVICES.includes(context.device) ? context.device : 'unknown';
+  const at = new Date(now).toISOString();
+
+  const entries = batch.entries.map(cleanEntry).filter(Boolean);
+  samples.append(dayOf(now), entries.map(entry => ({ at, path: page, device, ...entry })));
+  return entries.length;
+};
+
+const pruneSamples = () => samples.prune(dayOf(Date.now() - RETENTION_DAYS * DAY));
+
+pruneSamples();
+setInterval(pruneSamples, DAY).unref();
+
+// ==========================================================================
+// Reports
+// ==========================================================================
+
+// Nearest-rank percentile of a sorted list
+const percentile = (sorted, p) => sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+
+const summarize = (values, metric) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const summary = { count: sorted.length };
+  PERCENTILES.forEach(p => {
+    summary[`p${p}`] = sorted.length ? percentile(sorted, p) : null;
+  });
+
+  if (metric) {
+    const good = sorted.filter(value => value <= metric.good).length;
+    const poor = sorted.filter(value => value > metric.poor).length;
+    summary.good = sorted.length ? Math.round((good / sorted.length) * 1000) / 10 : null;
+    summary.poor = sorted.length ? Math.round((poor / sorted.length) * 1000) / 10 : null;
+  }
+
+  return summary;
+};
+
+// { all: summary, mobile: summary, ... } for the values picked from entries
+const byDevice = (entries, pick, metric) => {
+  const groups = { all: [] };
+  DEVICES.forEach(device => {
+    groups[device] = [];
+  });
+
+  entries.forEach(entry => {
+    const value = pick(entry);
+    groups.all.push(value);
+    if (groups[entry.device]) groups[entry.device].push(value);
+  });
+
+  return Object.fromEntries(Object.entries(groups).map(([device, values]) => [device, summarize(values, metric)]));
+};
+
+/**
+ * Percentiles by device class for each metric and for long tasks, plus
+ * script errors and failed images grouped with counts, for the Manila
+ * dates from..to (default: the last 7 days).
+ */
+const getReport = ({ from, to } = {}) => {
+  const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const end = isDate(to) ? to : dayOf(Date.now());
+  const start = isDate(from) ? from : dayOf(Date.parse(`${end}T12:00:00Z`) - 6 * DAY);
+  const entries = samples.read(start, end);
+
+  const metrics = Object.entries(METRICS).map(([name, metric]) => ({
+    name,
+    unit: metric.unit,
+    thresholds: { good: metric.good, poor: metric.poor },
+    devices: byDevice(entries.filter(entry => entry.type === 'metric' && entry.name === name), entry => entry.value, metric)
+  }));
+
+  const longTasks = byDevice(entries.filter(entry => entry.type === 'longtask'), entry => entry.duration);
+
+  const errors = new Map();
+  entries.filter(entry => entry.type === 'error').forEach(entry => {
+    const key = `${entry.kind}|${entry.message}|${entry.source}|${entry.line}`;
+    const group = errors.get(key) || { ...entry, count: 0, devices: {}, paths: {}, firstSeen: entry.at, lastSeen: entry.at };
+    group.count += 1;
+    group.devices[entry.device] = (group.devices[entry.device] || 0) + 1;
+    group.paths[entry.path] = (group.paths[entry.path] || 0) + 1;
+    group.lastSeen = entry.at;
+    if (entry.stack) group.stack = entry.stack;
+    errors.set(key, group);
+  });
+
+  const images = new Map();
+  entries.filter(entry => entry.type === 'image').forEach(entry => {
+    const group = images.get(entry.src) || { src: entry.src, background: entry.background, count: 0, lastSeen: entry.at };
+    group.count += 1;
+    group.lastSeen = entry.at;
+    images.set(entry.src, group);
+  });
+
+  return {
+    from: start,
+    to: end,
+    metrics,
+    longTasks,
+    errors: [...errors.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 50)
+      .map(({ type, device, path, at, ...group }) => group),
+    images: [...images.values()].sort((a, b) => b.count - a.count)
+  };
+};
+
+module.exports = {
+  MAX_BATCH,
+  METRICS,
+  recordBatch,
+  getReport
+};
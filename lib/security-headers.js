@@ -0,0 +1,93 @@
+/**
+ * Security Headers
+ * A Content-Security-Policy with a fresh nonce per response (pages put it
+ * on their <script> tags as cspNonce), HSTS, Referrer-Policy,
+ * Permissions-Policy and cross-origin isolation headers.
+ *
+ * CSP_MODE: "enforce" (default), "report-only" (violations are reported
+ * to /api/csp-report but nothing is blocked, for trying a stricter policy
+ * first) or "off". HSTS_MAX_AGE sets the HSTS lifetime in seconds (0
+ * turns it off); it is only sent in production, where TLS is guaranteed.
+ */
+
+const crypto = require('crypto');
+const { config } = require('./config');
+
+const REPORT_PATH = '/api/csp-report';
+
+const settings = config.security;
+
+// ==========================================================================
+// Policy
+// ==========================================================================
+
+/**
+ * Scripts only from this origin or carrying the nonce. Style attributes
+ * are allowed (the blur placeholders in views/partials/picture.ejs use
+ * them, and they cannot run script); <style> and stylesheets must come
+ * from this origin, Google Fonts or carry the nonce.
+ */
+const cspDirectives = (nonce, { upgrade }) => ({
+  'default-src': ["'self'"],
+  'script-src': ["'self'", `'nonce-${nonce}'`],
+  'style-src': ["'self'", `'nonce-${nonce}'`, 'https://fonts.googleapis.com'],
+  'style-src-attr': ["'unsafe-inline'"],
+  'font-src': ["'self'", 'https://fonts.gstatic.com'],
+  'img-src': ["'self'", 'data:'],
+  'connect-src': ["'self'"],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+  'frame-ancestors': ["'none'"],
+  ...(upgrade ? { 'upgrade-insecure-requests': [] } : {}),
+  'report-uri': [REPORT_PATH],
+  'report-to': ['csp']
+});
+
+const serializePolicy = (directives) => Object.entries(directives)
+  .map(([name, values]) => [name, ...values].join(' '))
+  .join('; ');
+
+// Images are shared beyond the site (link previews, email), everything else is not
+const resourcePolicy = (req) => (req.path.startsWith('/assets/') ? 'cross-origin' : 'same-origin');
+
+// ==========================================================================
+// Middleware
+// ==========================================================================
+
+/**
+ * Sets the headers on every response and res.locals.cspNonce for the
+ * views. Options override the environment settings.
+ */
+const securityHeaders = (options = {}) => {
+  const { cspMode: mode, hstsMaxAge } = { ...settings, ...options };
+
+  return (req, res, next) => {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.locals.cspNonce = nonce;
+
+    if (mode !== 'off') {
+      const header = mode === 'report-only' ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy';
+      res.setHeader(header, serializePolicy(cspDirectives(nonce, { upgrade: hstsMaxAge > 0 && mode === 'enforce' })));
+      res.setHeader('Reporting-Endpoints', `csp="${REPORT_PATH}"`);
+    }
+
+    if (hstsMaxAge > 0) {
+      res.setHeader('Strict-Transport-Security', `max-age=${hstsMaxAge}; includeSubDomains`);
+    }
+
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+    res.setHeader('Permissions-Policy', 'camera=(), microphone=(), geolocation=(), payment=(), usb=(), browsing-topics=()');
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+    res.setHeader('Cross-Origin-Resource-Policy', resourcePolicy(req));
+    next();
+  };
+};
+
+module.exports = {
+  CSP_MODE: config.security.cspMode,
+  REPORT_PATH,
+  securityHeaders
+};
@@ -0,0 +1,207 @@
+/**
+ * SEO
+ * Absolute URLs built from SITE_URL, the sitemap and robots.txt, and the
+ * schema.org structured data for the business, its services (with PHP
+ * offers) and the client reviews from the testimonials.
+ */
+
+const { LOCALES, DEFAULT_LOCALE, getTranslator, localePath } = require('./i18n');
+const { listServices } = require('./services');
+const { listCaseStudies } = require('./case-studies');
+const { getPrivacyPolicy } = require('./privacy');
+const { config } = require('./config');
+
+const SITE_URL = config.siteUrl;
+const DEFAULT_IMAGE = '/assets/branding/og-image.png';
+const BUSINESS_ID = `${SITE_URL}/#business`;
+
+const BUSINESS = {
+  name: config.business.name,
+  email: config.business.email,
+  founder: 'Tristan Trinidad',
+  locality: 'Manila',
+  region: 'Metro Manila',
+  country: 'PH'
+};
+
+// "/fil/privacy" becomes "https://mnl-ai.com/fil/privacy"; full URLs pass through
+const absoluteUrl = (pathname = '/') => {
+  return /^https?:\/\//.test(pathname) ? pathname : `${SITE_URL}${pathname.startsWith('/') ? '' : '/'}${pathname}`;
+};
+
+// ==========================================================================
+// Sitemap
+// ==========================================================================
+
+/**
+ * Every page the site serves, as paths without the language prefix, with
+ * the date it last changed where that is known. Each page exists in every
+ * locale.
+ */
+const listPages = () => [
+  { path: '/' },
+  ...listServices().map(service => ({ path: `/services/${service.id}`, lastModified: service.updatedAt })),
+  ...listCaseStudies().map(caseStudy => ({ path: `/case-studies/${caseStudy.id}` })),
+  { path: '/privacy', lastModified: getPrivacyPolicy().updatedAt }
+];
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// One <url> per page and language, each listing all its language versions
+// (locales: the languages switched on, see lib/flags.js)
+const sitemapXml = ({ locales = LOCALES } = {}) => {
+  const urls = listPages().flatMap(page => {
+    const alternates = [
+      ...locales.map(locale => ({ hreflang: locale, href: absoluteUrl(localePath(locale, page.path)) })),
+      { hreflang: 'x-default', href: absoluteUrl(localePath(DEFAULT_LOCALE, page.path)) }
+    ];
+
+    return locales.map(locale => [
+      '  <url>',
+      `    <loc>${escapeXml(absoluteUrl(localePath(locale, page.path)))}</loc>`,
+      ...(page.lastModified ? [`    <lastmod>${escapeXml(page.lastModified.slice(0, 10))}</lastmod>`] : []),
+      ...alternates.map(link => `    <xhtml:link rel="alternate" hreflang="${link.hreflang}" href="${escapeXml(link.href)}"/>`),
+      '  </url>'
+    ].join('\n'));
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+};
+
+// Admin, APIs and tracked partner links are not pages to index
+const robotsTxt = () => [
+  'User-agent: *',
+  'Disallow: /admin',
+  'Disallow: /api/',
+  'Disallow: /r/',
+  '',
+  `Sitemap: ${SITE_URL}/sitemap.xml`,
+  ''
+].join('\n');
+
+// ==========================================================================
+// Structured Data
+// ==========================================================================
+
+const serviceId = (service) => `${SITE_URL}/services/${service.id}#service`;
+
+const ratingOf = (value) => ({
+  '@type': 'Rating',
+  ratingValue: value,
+  bestRating: 5,
+  worstRating: 1
+});
+
+/**
+ * The business as a schema.org ProfessionalService (a kind of
+ * LocalBusiness), with the testimonials that have a rating as reviews and
+ * their average as the aggregate rating.
+ */
+const businessJsonLd = ({ locale, services = [], testimonials = [] } = {}) => {
+  const t = getTranslator(locale);
+  const rated = testimonials.filter(testimonial => testimonial.rating);
+  const business = {
+    '@type': 'ProfessionalService',
+    '@id': BUSINESS_ID,
+    name: BUSINESS.name,
+    description: t('meta.description'),
+    url: absoluteUrl(localePath(locale, '/')),
+    image: absoluteUrl(DEFAULT_IMAGE),
+    email: BUSINESS.email,
+    founder: { '@type': 'Person', name: BUSINESS.founder },
+    address: {
+      '@type': 'PostalAddress',
+      addressLocality: BUSINESS.locality,
+      addressRegion: BUSINESS.region,
+      addressCountry: BUSINESS.country
+    },
+    areaServed: { '@type': 'Country', name: 'Philippines' },
+    knowsLanguage: LOCALES,
+    currenciesAccepted: config.business.currency,
+    hasOfferCatalog: {
+      '@type': 'OfferCatalog',
+      name: 'Services',
+      itemListElement: services.map(service => ({ '@type': 'Offer', itemOffered: { '@id': serviceId(service) } }))
+    }
+  };
+
+  if (rated.length > 0) {
+    const average = rated.reduce((sum, testimonial) => sum + testimonial.rating, 0) / rated.length;
+    business.review = rated.map(testimonial => ({
+      '@type': 'Review',
+      author: { '@type': 'Person', name: testimonial.name },
+      reviewBody: testimonial.quote,
+      reviewRating: ratingOf(testimonial.rating)
+    }));
+    business.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: Math.round(average * 10) / 10,
+      reviewCount: rated.length,
+      bestRating: 5,
+      worstRating: 1
+    };
+  }
+
+  return business;
+};
+
+// A priced service (see lib/promotions.js) with its current price as the offer
+const serviceJsonLd = (service, { locale } = {}) => {
+  const url = absoluteUrl(localePath(locale, `/services/${service.id}`));
+  const node = {
+    '@type': 'Service',
+    '@id': serviceId(service),
+    name: service.name,
+    serviceType: service.name,
+    description: service.description,
+    url,
+    provider: { '@id': BUSINESS_ID, name: BUSINESS.name },
+    areaServed: { '@type': 'Country', name: 'Philippines' }
+  };
+
+  if (service.images) node.image = absoluteUrl(service.images.desktop);
+
+  // Custom-quote services have no price to offer
+  if (service.effectivePrice !== null && service.effectivePrice !== undefined) {
+    node.offers = {
+      '@type': 'Offer',
+      price: service.effectivePrice,
+      priceCurrency: service.currency,
+      url,
+      availability: 'https://schema.org/InStock'
+    };
+    if (service.promotion && service.promotion.endsAt) {
+      node.offers.priceValidUntil = service.promotion.endsAt.slice(0, 10);
+    }
+  }
+
+  return node;
+};
+
+// Several nodes in one script tag, each without its own @context
+const jsonLdGraph = (nodes) => ({
+  '@context': 'https://schema.org',
+  '@graph': nodes.map(({ '@context': context, ...node }) => node)
+});
+
+module.exports = {
+  SITE_URL,
+  DEFAULT_IMAGE,
+  absoluteUrl,
+  listPages,
+  sitemapXml,
+  robotsTxt,
+  businessJsonLd,
+  serviceJsonLd,
+  jsonLdGraph
+};
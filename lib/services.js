@@ -0,0 +1,154 @@
+/**
+ * Services Catalog
+ * Stored list of the services offered. The API, the services grid and the
+ * contact form all read from here, so prices can't drift between them.
+ * Discounts are not stored here; see lib/promotions.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createCollection } = require('./store');
+const { config } = require('./config');
+
+const SEED_FILE = path.join(__dirname, '..', 'content', 'services.json');
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const services = createCollection('services');
+
+// First boot: copy the bundled catalog into the store
+if (!fs.existsSync(services.file)) {
+  const now = new Date().toISOString();
+  JSON.parse(fs.readFileSync(SEED_FILE, 'utf8')).forEach(service => {
+    services.insert({ ...service, createdAt: now, updatedAt: now });
+  });
+}
+
+// ==========================================================================
+// Validation
+// ==========================================================================
+
+const isPrice = (value) => value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+const isAssetPath = (value) => typeof value === 'string' && value.startsWith('/');
+
+// Validates a full service record, returning { field, code, message } errors
+const validateService = (service) => {
+  const errors = [];
+  const fail = (field, code, message) => errors.push({ field, code, message });
+
+  if (typeof service.id !== 'string' || !ID_PATTERN.test(service.id)) {
+    fail('id', 'invalid', 'ID must be lowercase letters, numbers and dashes');
+  }
+
+  if (typeof service.name !== 'string' || !service.name.trim()) {
+    fail('name', 'required', 'Name is required');
+  } else if (service.name.length > 80) {
+    fail('name', 'too_long', 'Name must be at most 80 characters long');
+  }
+
+  if (typeof service.description !== 'string' || !service.description.trim()) {
+    fail('description', 'required', 'Description is required');
+  } else if (service.description.length > 300) {
+    fail('description', 'too_long', 'Description must be at most 300 characters long');
+  }
+
+  if (!isPrice(service.regularPrice)) {
+    fail('regularPrice', 'invalid', 'Regular price must be a positive number or null');
+  }
+
+  if (typeof service.currency !== 'string' || !/^[A-Z]{3}$/.test(service.currency)) {
+    fail('currency', 'invalid', 'Currency must be a three-letter code such as PHP');
+  }
+
+  if (service.images !== null &&
+      (typeof service.images !== 'object' || !isAssetPath(service.images.desktop) || !isAssetPath(service.images.mobile))) {
+    fail('images', 'invalid', 'Images need desktop and mobile paths starting with "/"');
+  }
+
+  if (!Number.isInteger(service.order)) {
+    fail('order', 'invalid', 'Display order must be a whole number');
+  }
+
+  return errors;
+};
+
+// ==========================================================================
+// Catalog
+// ==========================================================================
+
+const listServices = () => {
+  return services.all().sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+};
+
+const getService = (id) => services.get(id);
+
+const nextOrder = () => {
+  return services.all().reduce((max, service) => Math.max(max, service.order), 0) + 1;
+};
+
+const pickFields = (input) => {
+  const fields = ['id', 'name', 'description', 'regularPrice', 'currency', 'images', 'order'];
+  return fields.reduce((picked, field) => {
+    if (input[field] !== undefined) picked[field] = input[field];
+    return picked;
+  }, {});
+};
+
+const createService = (input) => {
+  const now = new Date().toISOString();
+  const service = {
+    regularPrice: null,
+    currency: config.business.currency,
+    images: null,
+    order: nextOrder(),
+    ...pickFields(input),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const errors = validateService(service);
+  if (!errors.length && services.get(service.id)) {
+    errors.push({ field: 'id', code: 'taken', message: `A service with ID "${service.id}" already exists` });
+  }
+  if (errors.length) return { errors };
+
+  return { service: services.insert(service), errors };
+};
+
+// Returns null when the service does not exist
+const updateService = (id, input) => {
+  const current = services.get(id);
+  if (!current) return null;
+
+  const changes = pickFields(input);
+  delete changes.id;
+
+  const errors = validateService({ ...current, ...changes });
+  if (errors.length) return { errors };
+
+  const service = services.update(id, { ...changes, updatedAt: new Date().toISOString() });
+  return { service, errors };
+};
+
+const deleteService = (id) => services.remove(id);
+
+// ==========================================================================
+// Display Helpers
+// ==========================================================================
+
+const formatPrice = (amount, currency = config.business.currency) => {
+  return new Intl.NumberFormat(config.business.locale, {
+    style: 'currency',
+    currency,
+    maximumFractionDigits: 0
+  }).format(amount);
+};
+
+module.exports = {
+  validateService,
+  listServices,
+  getService,
+  createService,
+  updateService,
+  deleteService,
+  formatPrice
+};
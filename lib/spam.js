@@ -0,0 +1,92 @@
+/**
+ * Contact Spam Protection
+ * Honeypot, fill-time, rate limit, duplicate and content checks for
+ * /contact. Each check returns a structured rejection or null.
+ */
+
+const { createRateLimiter, retryMessage } = require('./rate-limit');
+const { findDuplicateLead } = require('./leads');
+const { config } = require('./config');
+
+const HOUR = 60 * 60 * 1000;
+
+const settings = {
+  honeypotField: 'website',
+  minFillMs: config.spam.minFillMs,
+  maxLinks: config.spam.maxLinks,
+  blockedWords: config.spam.blockedWords,
+  duplicateWindowMs: config.spam.duplicateWindowMs,
+  ipLimit: { windowMs: HOUR, max: config.spam.limitPerIp },
+  emailLimit: { windowMs: 24 * HOUR, max: config.spam.limitPerEmail }
+};
+
+const ipLimiter = createRateLimiter(settings.ipLimit);
+const emailLimiter = createRateLimiter(settings.emailLimit);
+
+const reject = (status, code, error, extra = {}) => ({ status, code, error, ...extra });
+
+const rateLimited = (result) => reject(429, 'rate_limited',
+  `Too many submissions. Please try again in ${retryMessage(result.retryAfter)}.`,
+  { retryAfter: result.retryAfter });
+
+// ==========================================================================
+// Checks
+// ==========================================================================
+
+// Counts every attempt, valid or not, so scripted floods are cut off early
+const checkIpLimit = (ip) => {
+  const result = ipLimiter.hit(ip);
+  return result.allowed ? null : rateLimited(result);
+};
+
+// Hidden field real visitors never see, plus a minimum time to fill the form
+const checkBotSignals = (body) => {
+  if (body[settings.honeypotField]) {
+    return reject(422, 'spam_detected', 'Your message could not be sent. Please try again.');
+  }
+
+  // The site's form always sends fillTime, so a missing one means a script
+  const fillTime = ['number', 'string'].includes(typeof body.fillTime) ? Number(body.fillTime) : NaN;
+  if (!Number.isFinite(fillTime) || fillTime < settings.minFillMs) {
+    return reject(422, 'too_fast', 'That was quick! Please take a moment to review your message and send it again.');
+  }
+
+  return null;
+};
+
+const checkContent = ({ name, business, message }) => {
+  const text = [name, business, message].join(' ').toLowerCase();
+
+  const links = (text.match(/https?:\/\/|www\./g) || []).length;
+  if (links > settings.maxLinks) {
+    return reject(422, 'too_many_links', `Please include no more than ${settings.maxLinks} links in your message.`);
+  }
+
+  if (settings.blockedWords.some(word => text.includes(word))) {
+    return reject(422, 'blocked_content', 'Your message contains content we can\'t accept. Please rephrase and try again.');
+  }
+
+  return null;
+};
+
+// Runs after field validation, on the sanitized submission
+const checkSubmission = (data) => {
+  const duplicate = findDuplicateLead(data, settings.duplicateWindowMs);
+  if (duplicate) {
+    return reject(422, 'duplicate_submission', 'We already received this message. We\'ll get back to you within 24 hours.');
+  }
+
+  const contentRejection = checkContent(data);
+  if (contentRejection) return contentRejection;
+
+  // Only count submissions that would otherwise be accepted
+  const result = emailLimiter.hit(data.email);
+  return result.allowed ? null : rateLimited(result);
+};
+
+module.exports = {
+  settings,
+  checkIpLimit,
+  checkBotSignals,
+  checkSubmission
+};
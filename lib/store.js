@@ -0,0 +1,138 @@
+/**
+ * File-backed collections stored as append-only JSON lines.
+ * Every write appends a full snapshot of the record, and the file is
+ * replayed on startup so the latest line for an id wins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+
+const DATA_DIR = config.dataDir;
+
+// Sortable, collision-resistant ids such as "lead_lq2x9k1a3f9c0b2e"
+const createId = (prefix) => {
+  return `${prefix}_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`;
+};
+
+const createCollection = (name) => {
+  const file = path.join(DATA_DIR, `${name}.jsonl`);
+  const records = new Map();
+
+  // Replay the log into memory
+  if (fs.existsSync(file)) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+
+      try {
+        const entry = JSON.parse(line);
+        if (entry.op === 'del') {
+          records.delete(entry.id);
+        } else {
+          records.set(entry.record.id, entry.record);
+        }
+      } catch (error) {
+        // A crash mid-write can leave a partial last line behind
+        console.warn(`Skipping corrupt line ${index + 1} in ${file}`);
+      }
+    });
+  }
+
+  const append = (entry) => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+  };
+
+  return {
+    name,
+    file,
+
+    all() {
+      return Array.from(records.values());
+    },
+
+    get(id) {
+      return records.get(id) || null;
+    },
+
+    insert(record) {
+      if (records.has(record.id)) {
+        throw new Error(`Duplicate id "${record.id}" in ${name}`);
+      }
+      append({ op: 'put', record });
+      records.set(record.id, record);
+      return record;
+    },
+
+    update(id, changes) {
+      const current = records.get(id);
+      if (!current) return null;
+
+      const record = { ...current, ...changes, id };
+      append({ op: 'put', record });
+      records.set(id, record);
+      return record;
+    },
+
+    remove(id) {
+      if (!records.has(id)) return false;
+      append({ op: 'del', id });
+      records.delete(id);
+      return true;
+    }
+  };
+};
+
+// Append-only logs split into one file per day (DATA_DIR/<name>/<date>.jsonl),
+// for high-volume entries that are never updated and expire as whole days
+const createDailyLog = (name) => {
+  const dir = path.join(DATA_DIR, name);
+  const files = () => {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(file => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(file)).sort();
+  };
+
+  return {
+    name,
+    dir,
+
+    append(date, entries) {
+      if (entries.length === 0) return;
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(path.join(dir, `${date}.jsonl`), entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    },
+
+    // Entries for the dates from..to, inclusive
+    read(from, to) {
+      return files()
+        .filter(file => file.slice(0, 10) >= from && file.slice(0, 10) <= to)
+        .flatMap(file => fs.readFileSync(path.join(dir, file), 'utf8').split('\n'))
+        .filter(line => line.trim())
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    },
+
+    // Deletes the files for days before the given date
+    prune(before) {
+      files()
+        .filter(file => file.slice(0, 10) < before)
+        .forEach(file => fs.unlinkSync(path.join(dir, file)));
+    }
+  };
+};
+
+module.exports = {
+  DATA_DIR,
+  createId,
+  createCollection,
+  createDailyLog
+};
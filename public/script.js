@@ -10,6 +10,7 @@
 const app = {
   initialized: false,
   theme: localStorage.getItem('theme') || 'light',
+  lang: document.documentElement.lang || 'en',
   
   init() {
     if (this.initialized) return;
@@ -19,16 +20,27 @@ const app = {
     // Set initial theme
     document.documentElement.setAttribute('data-theme', this.theme);
     
+    // Site settings; components that need them wait on this.configReady
+    this.loadConfig();
+    
     // Initialize components
     this.setupLoadingScreen();
     this.setupNavigation();
     this.setupThemeToggle();
+    this.setupLanguageSwitcher();
+    this.setupAttribution();
+    this.setupAnalytics();
     this.setupScrollAnimations();
     this.setupContactForm();
+    this.setupQuoteBuilder();
+    if (this.isEnabled('booking')) this.setupBookingPicker();
+    if (this.isEnabled('chatbot')) this.setupChatWidget();
+    this.setupFaqSearch();
     this.setupModalHandlers();
     this.setupSmoothScrolling();
     this.setupCounterAnimations();
-    this.setupImageLoadingFixes();
+    this.setupPromotionCountdowns();
+    this.setupImageLoading();
     this.setupPerformanceOptimizations();
     
     // Mark as initialized
@@ -37,6 +49,40 @@ const app = {
   }
 };
 
+// ==========================================================================
+// Site Config
+// ==========================================================================
+
+// Client-safe settings from /api/config/public. The defaults stand in until
+// it answers, and if it never does
+app.config = { currency: 'PHP', locale: 'en-PH', timezone: 'Asia/Manila' };
+
+app.loadConfig = function() {
+  if (!this.configReady) {
+    this.configReady = (async () => {
+      try {
+        const response = await fetch('/api/config/public');
+        const result = await response.json();
+        if (result.success) Object.assign(this.config, result.data);
+      } catch (error) {
+        // Keep the defaults
+      }
+      return this.config;
+    })();
+  }
+  return this.configReady;
+};
+
+// Feature flags for this visitor, embedded by the server as #feature-data.
+// Flags it does not list are off, as on the server
+app.isEnabled = function(id) {
+  if (!this.features) {
+    const dataEl = document.getElementById('feature-data');
+    this.features = dataEl ? JSON.parse(dataEl.textContent) : {};
+  }
+  return this.features[id] === true;
+};
+
 // ==========================================================================
 // Loading Screen
 // ==========================================================================
@@ -69,74 +115,19 @@ app.triggerInitialAnimations = function() {
 };
 
 // ==========================================================================
-// Image Loading Fixes - CRITICAL
+// Image Loading
 // ==========================================================================
 
-app.setupImageLoadingFixes = function() {
-  console.log('🖼️ Setting up image loading fixes...');
-  
-  // Force all images to be visible immediately
-  const forceImageVisibility = () => {
-    const allImages = document.querySelectorAll('img, picture, svg');
-    allImages.forEach(img => {
-      img.style.opacity = '1';
-      img.style.visibility = 'visible';
-      img.style.display = img.tagName === 'IMG' ? 'block' : '';
-      
-      // Remove any lazy loading that might be interfering
-      if (img.loading) {
-        img.loading = 'eager';
-      }
-    });
-    
-    // Force background images to be visible
-    const sectionsWithBg = document.querySelectorAll('.hero, .process, .steps');
-    sectionsWithBg.forEach(section => {
-      section.style.opacity = '1';
-      section.style.visibility = 'visible';
-    });
+// Images load natively, lazily below the fold; this only marks each one
+// loaded so its blur placeholder is dropped
+app.setupImageLoading = function() {
+  document.querySelectorAll('img').forEach(img => {
+    const markLoaded = () => img.classList.add('loaded');
     
-    console.log(`✅ Fixed visibility for ${allImages.length} images`);
-  };
-  
-  // Apply fixes immediately and after DOM loads
-  forceImageVisibility();
-  document.addEventListener('DOMContentLoaded', forceImageVisibility);
-  
-  // Enhanced image loading with error handling
-  const images = document.querySelectorAll('img');
-  let loadedImages = 0;
-  let totalImages = images.length;
-  
-  images.forEach((img, index) => {
-    // Create a new image to test loading
-    const testImg = new Image();
-    
-    testImg.onload = () => {
-      loadedImages++;
-      img.style.opacity = '1';
-      img.style.visibility = 'visible';
-      img.classList.add('loaded');
-      console.log(`✅ Image ${index + 1}/${totalImages} loaded: ${img.src}`);
-    };
-    
-    testImg.onerror = () => {
-      loadedImages++;
-      console.warn(`❌ Image ${index + 1}/${totalImages} failed to load: ${img.src}`);
-      // Show a placeholder or hide the broken image
-      img.style.display = 'none';
-      img.setAttribute('alt', 'Image not available');
-    };
-    
-    // Set source to trigger loading
-    testImg.src = img.src;
-    
-    // For images that are already loaded
-    if (img.complete && img.naturalHeight !== 0) {
-      loadedImages++;
-      img.style.opacity = '1';
-      img.style.visibility = 'visible';
-      img.classList.add('loaded');
+    if (img.complete && img.naturalWidth > 0) {
+      markLoaded();
+    } else {
+      img.addEventListener('load', markLoaded, { once: true });
     }
   });
   
@@ -146,7 +137,6 @@ app.setupImageLoadingFixes = function() {
 
 app.checkBackgroundImages = function() {
   const bgElements = [
-    { selector: '.hero', expectedBg: '/assets/hero/hero-desktop.jpg' },
     { selector: '.process', expectedBg: '/assets/steps/bg_for3steps.png' }
   ];
   
@@ -157,11 +147,10 @@ app.checkBackgroundImages = function() {
       const testImg = new Image();
       testImg.onload = () => {
         console.log(`✅ Background image loaded for ${selector}: ${expectedBg}`);
-        element.style.opacity = '1';
-        element.style.visibility = 'visible';
       };
       testImg.onerror = () => {
         console.warn(`❌ Background image failed for ${selector}: ${expectedBg}`);
+        this.reportImageFailure(expectedBg, true);
       };
       testImg.src = expectedBg;
     }
@@ -265,7 +254,7 @@ app.setupThemeToggle = function() {
   // Update icon based on current theme
   const updateThemeIcon = (theme) => {
     themeIcon.textContent = theme === 'dark' ? '☀️' : '🌙';
-    themeToggle.setAttribute('aria-label', `Switch to ${theme === 'dark' ? 'light' : 'dark'} mode`);
+    themeToggle.setAttribute('aria-label', this.t('client.switchTheme', { theme: this.t(`client.themes.${theme === 'dark' ? 'light' : 'dark'}`) }));
   };
   
   // Set initial icon
@@ -299,7 +288,7 @@ app.announceThemeChange = function(theme) {
   announcement.setAttribute('aria-atomic', 'true');
   announcement.style.position = 'absolute';
   announcement.style.left = '-10000px';
-  announcement.textContent = `Switched to ${theme} mode`;
+  announcement.textContent = this.t('client.themeSwitched', { theme: this.t(`client.themes.${theme}`) });
   document.body.appendChild(announcement);
   
   setTimeout(() => {
@@ -307,6 +296,36 @@ app.announceThemeChange = function(theme) {
   }, 1000);
 };
 
+// ==========================================================================
+// Language
+// ==========================================================================
+
+// Messages for the page language, embedded by the server as #i18n-data
+app.t = function(key, params) {
+  if (!this.translate) {
+    const dataEl = document.getElementById('i18n-data');
+    const catalog = dataEl ? JSON.parse(dataEl.textContent) : {};
+    this.translate = window.I18n ? window.I18n.createTranslator(catalog) : (k) => k;
+  }
+  return this.translate(key, params);
+};
+
+app.setupLanguageSwitcher = function() {
+  const switcher = document.getElementById('language-switcher');
+
+  if (!switcher) return;
+
+  // Remembered like the theme, and in a cookie so the server sends
+  // returning visitors straight to their language
+  switcher.querySelectorAll('[data-lang]').forEach(link => {
+    link.addEventListener('click', () => {
+      const lang = link.dataset.lang;
+      localStorage.setItem('lang', lang);
+      document.cookie = `lang=${lang}; path=/; max-age=${60 * 60 * 24 * 365}; SameSite=Lax`;
+    });
+  });
+};
+
 // ==========================================================================
 // Scroll Animations
 // ==========================================================================
@@ -355,7 +374,8 @@ app.setupScrollAnimations = function() {
 // ==========================================================================
 
 app.setupCounterAnimations = function() {
-  const statNumbers = document.querySelectorAll('.stat-number');
+  // The server marks which stats count up, and to what, in data attributes
+  const statNumbers = document.querySelectorAll('.stat-number[data-count-to]');
   
   if (statNumbers.length === 0) return;
 
@@ -367,25 +387,9 @@ app.setupCounterAnimations = function() {
 
     statNumbers.forEach(number => {
       const finalText = number.textContent.trim();
-      let targetValue;
-      let prefix = '';
-      let suffix = '';
-      
-      // Parse the final text to extract number and formatting
-      if (finalText.includes('20')) {
-        targetValue = 20;
-        suffix = '+';
-      } else if (finalText.includes('7-14')) {
-        targetValue = 14;
-        prefix = '7-';
-      } else if (finalText.includes('100')) {
-        targetValue = 100;
-        suffix = '%';
-      } else {
-        targetValue = parseInt(finalText.replace(/[^\d]/g, ''));
-        if (finalText.includes('+')) suffix = '+';
-        if (finalText.includes('%')) suffix = '%';
-      }
+      const targetValue = parseFloat(number.dataset.countTo);
+      const prefix = number.dataset.countPrefix || '';
+      const suffix = number.dataset.countSuffix || '';
       
       if (isNaN(targetValue)) return;
       
@@ -402,15 +406,7 @@ app.setupCounterAnimations = function() {
         const easeOutQuart = 1 - Math.pow(1 - progress, 4);
         current = targetValue * easeOutQuart;
         
-        let displayValue = Math.floor(current);
-        let displayText = prefix + displayValue + suffix;
-        
-        // Special case for range
-        if (finalText.includes('7-14') && targetValue === 14) {
-          displayText = '7-14';
-        }
-        
-        number.textContent = displayText;
+        number.textContent = prefix + Math.floor(current) + suffix;
         
         if (progress < 1) {
           requestAnimationFrame(updateCounter);
@@ -444,6 +440,75 @@ app.setupCounterAnimations = function() {
   }
 };
 
+// ==========================================================================
+// Promotion Countdowns
+// ==========================================================================
+
+app.setupPromotionCountdowns = function() {
+  const offers = document.querySelectorAll('[data-promo-ends]');
+  
+  if (offers.length === 0) return;
+
+  const formatRemaining = (ms) => {
+    const totalSeconds = Math.floor(ms / 1000);
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    
+    if (days > 0) return this.t('client.countdownDays', { days, hours });
+    if (hours > 0) return this.t('client.countdownHours', { hours, minutes });
+    return this.t('client.countdownMinutes', { minutes, seconds });
+  };
+
+  // Once a promotion ends, swap in the price that applies next (usually the
+  // regular price) without a reload
+  const expireOffer = (offer) => {
+    const { nextPrice, nextLabel } = offer.dataset;
+    const price = offer.querySelector('[data-promo-price]');
+    if (price) price.textContent = nextPrice;
+    
+    offer.querySelectorAll('[data-countdown]').forEach(el => el.remove());
+    
+    if (nextLabel) {
+      offer.querySelectorAll('[data-promo-label]').forEach(el => {
+        el.textContent = nextLabel;
+      });
+    } else {
+      offer.querySelectorAll('[data-promo-only]').forEach(el => el.remove());
+      offer.querySelectorAll('[data-promo-fallback]').forEach(el => {
+        el.hidden = false;
+      });
+    }
+    
+    offer.removeAttribute('data-promo-ends');
+  };
+
+  const updateCountdowns = () => {
+    const running = document.querySelectorAll('[data-promo-ends]');
+    
+    running.forEach(offer => {
+      const remaining = Date.parse(offer.dataset.promoEnds) - Date.now();
+      
+      if (remaining <= 0) {
+        expireOffer(offer);
+        return;
+      }
+      
+      offer.querySelectorAll('[data-countdown]').forEach(el => {
+        el.textContent = formatRemaining(remaining);
+      });
+    });
+    
+    if (document.querySelectorAll('[data-promo-ends]').length === 0) {
+      clearInterval(timer);
+    }
+  };
+
+  const timer = setInterval(updateCountdowns, 1000);
+  updateCountdowns();
+};
+
 // ==========================================================================
 // Contact Form
 // ==========================================================================
@@ -455,68 +520,151 @@ app.setupContactForm = function() {
   
   if (!contactForm || !submitBtn) return;
 
-  // Form validation
+  // Time spent on the form is sent along so the server can spot bots
+  let formStartedAt = Date.now();
+
+  // Funnel: seen, first input, submitted, then success or error
+  const trackFunnel = (step, props = {}) => this.trackEvent(`form_${step}`, { form: 'contact', ...props });
+  let funnelStarted = false;
+
+  if ('IntersectionObserver' in window) {
+    const viewObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        trackFunnel('view');
+        viewObserver.disconnect();
+      }
+    }, { threshold: 0.3 });
+    viewObserver.observe(contactForm);
+  }
+
+  contactForm.addEventListener('input', () => {
+    if (funnelStarted) return;
+    funnelStarted = true;
+    trackFunnel('start');
+  });
+
+  // Validation rules come from the schema the server also uses
+  const schema = window.ContactSchema;
+  const serviceOptions = Array.from(contactForm.querySelectorAll('#service option'))
+    .map(option => option.value)
+    .filter(Boolean);
+
+  if (schema) {
+    Object.entries(schema.fields).forEach(([field, rule]) => {
+      const input = contactForm.elements[field];
+      if (input && rule.maxLength) input.maxLength = rule.maxLength;
+    });
+  }
+
+  // Form validation, with messages in the page language
   const validateForm = (data) => {
-    const errors = [];
-    
-    if (!data.name || data.name.length < 2) {
-      errors.push('Name must be at least 2 characters long');
-    }
-    
-    if (!data.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
-      errors.push('Please enter a valid email address');
-    }
-    
-    if (!data.business || data.business.length < 2) {
-      errors.push('Business name must be at least 2 characters long');
-    }
-    
-    if (!data.message || data.message.length < 10) {
-      errors.push('Message must be at least 10 characters long');
-    }
-    
-    return errors;
+    if (!schema) return [];
+    const { errors } = schema.validate(data, { services: serviceOptions });
+    return window.I18n ? window.I18n.localizeErrors(errors, this.t.bind(this), schema.fields) : errors;
+  };
+
+  const clearFieldError = (input) => {
+    const group = input.closest('.form-group');
+    const errorEl = group && group.querySelector('.form-error');
+    if (errorEl) errorEl.remove();
+    input.removeAttribute('aria-invalid');
+    input.removeAttribute('aria-describedby');
   };
 
-  // Show validation errors
+  const clearErrors = () => {
+    contactForm.querySelectorAll('.form-error').forEach(el => el.remove());
+    contactForm.querySelectorAll('[aria-invalid]').forEach(clearFieldError);
+  };
+
+  const panelErrorTargets = {
+    services: 'quote-summary',
+    addOns: 'quote-summary',
+    timeline: 'quote-summary',
+    booking: 'booking-slots'
+  };
+
+  // Show validation errors next to their inputs; errors without a field
+  // (rate limits, network failures) go at the bottom of the form
   const showErrors = (errors) => {
-    // Remove existing error messages
-    document.querySelectorAll('.form-error').forEach(el => el.remove());
+    clearErrors();
     
     errors.forEach(error => {
+      const { field, message } = typeof error === 'string' ? { message: error } : error;
+      const input = field && contactForm.elements[field];
+      
       const errorEl = document.createElement('div');
       errorEl.className = 'form-error';
-      errorEl.style.color = '#ef4444';
-      errorEl.style.fontSize = '0.875rem';
-      errorEl.style.marginTop = '0.5rem';
-      errorEl.textContent = error;
+      errorEl.textContent = message;
+      
+      // Quote and booking errors belong inside their collapsible panels
+      const panelTarget = field && panelErrorTargets[field] && document.getElementById(panelErrorTargets[field]);
       
-      // Insert after the form
-      contactForm.appendChild(errorEl);
+      if (panelTarget) {
+        errorEl.setAttribute('role', 'alert');
+        panelTarget.closest('details').open = true;
+        panelTarget.after(errorEl);
+      } else if (input && input.closest('.form-group')) {
+        errorEl.id = `${field}-error`;
+        input.setAttribute('aria-invalid', 'true');
+        input.setAttribute('aria-describedby', errorEl.id);
+        input.closest('.form-group').appendChild(errorEl);
+      } else {
+        errorEl.setAttribute('role', 'alert');
+        contactForm.appendChild(errorEl);
+      }
     });
+    
+    const firstInvalid = contactForm.querySelector('[aria-invalid="true"]');
+    if (firstInvalid) firstInvalid.focus();
   };
 
+  // Clear a field's error as soon as the visitor edits it
+  contactForm.addEventListener('input', (e) => {
+    if (e.target.getAttribute('aria-invalid') === 'true') {
+      clearFieldError(e.target);
+    }
+  });
+
   contactForm.addEventListener('submit', async (e) => {
     e.preventDefault();
     
     // Remove previous errors
-    document.querySelectorAll('.form-error').forEach(el => el.remove());
+    clearErrors();
     
     // Get form data
     const formData = new FormData(contactForm);
     const data = Object.fromEntries(formData);
+    data.fillTime = Date.now() - formStartedAt;
+    
+    // Quote builder inputs travel as one selection, not as form fields
+    delete data['quote-timeline'];
+    const quote = this.getQuoteSelection ? this.getQuoteSelection() : null;
+    if (quote) {
+      data.quote = quote;
+      const promo = new URLSearchParams(window.location.search).get('promo');
+      if (promo) data.promo = promo;
+    }
+    
+    const booking = this.getBookingSelection ? this.getBookingSelection() : null;
+    if (booking) data.booking = booking;
+    
+    const attribution = this.getAttribution();
+    if (attribution) data.attribution = attribution;
     
     // Validate form
     const errors = validateForm(data);
     if (errors.length > 0) {
       showErrors(errors);
+      trackFunnel('error', { code: 'invalid' });
       return;
     }
     
+    trackFunnel('submit');
+    
     // Disable submit button and show loading state
     const originalContent = submitBtn.innerHTML;
     submitBtn.disabled = true;
-    submitBtn.innerHTML = '<span>Sending...</span>';
+    submitBtn.innerHTML = `<span>${this.t('client.sending')}</span>`;
     submitBtn.style.opacity = '0.7';
     
     try {
@@ -524,6 +672,7 @@ app.setupContactForm = function() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Accept-Language': this.lang,
         },
         body: JSON.stringify(data),
       });
@@ -539,25 +688,31 @@ app.setupContactForm = function() {
         
         // Reset form
         contactForm.reset();
+        formStartedAt = Date.now();
+        contactForm.dispatchEvent(new Event('quote:reset'));
+        contactForm.dispatchEvent(new Event('booking:reset'));
         
-        // Analytics tracking
-        this.trackEvent('form_submission', {
-          form_type: 'contact',
-          success: true
-        });
+        funnelStarted = false;
+        trackFunnel('success');
+        this.recordConversion('contact');
       } else {
-        throw new Error(result.error || 'Something went wrong');
+        // Validation (400) errors are per field; rate limit (429) and spam (422)
+        // rejections carry a code and a readable message
+        const error = new Error(result.error || this.t('client.genericError'));
+        error.code = result.code;
+        error.fieldErrors = result.errors;
+        
+        // Someone else took the slot: show fresh availability
+        if (result.code === 'slot_taken') {
+          contactForm.dispatchEvent(new Event('booking:reset'));
+        }
+        throw error;
       }
     } catch (error) {
       console.error('Contact form error:', error);
-      showErrors([error.message || 'Failed to send message. Please try again.']);
+      showErrors(error.fieldErrors || [error.message || this.t('client.sendFailed')]);
       
-      // Analytics tracking
-      this.trackEvent('form_submission', {
-        form_type: 'contact',
-        success: false,
-        error: error.message
-      });
+      trackFunnel('error', { code: error.code || (error.fieldErrors ? 'invalid' : 'network') });
     } finally {
       // Re-enable submit button
       submitBtn.disabled = false;
@@ -567,6 +722,502 @@ app.setupContactForm = function() {
   });
 };
 
+// ==========================================================================
+// Quote Builder
+// ==========================================================================
+
+app.setupQuoteBuilder = function() {
+  const builder = document.getElementById('quote-builder');
+  const summary = document.getElementById('quote-summary');
+  const dataEl = document.getElementById('quote-data');
+  const calculator = window.QuoteCalculator;
+
+  if (!builder || !summary || !dataEl || !calculator) return;
+
+  const { services, options } = JSON.parse(dataEl.textContent);
+  const money = new Intl.NumberFormat(this.t('client.intlLocale'), { style: 'currency', currency: options.currency });
+  const escapeHtml = (value) => {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+  };
+
+  // Null until the visitor picks at least one service or add-on
+  this.getQuoteSelection = () => {
+    const selection = {
+      services: Array.from(builder.querySelectorAll('[data-quote-service]:checked')).map(input => input.value),
+      addOns: {},
+      timeline: (builder.querySelector('input[name="quote-timeline"]:checked') || {}).value
+    };
+
+    builder.querySelectorAll('[data-quote-addon]').forEach(input => {
+      const quantity = parseInt(input.value, 10);
+      if (quantity > 0) selection.addOns[input.dataset.quoteAddon] = quantity;
+    });
+
+    const isEmpty = selection.services.length === 0 && Object.keys(selection.addOns).length === 0;
+    return isEmpty ? null : selection;
+  };
+
+  const render = () => {
+    const selection = this.getQuoteSelection();
+
+    if (!selection) {
+      summary.innerHTML = `<p class="quote-empty">${escapeHtml(this.t('client.quoteEmpty'))}</p>`;
+      return;
+    }
+
+    const quote = calculator.calculate(selection, services, options);
+    const rows = quote.lineItems.map(item => `
+      <tr>
+        <td>${escapeHtml(item.description)}${item.quantity > 1 ? ` × ${item.quantity}` : ''}</td>
+        <td>${item.custom ? escapeHtml(this.t('client.customQuote')) : money.format(item.amount)}</td>
+      </tr>
+    `).join('');
+
+    summary.innerHTML = `
+      <table class="quote-table">
+        <tbody>${rows}</tbody>
+        <tfoot>
+          <tr><td>${escapeHtml(this.t('client.subtotal'))}</td><td>${money.format(quote.subtotal)}</td></tr>
+          <tr><td>${escapeHtml(quote.vat.label)}</td><td>${money.format(quote.vat.amount)}</td></tr>
+          <tr class="quote-total"><td>${escapeHtml(this.t('client.estimatedTotal'))}</td><td>${money.format(quote.total)}</td></tr>
+        </tfoot>
+      </table>
+      ${quote.hasCustomItems ? `<p class="quote-note">${escapeHtml(this.t('client.customQuoteNote'))}</p>` : ''}
+      <p class="quote-note">${escapeHtml(this.t('client.quoteValidity', { days: options.validityDays }))}</p>
+    `;
+  };
+
+  builder.addEventListener('input', render);
+  builder.addEventListener('change', render);
+  builder.closest('form').addEventListener('quote:reset', render);
+
+  // Start from the service already chosen in the dropdown
+  const serviceSelect = document.getElementById('service');
+  if (serviceSelect) {
+    builder.addEventListener('toggle', () => {
+      if (!builder.open || this.getQuoteSelection() || !serviceSelect.value) return;
+      const checkbox = builder.querySelector(`[data-quote-service][value="${serviceSelect.value}"]`);
+      if (checkbox) checkbox.checked = true;
+      render();
+    });
+  }
+
+  render();
+};
+
+// ==========================================================================
+// Consult Booking Picker
+// ==========================================================================
+
+app.setupBookingPicker = function() {
+  const picker = document.getElementById('booking-picker');
+  const calendar = document.getElementById('booking-calendar');
+  const slotList = document.getElementById('booking-slots');
+  const selected = document.getElementById('booking-selected');
+
+  if (!picker || !calendar || !slotList || !selected) return;
+
+  const intlLocale = this.t('client.intlLocale');
+  const weekdays = this.t('client.weekdays');
+  // Slots are shown in the business's timezone, set once the config loads
+  let timeFormat = null;
+  let dayFormat = null;
+  let monthFormat = null;
+
+  let days = null;
+  let activeDate = null;
+  let selection = null;
+
+  this.getBookingSelection = () => selection ? { start: selection.start } : null;
+
+  const renderSelection = () => {
+    selected.innerHTML = '';
+    if (!selection) return;
+
+    selected.textContent = `${this.t('client.bookingSelected', {
+      day: dayFormat.format(new Date(selection.start)),
+      time: timeFormat.format(new Date(selection.start))
+    })} `;
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.className = 'booking-clear';
+    clear.textContent = this.t('client.bookingClear');
+    clear.addEventListener('click', () => {
+      selection = null;
+      renderSlots();
+      renderSelection();
+    });
+    selected.appendChild(clear);
+  };
+
+  const renderSlots = () => {
+    slotList.innerHTML = '';
+    const day = days && days.find(d => d.date === activeDate);
+    if (!day) return;
+
+    day.slots.forEach(slot => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'booking-slot';
+      button.textContent = timeFormat.format(new Date(slot.start));
+      button.setAttribute('aria-pressed', String(Boolean(selection && selection.start === slot.start)));
+      button.addEventListener('click', () => {
+        selection = slot;
+        renderSlots();
+        renderSelection();
+      });
+      slotList.appendChild(button);
+    });
+  };
+
+  const renderCalendar = () => {
+    calendar.innerHTML = '';
+
+    weekdays.forEach(name => {
+      const head = document.createElement('span');
+      head.className = 'booking-weekday';
+      head.textContent = name;
+      calendar.appendChild(head);
+    });
+
+    // Pad the first week so dates line up under their weekday
+    const firstWeekday = new Date(`${days[0].date}T00:00:00Z`).getUTCDay();
+    for (let i = 0; i < firstWeekday; i++) {
+      calendar.appendChild(document.createElement('span'));
+    }
+
+    days.forEach(day => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'booking-day';
+      const dayNumber = Number(day.date.slice(8));
+      const showMonth = day === days[0] || dayNumber === 1;
+      button.textContent = showMonth ? monthFormat.format(new Date(`${day.date}T04:00:00Z`)) : String(dayNumber);
+      button.disabled = day.slots.length === 0;
+      button.setAttribute('aria-label', this.t('client.bookingDayLabel', {
+        day: dayFormat.format(new Date(`${day.date}T04:00:00Z`)),
+        count: day.slots.length
+      }));
+      button.setAttribute('aria-pressed', String(day.date === activeDate));
+      button.addEventListener('click', () => {
+        activeDate = day.date;
+        renderCalendar();
+        renderSlots();
+      });
+      calendar.appendChild(button);
+    });
+  };
+
+  const showStatus = (key) => {
+    calendar.innerHTML = '';
+    const status = document.createElement('p');
+    status.className = 'booking-status';
+    status.textContent = this.t(key);
+    calendar.appendChild(status);
+  };
+
+  const load = async () => {
+    showStatus('client.bookingLoading');
+    slotList.innerHTML = '';
+
+    try {
+      const { timezone: timeZone } = await this.loadConfig();
+      timeFormat = new Intl.DateTimeFormat(intlLocale, { hour: 'numeric', minute: '2-digit', timeZone });
+      dayFormat = new Intl.DateTimeFormat(intlLocale, { weekday: 'long', month: 'long', day: 'numeric', timeZone });
+      monthFormat = new Intl.DateTimeFormat(intlLocale, { month: 'short', day: 'numeric', timeZone });
+
+      const response = await fetch('/api/availability', { headers: { 'Accept-Language': this.lang } });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.error);
+
+      days = result.data.days;
+      const firstOpen = days.find(day => day.slots.length > 0);
+      activeDate = firstOpen ? firstOpen.date : null;
+
+      if (!firstOpen) {
+        showStatus('client.bookingNone');
+        return;
+      }
+
+      renderCalendar();
+      renderSlots();
+    } catch (error) {
+      console.error('Could not load availability:', error);
+      days = null;
+      showStatus('client.bookingFailed');
+    }
+  };
+
+  picker.addEventListener('toggle', () => {
+    if (picker.open && !days) load();
+  });
+
+  picker.closest('form').addEventListener('booking:reset', () => {
+    selection = null;
+    days = null;
+    renderSelection();
+    if (picker.open) load();
+  });
+};
+
+// ==========================================================================
+// Chat Assistant
+// ==========================================================================
+
+app.setupChatWidget = function() {
+  const storageKey = 'mnl-chat';
+  const saved = (() => {
+    try {
+      return JSON.parse(sessionStorage.getItem(storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  })();
+
+  let sessionId = saved.sessionId || null;
+  let history = Array.isArray(saved.history) ? saved.history : [];
+  let quickReplies = Array.isArray(saved.quickReplies) ? saved.quickReplies : [];
+  let sending = false;
+
+  const launcher = document.createElement('button');
+  launcher.type = 'button';
+  launcher.className = 'chat-launcher';
+  launcher.setAttribute('aria-expanded', 'false');
+  launcher.setAttribute('aria-controls', 'chat-panel');
+  launcher.innerHTML = '<span aria-hidden="true">💬</span> ';
+  launcher.append(this.t('client.chatLauncher'));
+
+  const panel = document.createElement('section');
+  panel.className = 'chat-panel';
+  panel.id = 'chat-panel';
+  panel.hidden = true;
+  panel.setAttribute('aria-label', this.t('client.chatLabel'));
+  panel.innerHTML = `
+    <header class="chat-header">
+      <div>
+        <strong></strong>
+        <span></span>
+      </div>
+      <button type="button" class="chat-close">&times;</button>
+    </header>
+    <ol class="chat-messages" aria-live="polite"></ol>
+    <div class="chat-quick-replies"></div>
+    <form class="chat-form">
+      <input type="text" name="message" maxlength="500" autocomplete="off">
+      <button type="submit" class="btn btn-primary"></button>
+    </form>
+  `;
+  panel.querySelector('.chat-header strong').textContent = this.t('client.chatTitle');
+  panel.querySelector('.chat-header span').textContent = this.t('client.chatSubtitle');
+  panel.querySelector('.chat-close').setAttribute('aria-label', this.t('client.chatClose'));
+  panel.querySelector('.chat-form input').placeholder = this.t('client.chatPlaceholder');
+  panel.querySelector('.chat-form input').setAttribute('aria-label', this.t('client.chatInputLabel'));
+  panel.querySelector('.chat-form button').textContent = this.t('client.chatSend');
+
+  document.body.appendChild(launcher);
+  document.body.appendChild(panel);
+
+  const list = panel.querySelector('.chat-messages');
+  const replies = panel.querySelector('.chat-quick-replies');
+  const form = panel.querySelector('.chat-form');
+  const input = form.querySelector('input');
+
+  const save = () => {
+    try {
+      sessionStorage.setItem(storageKey, JSON.stringify({ sessionId, history, quickReplies }));
+    } catch (error) {
+      // Private browsing can block storage; the chat still works for this page
+    }
+  };
+
+  const appendMessage = (role, text) => {
+    const item = document.createElement('li');
+    item.className = `chat-message chat-message-${role}`;
+    item.textContent = text;
+    list.appendChild(item);
+    list.scrollTop = list.scrollHeight;
+  };
+
+  const renderQuickReplies = () => {
+    replies.innerHTML = '';
+    quickReplies.forEach(reply => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'chat-quick-reply';
+      button.textContent = reply.label;
+      button.addEventListener('click', () => send(reply.label, reply.value));
+      replies.appendChild(button);
+    });
+  };
+
+  const send = async (message, choice) => {
+    if (sending) return;
+    sending = true;
+    form.querySelector('button').disabled = true;
+
+    if (message) {
+      history.push({ role: 'visitor', text: message });
+      appendMessage('visitor', message);
+      quickReplies = [];
+      renderQuickReplies();
+    }
+
+    const typing = document.createElement('li');
+    typing.className = 'chat-message chat-message-assistant chat-typing';
+    typing.textContent = '…';
+    list.appendChild(typing);
+
+    try {
+      const response = await fetch('/api/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept-Language': this.lang },
+        body: JSON.stringify({ sessionId, message, choice, attribution: this.getAttribution() })
+      });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.error);
+
+      // A new session means the old one expired; start the transcript over
+      if (sessionId && result.data.sessionId !== sessionId) {
+        history = message ? [{ role: 'visitor', text: message }] : [];
+        list.innerHTML = '';
+        history.forEach(entry => appendMessage(entry.role, entry.text));
+        list.appendChild(typing);
+      }
+
+      sessionId = result.data.sessionId;
+      quickReplies = result.data.quickReplies;
+      typing.remove();
+      result.data.messages.forEach(text => {
+        history.push({ role: 'assistant', text });
+        appendMessage('assistant', text);
+      });
+
+      if (result.data.leadId) {
+        this.trackEvent('chat_lead_created');
+      }
+    } catch (error) {
+      console.error('Chat error:', error);
+      typing.remove();
+      appendMessage('assistant', error.message || this.t('client.chatFailed'));
+    } finally {
+      sending = false;
+      form.querySelector('button').disabled = false;
+      renderQuickReplies();
+      save();
+    }
+  };
+
+  const setOpen = (open) => {
+    panel.hidden = !open;
+    launcher.setAttribute('aria-expanded', String(open));
+
+    if (open) {
+      if (!sessionId) send();
+      input.focus();
+    } else {
+      launcher.focus();
+    }
+  };
+
+  history.forEach(entry => appendMessage(entry.role, entry.text));
+  renderQuickReplies();
+
+  launcher.addEventListener('click', () => setOpen(panel.hidden));
+  panel.querySelector('.chat-close').addEventListener('click', () => setOpen(false));
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') setOpen(false);
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const message = input.value.trim();
+    if (!message) return;
+    input.value = '';
+    send(message);
+  });
+};
+
+// ==========================================================================
+// FAQ Search
+// ==========================================================================
+
+app.setupFaqSearch = function() {
+  const input = document.getElementById('faq-search-input');
+  const list = document.getElementById('faq-list');
+  const status = document.getElementById('faq-search-status');
+
+  if (!input || !list || !status) return;
+
+  const items = Array.from(list.querySelectorAll('.faq-item'));
+  const filters = Array.from(document.querySelectorAll('.faq-filter'));
+  let category = '';
+  let timer = null;
+  let requestId = 0;
+
+  // Shows the matching answers in ranked order and hides the rest
+  const showResults = (ids, query) => {
+    items.forEach(item => {
+      item.hidden = !ids.includes(item.dataset.faqId);
+    });
+    ids.forEach(id => {
+      const item = items.find(i => i.dataset.faqId === id);
+      if (item) list.appendChild(item);
+    });
+
+    if (!query) {
+      status.textContent = '';
+    } else if (ids.length === 0) {
+      status.textContent = this.t('client.faqNoResults');
+    } else {
+      status.textContent = ids.length === 1 ? this.t('client.faqResultCountOne') : this.t('client.faqResultCount', { count: ids.length });
+    }
+  };
+
+  // Offline fallback: plain text match in page order
+  const searchLocally = (query) => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return items
+      .filter(item => !category || item.dataset.faqCategory === category)
+      .filter(item => words.every(word => item.textContent.toLowerCase().includes(word)))
+      .map(item => item.dataset.faqId);
+  };
+
+  const search = async () => {
+    const query = input.value.trim();
+    const current = ++requestId;
+    const params = new URLSearchParams();
+    if (query) params.set('q', query);
+    if (category) params.set('category', category);
+
+    try {
+      const response = await fetch(`/api/faq?${params}`, { headers: { 'Accept-Language': this.lang } });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.error);
+      if (current !== requestId) return;
+
+      showResults(result.data.results.map(faq => faq.id), query);
+    } catch (error) {
+      console.error('FAQ search error:', error);
+      if (current === requestId) showResults(searchLocally(query), query);
+    }
+  };
+
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(search, 200);
+  });
+
+  filters.forEach(button => {
+    button.addEventListener('click', () => {
+      category = button.dataset.faqCategory;
+      filters.forEach(b => b.setAttribute('aria-pressed', String(b === button)));
+      search();
+    });
+  });
+};
+
 // ==========================================================================
 // Modal Handlers
 // ==========================================================================
@@ -637,10 +1288,7 @@ app.setupSmoothScrolling = function() {
         this.smoothScrollTo(targetPosition, 800);
         
         // Analytics tracking
-        this.trackEvent('navigation', {
-          type: 'anchor_click',
-          target: href
-        });
+        this.trackEvent('navigation', { target: href });
       }
     });
   });
@@ -675,9 +1323,6 @@ app.smoothScrollTo = function(targetPosition, duration = 800) {
 // ==========================================================================
 
 app.setupPerformanceOptimizations = function() {
-  // Preload critical resources
-  this.preloadCriticalResources();
-  
   // Setup performance monitoring
   this.setupPerformanceMonitoring();
   
@@ -685,42 +1330,119 @@ app.setupPerformanceOptimizations = function() {
   this.optimizeScrollPerformance();
 };
 
-app.preloadCriticalResources = function() {
-  // Preload critical images that might not be visible initially
-  const criticalImages = [
-    '/assets/hero/hero-desktop.jpg',
-    '/assets/cards/website_creation_desktop.png',
-    '/assets/steps/bg_for3steps.png'
-  ];
+// Real-user monitoring: Web Vitals, long tasks, script errors and broken
+// images go to /api/rum with only the page path and device class
+app.rumQueue = [];
+
+app.reportRum = function(entry) {
+  this.rumQueue.push(entry);
   
-  criticalImages.forEach(src => {
-    const link = document.createElement('link');
-    link.rel = 'preload';
-    link.as = 'image';
-    link.href = src;
-    document.head.appendChild(link);
-  });
+  if (this.rumQueue.length >= 20) {
+    this.flushRum();
+  } else if (!this.rumTimer) {
+    this.rumTimer = setTimeout(() => this.flushRum(), 5000);
+  }
+};
+
+app.flushRum = function() {
+  clearTimeout(this.rumTimer);
+  this.rumTimer = null;
+  if (this.rumQueue.length === 0) return;
   
-  console.log('🚀 Preloaded critical images');
+  this.sendBeacon('/api/rum', {
+    context: { path: window.location.pathname, device: deviceClass() },
+    entries: this.rumQueue.splice(0)
+  });
 };
 
 app.setupPerformanceMonitoring = function() {
-  // Monitor long tasks
-  if ('PerformanceObserver' in window) {
+  if (!('PerformanceObserver' in window)) return;
+  
+  const supported = PerformanceObserver.supportedEntryTypes || [];
+  const observe = (type, callback, options = {}) => {
+    if (!supported.includes(type)) return;
     try {
-      const observer = new PerformanceObserver((list) => {
-        list.getEntries().forEach((entry) => {
-          if (entry.duration > 50) {
-            console.warn('Long task detected:', entry.duration);
-          }
-        });
-      });
-      
-      observer.observe({ entryTypes: ['longtask'] });
+      new PerformanceObserver(list => callback(list.getEntries())).observe({ type, buffered: true, ...options });
     } catch (e) {
-      console.log('Performance Observer not fully supported');
+      console.log(`Performance Observer can't watch ${type}`);
     }
-  }
+  };
+  
+  // LCP: the last candidate before the visitor first interacts
+  let lcp = null;
+  let lcpFinal = false;
+  observe('largest-contentful-paint', (entries) => {
+    if (!lcpFinal) lcp = entries[entries.length - 1].startTime;
+  });
+  ['keydown', 'pointerdown'].forEach(type => {
+    window.addEventListener(type, () => { lcpFinal = true; }, { once: true, capture: true });
+  });
+  
+  // CLS: the worst burst of shifts (under 1s apart, 5s at most) not caused by input
+  let cls = 0;
+  let burst = 0;
+  let burstStart = 0;
+  let lastShift = 0;
+  observe('layout-shift', (entries) => {
+    entries.forEach(entry => {
+      if (entry.hadRecentInput) return;
+      if (burst && entry.startTime - lastShift < 1000 && entry.startTime - burstStart < 5000) {
+        burst += entry.value;
+      } else {
+        burst = entry.value;
+        burstStart = entry.startTime;
+      }
+      lastShift = entry.startTime;
+      cls = Math.max(cls, burst);
+    });
+  });
+  
+  // INP: the slowest interaction, ignoring one in every 50 as an outlier
+  const interactions = new Map();
+  observe('event', (entries) => {
+    entries.forEach(entry => {
+      if (!entry.interactionId) return;
+      interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+    });
+  }, { durationThreshold: 40 });
+  
+  let longTasks = 0;
+  observe('longtask', (entries) => {
+    entries.forEach(entry => {
+      if (longTasks >= 20) return;
+      longTasks++;
+      this.reportRum({ type: 'longtask', duration: entry.duration });
+    });
+  });
+  
+  // The vitals are final once the page is hidden; report them once
+  let vitalsSent = false;
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState !== 'hidden') return;
+    
+    if (!vitalsSent) {
+      vitalsSent = true;
+      if (lcp !== null) this.reportRum({ type: 'metric', name: 'LCP', value: lcp });
+      if (supported.includes('layout-shift')) this.reportRum({ type: 'metric', name: 'CLS', value: cls });
+      if (interactions.size > 0) {
+        const slowest = Array.from(interactions.values()).sort((a, b) => b - a);
+        this.reportRum({ type: 'metric', name: 'INP', value: slowest[Math.min(Math.floor(interactions.size / 50), slowest.length - 1)] });
+      }
+    }
+    this.flushRum();
+  });
+};
+
+// TTFB and full load time from the navigation entry
+app.reportNavigationTiming = function() {
+  const [navigation] = performance.getEntriesByType ? performance.getEntriesByType('navigation') : [];
+  if (!navigation) return;
+  
+  const loadTime = navigation.loadEventEnd - navigation.startTime;
+  console.log('⚡ Page load time:', Math.round(loadTime) + 'ms');
+  
+  this.reportRum({ type: 'metric', name: 'TTFB', value: navigation.responseStart });
+  this.reportRum({ type: 'metric', name: 'load', value: loadTime });
 };
 
 app.optimizeScrollPerformance = function() {
@@ -757,13 +1479,151 @@ app.batchScrollUpdates = function() {
 // Analytics & Tracking
 // ==========================================================================
 
+// Events are queued and sent to our own /api/events in batches. Nothing
+// identifies the visitor: no cookies, no ids, just the page and device class.
+app.analyticsQueue = [];
+
 app.trackEvent = function(eventName, properties = {}) {
-  // Basic event tracking (can be enhanced with actual analytics)
-  if (typeof gtag !== 'undefined') {
-    gtag('event', eventName, properties);
+  this.analyticsQueue.push({ type: eventName, props: properties });
+  
+  if (this.analyticsQueue.length >= 20) {
+    this.flushEvents();
+  } else if (!this.analyticsTimer) {
+    this.analyticsTimer = setTimeout(() => this.flushEvents(), 5000);
   }
+};
+
+app.flushEvents = function() {
+  clearTimeout(this.analyticsTimer);
+  this.analyticsTimer = null;
+  if (this.analyticsQueue.length === 0) return;
   
-  console.log('Event tracked:', eventName, properties);
+  this.sendBeacon('/api/events', {
+    context: {
+      path: window.location.pathname,
+      lang: this.lang,
+      device: deviceClass()
+    },
+    events: this.analyticsQueue.splice(0)
+  });
+};
+
+// Credits the A/B test variants this visitor saw (see lib/experiments.js)
+app.recordConversion = function(goal) {
+  this.sendBeacon('/api/experiments/conversions', { goal });
+};
+
+// sendBeacon survives the page being closed; fetch is the fallback
+app.sendBeacon = function(url, payload) {
+  const body = JSON.stringify(payload);
+  const blob = new Blob([body], { type: 'application/json' });
+  if (navigator.sendBeacon && navigator.sendBeacon(url, blob)) return;
+  
+  fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+    keepalive: true
+  }).catch(() => {});
+};
+
+app.setupAnalytics = function() {
+  // Send what's queued before the tab is hidden or closed
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') this.flushEvents();
+  });
+  window.addEventListener('pagehide', () => this.flushEvents());
+  
+  this.trackEvent('pageview', { referrer: document.referrer });
+  
+  // Each section counts once per page view
+  if ('IntersectionObserver' in window) {
+    const sectionObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        const section = entry.target;
+        this.trackEvent('section_view', { section: section.id || section.classList[0] });
+        sectionObserver.unobserve(section);
+      });
+    }, { threshold: 0.4 });
+    
+    document.querySelectorAll('section.hero, section.section').forEach(section => sectionObserver.observe(section));
+  }
+  
+  document.addEventListener('click', (e) => {
+    const cta = e.target.closest('[data-cta]');
+    if (cta) {
+      this.trackEvent('cta_click', { cta: cta.dataset.cta, target: cta.getAttribute('href') });
+    }
+  });
+};
+
+// ==========================================================================
+// Attribution
+// ==========================================================================
+
+// Where the visitor came from: the first touch is kept for 90 days, the
+// latest one is replaced by each new visit or campaign link. It stays in
+// this browser and is only sent along with the contact form and chat.
+const ATTRIBUTION_KEY = 'mnl-attribution';
+const ATTRIBUTION_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+app.getAttribution = function() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ATTRIBUTION_KEY));
+    if (!saved || Date.now() - Date.parse(saved.firstTouch.at) > ATTRIBUTION_TTL_MS) return null;
+    return saved;
+  } catch (error) {
+    return null;
+  }
+};
+
+app.setupAttribution = function() {
+  const params = new URLSearchParams(window.location.search);
+  const utm = {};
+  ['source', 'medium', 'campaign', 'term', 'content'].forEach(name => {
+    utm[name] = params.get(`utm_${name}`);
+  });
+  
+  let referrer = null;
+  try {
+    const url = new URL(document.referrer);
+    if (url.host !== window.location.host) referrer = url.hostname;
+  } catch (error) {
+    // No referrer, or one the browser trimmed to nothing
+  }
+  
+  const tagged = Object.values(utm).some(Boolean) || params.has('ref');
+  let newVisit = true;
+  try {
+    newVisit = !sessionStorage.getItem('mnl-visit');
+    sessionStorage.setItem('mnl-visit', '1');
+  } catch (error) {
+    // Without session storage every page load counts as a visit
+  }
+  
+  // Reloads and in-page navigation aren't new touches
+  if (!newVisit && !tagged && !referrer) return;
+  
+  const touch = {
+    ...utm,
+    ref: params.get('ref'),
+    referrer,
+    landingPage: window.location.pathname,
+    at: new Date().toISOString()
+  };
+  const saved = this.getAttribution() || {};
+  const direct = !tagged && !referrer;
+  
+  try {
+    localStorage.setItem(ATTRIBUTION_KEY, JSON.stringify({
+      firstTouch: saved.firstTouch || touch,
+      // Typing the address later doesn't erase the campaign that brought them
+      lastTouch: direct && saved.lastTouch ? saved.lastTouch : touch
+    }));
+  } catch (error) {
+    // Private browsing can block storage; the lead just arrives unattributed
+  }
 };
 
 // ==========================================================================
@@ -771,19 +1631,33 @@ app.trackEvent = function(eventName, properties = {}) {
 // ==========================================================================
 
 app.setupErrorHandling = function() {
+  // A handler that throws on every scroll would otherwise flood the report
+  const reported = new Set();
+  const reportError = (error) => {
+    const key = `${error.message}|${error.line}`;
+    if (reported.has(key) || reported.size >= 10) return;
+    reported.add(key);
+    this.reportRum({ type: 'error', ...error });
+  };
+  
   window.addEventListener('error', (e) => {
     console.error('JavaScript Error:', e.error);
-    this.trackEvent('javascript_error', {
+    reportError({
+      kind: 'error',
       message: e.message,
-      filename: e.filename,
-      lineno: e.lineno
+      source: e.filename,
+      line: e.lineno,
+      column: e.colno,
+      stack: e.error?.stack
     });
   });
 
   window.addEventListener('unhandledrejection', (e) => {
     console.error('Unhandled Promise Rejection:', e.reason);
-    this.trackEvent('promise_rejection', {
-      reason: e.reason?.toString()
+    reportError({
+      kind: 'rejection',
+      message: e.reason?.message || String(e.reason),
+      stack: e.reason?.stack
     });
   });
 };
@@ -796,18 +1670,28 @@ app.setupImageFallbacks = function() {
   const images = document.querySelectorAll('img');
   
   images.forEach(img => {
-    img.addEventListener('error', function() {
-      console.warn('Image failed to load:', this.src);
+    img.addEventListener('error', () => {
+      console.warn('Image failed to load:', img.src);
+      this.reportImageFailure(img.src);
       
       // Hide the image or show a placeholder
-      this.style.display = 'none';
+      img.style.display = 'none';
       
       // You could also set a fallback image here:
-      // this.src = '/assets/placeholder.jpg';
+      // img.src = '/assets/placeholder.jpg';
     });
   });
 };
 
+// Each broken image is reported once per page, however many checks notice it
+app.reportedImages = new Set();
+
+app.reportImageFailure = function(src, background = false) {
+  if (!src || this.reportedImages.has(src)) return;
+  this.reportedImages.add(src);
+  this.reportRum({ type: 'image', src, background });
+};
+
 // ==========================================================================
 // Utility Functions
 // ==========================================================================
@@ -843,6 +1727,7 @@ const throttle = (func, limit) => {
 const isMobile = () => window.innerWidth <= 768;
 const isTablet = () => window.innerWidth > 768 && window.innerWidth <= 1024;
 const isDesktop = () => window.innerWidth > 1024;
+const deviceClass = () => isMobile() ? 'mobile' : isTablet() ? 'tablet' : 'desktop';
 
 // ==========================================================================
 // Initialize Application
@@ -857,20 +1742,16 @@ document.addEventListener('DOMContentLoaded', () => {
   // Remove loading class from body
   document.body.classList.remove('loading');
   
-  console.log('📱 Device:', isMobile() ? 'Mobile' : isTablet() ? 'Tablet' : 'Desktop');
+  console.log('📱 Device:', deviceClass());
 });
 
 // Additional setup after full page load
 window.addEventListener('load', () => {
-  // Performance measurement
+  // Performance measurement (loadEventEnd is only set once this handler returns)
   if ('performance' in window) {
-    const perfData = performance.getEntriesByType('navigation')[0];
-    console.log('⚡ Page load time:', Math.round(perfData.loadEventEnd - perfData.fetchStart) + 'ms');
+    setTimeout(() => app.reportNavigationTiming(), 0);
   }
   
-  // Final image visibility check
-  app.setupImageLoadingFixes();
-  
   console.log('🎉 MNL-AI Website fully loaded and optimized');
 });
 
@@ -880,8 +1761,6 @@ document.addEventListener('visibilitychange', () => {
     console.log('📄 Page hidden');
   } else {
     console.log('📄 Page visible');
-    // Re-check images when page becomes visible
-    app.setupImageLoadingFixes();
   }
 });
 
@@ -893,6 +1772,7 @@ window.MNL_AI = {
     throttle,
     isMobile,
     isTablet,
-    isDesktop
+    isDesktop,
+    deviceClass
   }
 };
\ No newline at end of file
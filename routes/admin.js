@@ -0,0 +1,65 @@
+/**
+ * Admin Dashboard
+ * Login/logout and the protected /admin pages
+ */
+
+const path = require('path');
+const express = require('express');
+const {
+  isLoginEnabled,
+  isLoginLocked,
+  checkPassword,
+  startSession,
+  endSession,
+  isAdmin,
+  requireAdminPage
+} = require('../lib/auth');
+
+const ADMIN_DIR = path.join(__dirname, '..', 'admin');
+
+const router = express.Router();
+
+// Dashboard pages contain lead data, so never let them be cached
+router.use((req, res, next) => {
+  res.setHeader('Cache-Control', 'no-store');
+  next();
+});
+
+router.use('/assets', express.static(path.join(ADMIN_DIR, 'assets')));
+
+router.get('/login', (req, res) => {
+  if (isAdmin(req)) return res.redirect('/admin');
+  res.sendFile(path.join(ADMIN_DIR, 'login.html'));
+});
+
+router.post('/login', (req, res) => {
+  if (!isLoginEnabled()) {
+    return res.redirect(303, '/admin/login?error=disabled');
+  }
+
+  if (isLoginLocked(req.ip)) {
+    return res.redirect(303, '/admin/login?error=locked');
+  }
+
+  if (!checkPassword(req.ip, req.body.password)) {
+    return res.redirect(303, '/admin/login?error=invalid');
+  }
+
+  startSession(res);
+  res.redirect(303, '/admin');
+});
+
+router.post('/logout', (req, res) => {
+  endSession(req, res);
+  res.redirect(303, '/admin/login');
+});
+
+router.get('/', requireAdminPage, (req, res) => {
+  res.sendFile(path.join(ADMIN_DIR, 'index.html'));
+});
+
+router.get('/reports', requireAdminPage, (req, res) => {
+  res.sendFile(path.join(ADMIN_DIR, 'reports.html'));
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+/**
+ * Asset Check API
+ * The lib/assets.js report of missing, oversized and unreferenced files,
+ * admin only. Paths are URLs and repository paths, never server paths.
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../lib/auth');
+const { checkAssets } = require('../lib/assets');
+
+const router = express.Router();
+
+router.get('/report', requireAdmin, (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: checkAssets()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+/**
+ * Availability API
+ * Open consult call slots in Manila time. Pass ?from=YYYY-MM-DD and ?days=N
+ * to narrow the range; it never extends past the booking horizon.
+ */
+
+const express = require('express');
+const { getAvailability } = require('../lib/bookings');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: getAvailability({ from: req.query.from, days: req.query.days })
+  });
+});
+
+module.exports = router;
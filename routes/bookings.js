@@ -0,0 +1,166 @@
+/**
+ * Bookings API
+ * Visitors book a consult call with their name and email, which also
+ * creates a lead; the booking list and cancellations are admin only. The
+ * .ics file needs an admin session or the signed link returned on booking.
+ * New bookings need the "booking" flag; existing ones stay reachable.
+ */
+
+const express = require('express');
+const { requireAdmin, requireAdminOrSignature, signPath } = require('../lib/auth');
+const { settings: spamSettings, checkIpLimit, checkBotSignals, checkSubmission } = require('../lib/spam');
+const { localizeRejection, localizeErrors } = require('../lib/i18n');
+const { createLead, attachBooking, addTimelineEntry } = require('../lib/leads');
+const { queueLeadNotifications } = require('../lib/mailer');
+const { cleanAttribution } = require('../lib/attribution');
+const { requireFeature } = require('../lib/flags');
+const {
+  checkSlot,
+  listBookings,
+  getBooking,
+  createBooking,
+  cancelBooking,
+  bookingIcs
+} = require('../lib/bookings');
+const contactSchema = require('../shared/contact-schema');
+
+const router = express.Router();
+
+const bookingNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Booking not found'
+  });
+};
+
+const submissionRejected = (req, res, rejection) => {
+  if (rejection.retryAfter) res.setHeader('Retry-After', rejection.retryAfter);
+  return res.status(rejection.status).json({
+    success: false,
+    code: rejection.code,
+    error: localizeRejection(req.t, rejection, { max: spamSettings.maxLinks }).error,
+    retryAfter: rejection.retryAfter
+  });
+};
+
+// Slot conflicts are 409 so clients know to refresh availability
+const slotRejected = (req, res, slotError) => {
+  const [error] = localizeErrors([slotError], req.t);
+  return res.status(error.code === 'slot_taken' ? 409 : 400).json({
+    success: false,
+    code: error.code,
+    error: error.message,
+    errors: [error]
+  });
+};
+
+router.get('/:id.ics', requireAdminOrSignature, (req, res) => {
+  const booking = getBooking(req.params.id);
+  if (!booking) return bookingNotFound(res);
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="mnl-ai-consult.ics"');
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.send(bookingIcs(booking));
+});
+
+router.post('/', requireFeature('booking'), (req, res) => {
+  const rejection = checkIpLimit(req.ip) || checkBotSignals(req.body);
+  if (rejection) return submissionRejected(req, res, rejection);
+
+  // Name and email are required here; business and notes are optional
+  const values = contactSchema.normalize(req.body);
+  const errors = ['name', 'email', 'business', 'message']
+    .filter(field => field === 'name' || field === 'email' || values[field])
+    .map(field => contactSchema.validateField(field, values[field], {}))
+    .filter(Boolean);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: req.t('api.checkFields'),
+      errors: localizeErrors(errors, req.t, contactSchema.fields)
+    });
+  }
+
+  const slotError = checkSlot(req.body.start);
+  if (slotError) return slotRejected(req, res, slotError);
+
+  // Duplicates, blocked content and the per-email limit, as on /contact
+  const leadInput = {
+    name: values.name,
+    email: values.email,
+    business: values.business || null,
+    service: null,
+    message: values.message || null
+  };
+  const spamRejection = checkSubmission(leadInput);
+  if (spamRejection) return submissionRejected(req, res, spamRejection);
+
+  try {
+    let lead = createLead({
+      ...leadInput,
+      attribution: cleanAttribution(req.body.attribution),
+      locale: req.locale
+    }, 'booking');
+
+    const { booking, errors: bookingErrors } = createBooking({
+      start: req.body.start,
+      leadId: lead.id,
+      name: lead.name,
+      email: lead.email
+    });
+    if (bookingErrors.length) return slotRejected(req, res, bookingErrors[0]);
+
+    lead = attachBooking(lead.id, booking);
+    console.log(`📅 Booking ${booking.id} saved for lead ${lead.id}`);
+
+    try {
+      queueLeadNotifications(lead);
+    } catch (mailError) {
+      console.error(`Could not queue emails for lead ${lead.id}:`, mailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        booking,
+        icsUrl: signPath(`${req.baseUrl}/${booking.id}.ics`).path
+      }
+    });
+  } catch (error) {
+    console.error('Booking error:', error);
+    res.status(500).json({
+      success: false,
+      error: req.t('api.serverError')
+    });
+  }
+});
+
+router.get('/', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: listBookings({
+      status: req.query.status,
+      from: req.query.from,
+      leadId: req.query.leadId
+    })
+  });
+});
+
+router.post('/:id/cancel', requireAdmin, (req, res) => {
+  const current = getBooking(req.params.id);
+  if (!current) return bookingNotFound(res);
+
+  const booking = cancelBooking(current.id);
+  if (current.status !== 'cancelled' && booking.leadId) {
+    addTimelineEntry(booking.leadId, 'booking_cancelled', { bookingId: booking.id });
+  }
+
+  res.json({
+    success: true,
+    data: booking
+  });
+});
+
+module.exports = router;
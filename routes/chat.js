@@ -0,0 +1,69 @@
+/**
+ * Chat API
+ * One endpoint for the chat widget: send { sessionId, message, choice,
+ * attribution } and get the assistant's replies plus quick replies for the
+ * next step.
+ */
+
+const express = require('express');
+const { rateLimit } = require('../lib/rate-limit');
+const { handleMessage } = require('../lib/chat');
+const { queueLeadNotifications } = require('../lib/mailer');
+const { cleanAttribution } = require('../lib/attribution');
+
+const MAX_MESSAGE_LENGTH = 500;
+
+const router = express.Router();
+
+router.post('/', rateLimit({ windowMs: 10 * 60 * 1000, max: 60, messageKey: 'api.tooManyChatMessages' }), async (req, res) => {
+  const { sessionId, message, choice } = req.body;
+
+  if (message !== undefined && (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH)) {
+    return res.status(400).json({
+      success: false,
+      error: req.t('api.chatTooLong', { max: MAX_MESSAGE_LENGTH })
+    });
+  }
+
+  try {
+    const reply = await handleMessage({
+      sessionId: typeof sessionId === 'string' ? sessionId : null,
+      message,
+      choice: typeof choice === 'string' ? choice : undefined,
+      locale: req.locale,
+      attribution: cleanAttribution(req.body.attribution)
+    });
+
+    if (reply.rejection) {
+      console.warn(`🚫 Chat lead rejected (${reply.rejection.code}) from ${req.ip}`);
+    }
+
+    if (reply.lead) {
+      console.log(`💬 Chat lead ${reply.lead.id} saved`);
+      try {
+        queueLeadNotifications(reply.lead);
+      } catch (mailError) {
+        console.error(`Could not queue emails for lead ${reply.lead.id}:`, mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        sessionId: reply.sessionId,
+        messages: reply.messages,
+        quickReplies: reply.quickReplies,
+        step: reply.step,
+        leadId: reply.lead ? reply.lead.id : null
+      }
+    });
+  } catch (error) {
+    console.error('Chat error:', error);
+    res.status(500).json({
+      success: false,
+      error: req.t('api.chatUnavailable')
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+/**
+ * Public Config API
+ * The settings the browser needs (site URL, business contact, currency,
+ * locale, timezone and the visitor's feature flags). Built from
+ * lib/config.js's publicConfig(), which leaves out every secret and
+ * server detail.
+ */
+
+const express = require('express');
+const { publicConfig } = require('../lib/config');
+
+const router = express.Router();
+
+router.get('/public', (req, res) => {
+  // Flags can differ per visitor and change at any time
+  res.setHeader('Cache-Control', 'private, no-cache');
+  res.json({
+    success: true,
+    data: publicConfig({ features: req.features })
+  });
+});
+
+module.exports = router;
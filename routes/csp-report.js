@@ -0,0 +1,39 @@
+/**
+ * CSP Report API
+ * Browsers post Content-Security-Policy violations here, as
+ * application/csp-report (report-uri) or application/reports+json
+ * (Reporting API); the grouped report is admin only.
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../lib/auth');
+const { rateLimit } = require('../lib/rate-limit');
+const { recordReports, getReport } = require('../lib/csp-reports');
+
+const router = express.Router();
+
+// The app-wide JSON parser only reads application/json
+const parseReports = express.json({
+  type: ['application/csp-report', 'application/reports+json', 'application/json'],
+  limit: '20kb'
+});
+
+router.post('/', rateLimit({ windowMs: 60 * 1000, max: 30 }), parseReports, (req, res) => {
+  if (recordReports(req.body) === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'Send a CSP violation report'
+    });
+  }
+
+  res.status(204).end();
+});
+
+router.get('/report', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: getReport({ from: req.query.from, to: req.query.to })
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+/**
+ * Analytics Events API
+ * The site's script posts batches of events here (usually with
+ * navigator.sendBeacon, so nobody reads the response). Visitors who send
+ * Do Not Track or Global Privacy Control are not counted, and neither are
+ * crawlers. The report is admin only.
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../lib/auth');
+const { rateLimit } = require('../lib/rate-limit');
+const { MAX_BATCH, isBot, recordBatch, getReport } = require('../lib/analytics');
+
+const router = express.Router();
+
+const optedOut = (req) => req.get('DNT') === '1' || req.get('Sec-GPC') === '1';
+
+router.post('/', rateLimit({ windowMs: 60 * 1000, max: 30 }), (req, res) => {
+  if (optedOut(req) || isBot(req.get('User-Agent'))) {
+    return res.status(204).end();
+  }
+
+  const kept = recordBatch(req.body);
+  if (kept === null) {
+    return res.status(400).json({
+      success: false,
+      error: `Send { context, events } with at most ${MAX_BATCH} events`
+    });
+  }
+
+  res.status(204).end();
+});
+
+router.get('/report', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: getReport({ from: req.query.from, to: req.query.to })
+  });
+});
+
+module.exports = router;
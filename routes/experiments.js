@@ -0,0 +1,36 @@
+/**
+ * Experiments API
+ * The site's script reports goal conversions here; the visitor comes from
+ * the anonymous id cookie set when the page was rendered. The results
+ * report is admin only.
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../lib/auth');
+const { rateLimit } = require('../lib/rate-limit');
+const { VISITOR_COOKIE, isTracked, recordConversion, getReport } = require('../lib/experiments');
+
+const router = express.Router();
+
+router.post('/conversions', rateLimit({ windowMs: 60 * 1000, max: 10 }), (req, res) => {
+  const goal = req.body && req.body.goal;
+  if (typeof goal !== 'string' || !goal) {
+    return res.status(400).json({
+      success: false,
+      error: 'goal is required'
+    });
+  }
+
+  // Opted-out visitors and bots saw the control, uncounted
+  if (isTracked(req)) recordConversion(req.cookies[VISITOR_COOKIE], goal);
+  res.status(204).end();
+});
+
+router.get('/report', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: getReport()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * FAQ API
+ * GET / lists every answer with its categories; add ?q= for a ranked
+ * search and ?category= to narrow to one category. Answers are in the
+ * request's language (Accept-Language).
+ */
+
+const express = require('express');
+const { listCategories, listFaqs, searchFaqs } = require('../lib/faq');
+
+const MAX_QUERY_LENGTH = 200;
+
+const router = express.Router();
+
+// Keywords are search tuning, not content
+const publicFaq = ({ keywords, ...faq }) => faq;
+
+router.get('/', (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, MAX_QUERY_LENGTH) : '';
+  const category = typeof req.query.category === 'string' && req.query.category ? req.query.category : undefined;
+  const locale = req.locale;
+  const results = query ? searchFaqs(query, { category, locale }) : listFaqs({ category, locale });
+
+  res.setHeader('Vary', 'Accept-Language');
+  res.json({
+    success: true,
+    data: {
+      query,
+      categories: listCategories({ locale }),
+      results: results.map(publicFaq)
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+/**
+ * Feature Flags API
+ * Admin only: list the flags with their rules, and change a flag (switch
+ * it, change its rule, rollout percentage or allowlist). Changes apply
+ * from the next request. What a visitor gets is in /api/config/public.
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../lib/auth');
+const { listFlags, updateFlag } = require('../lib/flags');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get('/', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: listFlags()
+  });
+});
+
+router.patch('/:id', (req, res) => {
+  const result = updateFlag(req.params.id, req.body || {});
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      error: 'Flag not found'
+    });
+  }
+
+  if (result.errors.length) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please correct the highlighted fields',
+      errors: result.errors
+    });
+  }
+
+  res.json({
+    success: true,
+    data: result.flag
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+/**
+ * Invoices API
+ * Admin-only invoice records issued from quotes. The PDF can also be opened
+ * with a signed link minted by an admin.
+ */
+
+const express = require('express');
+const { requireAdmin, requireAdminOrSignature, signPath } = require('../lib/auth');
+const { listInvoices, getInvoice, createInvoiceFromQuote } = require('../lib/invoices');
+const { getLead } = require('../lib/leads');
+const { renderDocumentPdf } = require('../lib/documents');
+const { config } = require('../lib/config');
+
+const SITE_URL = config.siteUrl;
+
+const router = express.Router();
+
+const invoiceNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Invoice not found'
+  });
+};
+
+// Registered before /:id so the extension isn't read as part of the id
+router.get('/:id.pdf', requireAdminOrSignature, async (req, res, next) => {
+  const invoice = getInvoice(req.params.id);
+  if (!invoice) return invoiceNotFound(res);
+
+  try {
+    const lead = invoice.leadId ? getLead(invoice.leadId) : null;
+    const pdf = await renderDocumentPdf({ ...invoice, kind: 'invoice' }, lead || {});
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.number}.pdf"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.use(requireAdmin);
+
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: listInvoices({ leadId: req.query.leadId })
+  });
+});
+
+router.post('/', (req, res) => {
+  const { invoice, errors } = createInvoiceFromQuote(req.body.quoteId);
+
+  if (errors.length) {
+    return res.status(errors[0].code === 'not_found' ? 404 : 422).json({
+      success: false,
+      error: errors[0].message,
+      errors
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: invoice
+  });
+});
+
+router.get('/:id', (req, res) => {
+  const invoice = getInvoice(req.params.id);
+  if (!invoice) return invoiceNotFound(res);
+
+  res.json({
+    success: true,
+    data: invoice
+  });
+});
+
+router.post('/:id/link', (req, res) => {
+  const invoice = getInvoice(req.params.id);
+  if (!invoice) return invoiceNotFound(res);
+
+  const link = signPath(`${req.baseUrl}/${invoice.id}.pdf`);
+
+  res.json({
+    success: true,
+    data: {
+      url: `${SITE_URL}${link.path}`,
+      expiresAt: link.expiresAt
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+/**
+ * Lead Inbox API
+ * Search, status changes and internal notes for stored leads, and the
+ * leads-by-source report (admin only)
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../lib/auth');
+const {
+  LEAD_STATUSES,
+  getLead,
+  listLeads,
+  updateLeadStatus,
+  addLeadNote
+} = require('../lib/leads');
+const { getSourceReport } = require('../lib/attribution');
+
+const router = express.Router();
+
+const MAX_NOTE_LENGTH = 2000;
+
+// Repeated parameters (?q=a&q=b) arrive as arrays; only plain strings count
+const queryString = (value) => (typeof value === 'string' && value ? value : undefined);
+
+router.use(requireAdmin);
+
+const invalidStatus = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: `Status must be one of: ${LEAD_STATUSES.join(', ')}`
+  });
+};
+
+const leadNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Lead not found'
+  });
+};
+
+router.get('/', (req, res) => {
+  const status = queryString(req.query.status);
+  const service = queryString(req.query.service);
+  const q = queryString(req.query.q);
+
+  if (status && !LEAD_STATUSES.includes(status)) {
+    return invalidStatus(res);
+  }
+
+  const data = listLeads({ status, service, q });
+
+  res.json({
+    success: true,
+    total: data.length,
+    data
+  });
+});
+
+// ?model=first|last&group=source|channel|campaign|partner&from=&to=
+router.get('/sources', (req, res) => {
+  const [model, group, from, to] = ['model', 'group', 'from', 'to'].map(name => queryString(req.query[name]));
+
+  res.json({
+    success: true,
+    data: getSourceReport(listLeads(), { model, group, from, to })
+  });
+});
+
+router.get('/:id', (req, res) => {
+  const lead = getLead(req.params.id);
+  if (!lead) return leadNotFound(res);
+
+  res.json({
+    success: true,
+    data: lead
+  });
+});
+
+router.patch('/:id', (req, res) => {
+  const { status } = req.body;
+
+  if (!LEAD_STATUSES.includes(status)) {
+    return invalidStatus(res);
+  }
+
+  const lead = updateLeadStatus(req.params.id, status);
+  if (!lead) return leadNotFound(res);
+
+  res.json({
+    success: true,
+    data: lead
+  });
+});
+
+router.post('/:id/notes', (req, res) => {
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+
+  if (!text) {
+    return res.status(400).json({
+      success: false,
+      error: 'Note text is required'
+    });
+  }
+
+  const lead = addLeadNote(req.params.id, text.substring(0, MAX_NOTE_LENGTH));
+  if (!lead) return leadNotFound(res);
+
+  res.status(201).json({
+    success: true,
+    data: lead
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+/**
+ * Pages
+ * The site's HTML pages: home, a page per service, case studies and the
+ * privacy policy. The router is mounted once per language ("/" for
+ * English, "/fil" for Filipino), so every page exists in both. Any other
+ * URL gets the 404 page with a real 404 status, so crawlers don't index
+ * typos as copies of the home page.
+ */
+
+const express = require('express');
+const { listPricedServices } = require('../lib/promotions');
+const { getQuoteOptions } = require('../lib/quotes');
+const { listCategories, listFaqs, faqPageJsonLd } = require('../lib/faq');
+const { getPageContent } = require('../lib/page-content');
+const { listCaseStudies, getCaseStudy } = require('../lib/case-studies');
+const { getPrivacyPolicy } = require('../lib/privacy');
+const { assignVariants, withCopy } = require('../lib/experiments');
+const { enabledLocales } = require('../lib/flags');
+const { businessJsonLd, serviceJsonLd, jsonLdGraph } = require('../lib/seo');
+const {
+  DEFAULT_LOCALE,
+  getTranslator,
+  clientCatalog,
+  preferredLocale,
+  localeFromPath,
+  localePath
+} = require('../lib/i18n');
+
+const router = express.Router();
+
+// ==========================================================================
+// Rendering
+// ==========================================================================
+
+// The language comes from where the router is mounted
+const pageLocale = (req) => localeFromPath(req.baseUrl) || DEFAULT_LOCALE;
+
+/**
+ * What every page's layout needs: the language and the languages switched
+ * on, the services and case studies for the footer, and sectionLink(id),
+ * which points at a home page section ("#contact" on the home page,
+ * "/fil/#contact" elsewhere). pagePath is the page's URL without the
+ * language prefix, or null for the 404 page.
+ */
+const layoutLocals = (req, pagePath) => {
+  const locale = pageLocale(req);
+  const homePath = localePath(locale, '/');
+
+  return {
+    locale,
+    locales: enabledLocales(req.features),
+    localePath,
+    pagePath,
+    sectionLink: (id) => (pagePath === '/' ? `#${id}` : `${homePath}#${id}`),
+    services: listPricedServices({ promoCode: req.query.promo }),
+    caseStudies: listCaseStudies({ locale }),
+    t: getTranslator(locale),
+    i18nCatalog: clientCatalog(locale)
+  };
+};
+
+const renderNotFound = (req, res) => {
+  res.setHeader('Cache-Control', 'no-cache');
+  res.status(404).render('404', layoutLocals(req, null));
+};
+
+// ==========================================================================
+// Routes
+// ==========================================================================
+
+router.get('/', (req, res) => {
+  // /fil is the Filipino home page, canonically with a trailing slash
+  if (req.baseUrl && req.originalUrl.split('?')[0] === req.baseUrl) {
+    const query = req.url.slice(req.path.length);
+    return res.redirect(301, `${req.baseUrl}/${query}`);
+  }
+
+  // The English home page sends visitors who prefer Filipino to /fil/
+  if (!req.baseUrl) {
+    res.setHeader('Vary', 'Accept-Language, Cookie');
+    const preferred = preferredLocale(req);
+    if (preferred !== DEFAULT_LOCALE && enabledLocales(req.features).includes(preferred)) {
+      const query = req.url.slice(req.path.length);
+      return res.redirect(302, `${localePath(preferred, '/')}${query}`);
+    }
+  }
+
+  const layout = layoutLocals(req, '/');
+  const { locale, services } = layout;
+  const page = getPageContent({ locale });
+
+  // Headline offer for the showcase: the first discounted service, else the first priced one
+  const featuredService = services.find(service => service.promotion) ||
+    services.find(service => service.effectivePrice !== null) ||
+    null;
+
+  // A/B tested copy is rendered in place, so the page never flickers
+  const experiments = assignVariants(req, res, locale);
+
+  // Variants differ per visitor, so shared caches must not keep the page
+  res.setHeader('Cache-Control', 'private, no-cache');
+  res.render('index', {
+    ...layout,
+    featuredService,
+    page,
+    quoteOptions: getQuoteOptions(),
+    faqs: listFaqs({ locale }),
+    faqCategories: listCategories({ locale }),
+    jsonLd: jsonLdGraph([
+      // Reviews in structured data must be visible on the page
+      businessJsonLd({ locale, services, testimonials: req.features['section-testimonials'] ? page.testimonials : [] }),
+      ...services.map(service => serviceJsonLd(service, { locale })),
+      faqPageJsonLd({ locale })
+    ]),
+    t: withCopy(layout.t, experiments.copy)
+  });
+});
+
+router.get('/services/:id', (req, res) => {
+  const layout = layoutLocals(req, `/services/${req.params.id}`);
+  const service = layout.services.find(entry => entry.id === req.params.id);
+  if (!service) return renderNotFound(req, res);
+
+  res.setHeader('Cache-Control', 'no-cache');
+  res.render('service', {
+    ...layout,
+    service,
+    otherServices: layout.services.filter(entry => entry.id !== service.id),
+    jsonLd: jsonLdGraph([serviceJsonLd(service, { locale: layout.locale })])
+  });
+});
+
+router.get('/case-studies/:id', (req, res) => {
+  const layout = layoutLocals(req, `/case-studies/${req.params.id}`);
+  const caseStudy = getCaseStudy(req.params.id, { locale: layout.locale });
+  if (!caseStudy) return renderNotFound(req, res);
+
+  res.setHeader('Cache-Control', 'no-cache');
+  res.render('case-study', {
+    ...layout,
+    caseStudy,
+    service: layout.services.find(entry => entry.id === caseStudy.service) || null
+  });
+});
+
+router.get('/privacy', (req, res) => {
+  const layout = layoutLocals(req, '/privacy');
+  const policy = getPrivacyPolicy({ locale: layout.locale });
+
+  res.setHeader('Cache-Control', 'no-cache');
+  res.render('privacy', {
+    ...layout,
+    policy,
+    updatedOn: new Date(`${policy.updatedAt}T00:00:00Z`).toLocaleDateString(`${layout.locale}-PH`, {
+      dateStyle: 'long',
+      timeZone: 'UTC'
+    })
+  });
+});
+
+// Everything else under this language
+router.use(renderNotFound);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * Promotions API
+ * Manage discounts applied to service pricing (admin only)
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../lib/auth');
+const {
+  listPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+} = require('../lib/promotions');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const promotionNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Promotion not found'
+  });
+};
+
+const invalidPromotion = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Please correct the highlighted fields',
+    errors
+  });
+};
+
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: listPromotions()
+  });
+});
+
+router.get('/:id', (req, res) => {
+  const promotion = getPromotion(req.params.id);
+  if (!promotion) return promotionNotFound(res);
+
+  res.json({
+    success: true,
+    data: promotion
+  });
+});
+
+router.post('/', (req, res) => {
+  const { promotion, errors } = createPromotion(req.body);
+  if (errors.length) return invalidPromotion(res, errors);
+
+  res.status(201).json({
+    success: true,
+    data: promotion
+  });
+});
+
+router.patch('/:id', (req, res) => {
+  const result = updatePromotion(req.params.id, req.body);
+  if (!result) return promotionNotFound(res);
+  if (result.errors.length) return invalidPromotion(res, result.errors);
+
+  res.json({
+    success: true,
+    data: result.promotion
+  });
+});
+
+router.delete('/:id', (req, res) => {
+  if (!deletePromotion(req.params.id)) return promotionNotFound(res);
+
+  res.json({
+    success: true
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+/**
+ * Quotes API
+ * Options for the quote builder, shareable quote records and their PDFs.
+ * PDFs need an admin session or a signed link minted by an admin.
+ */
+
+const express = require('express');
+const { requireAdmin, requireAdminOrSignature, signPath } = require('../lib/auth');
+const { getQuoteOptions, getQuote, ensureQuoteNumber, isExpired } = require('../lib/quotes');
+const { getLead } = require('../lib/leads');
+const { renderDocumentPdf } = require('../lib/documents');
+const { config } = require('../lib/config');
+
+const SITE_URL = config.siteUrl;
+
+const router = express.Router();
+
+const quoteNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Quote not found'
+  });
+};
+
+router.get('/options', (req, res) => {
+  res.json({
+    success: true,
+    data: getQuoteOptions()
+  });
+});
+
+// Registered before /:id so the extension isn't read as part of the id
+router.get('/:id.pdf', requireAdminOrSignature, async (req, res, next) => {
+  const found = getQuote(req.params.id);
+  if (!found) return quoteNotFound(res);
+
+  try {
+    const quote = ensureQuoteNumber(found);
+    const lead = quote.leadId ? getLead(quote.leadId) : null;
+    const pdf = await renderDocumentPdf({ ...quote, kind: 'quote', issuedAt: quote.createdAt }, lead || {});
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${quote.number}.pdf"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mints a link the client can open without logging in
+router.post('/:id/link', requireAdmin, (req, res) => {
+  const quote = getQuote(req.params.id);
+  if (!quote) return quoteNotFound(res);
+
+  const link = signPath(`${req.baseUrl}/${quote.id}.pdf`);
+
+  res.json({
+    success: true,
+    data: {
+      url: `${SITE_URL}${link.path}`,
+      expiresAt: link.expiresAt
+    }
+  });
+});
+
+router.get('/:id', (req, res) => {
+  const quote = getQuote(req.params.id);
+  if (!quote) return quoteNotFound(res);
+
+  // The lead link is internal; everything else is meant to be shared
+  const { leadId, ...data } = quote;
+
+  res.json({
+    success: true,
+    data: {
+      ...data,
+      expired: isExpired(quote)
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * Partner Referral Links
+ * /r/:code counts the click and redirects to the partner's landing page
+ * with UTM and ref parameters, which the browser keeps as the visit's
+ * attribution. Unknown codes still land on the home page, uncredited.
+ */
+
+const express = require('express');
+const { isBot } = require('../lib/analytics');
+const { getPartner, recordReferralClick, referralLanding } = require('../lib/attribution');
+
+const router = express.Router();
+
+router.get('/:code', (req, res) => {
+  const partner = getPartner(req.params.code);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (!partner) {
+    return res.redirect(302, '/');
+  }
+
+  // Link previews in chat apps would otherwise inflate the clicks
+  if (!isBot(req.get('User-Agent'))) {
+    recordReferralClick(partner);
+  }
+
+  res.redirect(302, referralLanding(partner));
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+/**
+ * Real-User Monitoring API
+ * The site's script beacons Web Vitals, long tasks, script errors and
+ * failed images here; the percentile report is admin only.
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../lib/auth');
+const { rateLimit } = require('../lib/rate-limit');
+const { isBot } = require('../lib/analytics');
+const { MAX_BATCH, recordBatch, getReport } = require('../lib/rum');
+
+const router = express.Router();
+
+router.post('/', rateLimit({ windowMs: 60 * 1000, max: 30 }), (req, res) => {
+  if (isBot(req.get('User-Agent'))) {
+    return res.status(204).end();
+  }
+
+  const kept = recordBatch(req.body);
+  if (kept === null) {
+    return res.status(400).json({
+      success: false,
+      error: `Send { context, entries } with at most ${MAX_BATCH} entries`
+    });
+  }
+
+  res.status(204).end();
+});
+
+router.get('/report', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: getReport({ from: req.query.from, to: req.query.to })
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+/**
+ * Sitemap and robots.txt
+ * Generated on each request from the services and content files, so new
+ * services and case studies are listed as soon as they exist.
+ */
+
+const express = require('express');
+const { sitemapXml, robotsTxt } = require('../lib/seo');
+const { enabledLocales } = require('../lib/flags');
+
+const router = express.Router();
+
+router.get('/sitemap.xml', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.type('application/xml').send(sitemapXml({ locales: enabledLocales(req.features) }));
+});
+
+router.get('/robots.txt', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.type('text/plain').send(robotsTxt());
+});
+
+module.exports = router;
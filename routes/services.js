@@ -0,0 +1,80 @@
+/**
+ * Services API
+ * Public catalog reads with promotion pricing applied; create, update and
+ * delete are admin only. Pass ?promo=CODE to price with a promo code.
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../lib/auth');
+const {
+  getService,
+  createService,
+  updateService,
+  deleteService
+} = require('../lib/services');
+const { priceService, listPricedServices } = require('../lib/promotions');
+
+const router = express.Router();
+
+const serviceNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Service not found'
+  });
+};
+
+const invalidService = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Please correct the highlighted fields',
+    errors
+  });
+};
+
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: listPricedServices({ promoCode: req.query.promo })
+  });
+});
+
+router.get('/:id', (req, res) => {
+  const service = getService(req.params.id);
+  if (!service) return serviceNotFound(res);
+
+  res.json({
+    success: true,
+    data: priceService(service, { promoCode: req.query.promo })
+  });
+});
+
+router.post('/', requireAdmin, (req, res) => {
+  const { service, errors } = createService(req.body);
+  if (errors.length) return invalidService(res, errors);
+
+  res.status(201).json({
+    success: true,
+    data: priceService(service)
+  });
+});
+
+router.patch('/:id', requireAdmin, (req, res) => {
+  const result = updateService(req.params.id, req.body);
+  if (!result) return serviceNotFound(res);
+  if (result.errors.length) return invalidService(res, result.errors);
+
+  res.json({
+    success: true,
+    data: priceService(result.service)
+  });
+});
+
+router.delete('/:id', requireAdmin, (req, res) => {
+  if (!deleteService(req.params.id)) return serviceNotFound(res);
+
+  res.json({
+    success: true
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+/**
+ * Image Build
+ * Resizes every PNG and JPEG under public/assets into AVIF and WebP
+ * variants, makes a tiny blur placeholder for each opaque image, and
+ * writes the manifest lib/images.js reads for <picture> srcsets and
+ * Accept negotiation. Variant names carry a hash of the original, so they
+ * can be cached forever; unchanged images are skipped on the next run.
+ *
+ *   npm run build:images
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// The layout lib/images.js reads at startup
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const ASSETS_DIR = path.join(PUBLIC_DIR, 'assets');
+const GENERATED_DIR = path.join(ASSETS_DIR, '_generated');
+const MANIFEST_FILE = path.join(GENERATED_DIR, 'manifest.json');
+
+const WIDTHS = [160, 320, 640, 960, 1280, 1920];
+const FORMATS = {
+  avif: { quality: 50, effort: 4 },
+  webp: { quality: 75 }
+};
+const PLACEHOLDER_WIDTH = 16;
+const SOURCE_PATTERN = /\.(png|jpe?g)$/i;
+
+// ==========================================================================
+// Helpers
+// ==========================================================================
+
+const toUrl = (filePath) => `/${path.relative(PUBLIC_DIR, filePath).split(path.sep).join('/')}`;
+const toFile = (url) => path.join(PUBLIC_DIR, ...url.split('/'));
+
+const listSources = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+  const fullPath = path.join(dir, entry.name);
+  if (entry.isDirectory()) return fullPath === GENERATED_DIR ? [] : listSources(fullPath);
+  return SOURCE_PATTERN.test(entry.name) ? [fullPath] : [];
+});
+
+const readManifest = () => {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8')).images || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+// Every variant width up to the original's, which is always included
+const widthsFor = (originalWidth) => {
+  const largest = Math.min(originalWidth, WIDTHS[WIDTHS.length - 1]);
+  return [...WIDTHS.filter(width => width < largest), largest];
+};
+
+const isCurrent = (entry, hash) => entry && entry.hash === hash &&
+  Object.values(entry.variants).every(variants => variants.every(variant => fs.existsSync(toFile(variant.src))));
+
+// ==========================================================================
+// Build
+// ==========================================================================
+
+const buildImage = async (sourcePath, hash) => {
+  const relative = path.relative(ASSETS_DIR, sourcePath);
+  const { dir, name } = path.parse(relative);
+  const metadata = await sharp(sourcePath).metadata();
+  const variants = {};
+
+  for (const [format, options] of Object.entries(FORMATS)) {
+    variants[format] = [];
+    for (const width of widthsFor(metadata.width)) {
+      const outputPath = path.join(GENERATED_DIR, dir, `${name}.${hash}-${width}.${format}`);
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      await sharp(sourcePath).resize({ width }).toFormat(format, options).toFile(outputPath);
+      variants[format].push({ width, src: toUrl(outputPath) });
+    }
+  }
+
+  // Transparent icons sit on the page background, so they get no placeholder
+  let placeholder = null;
+  if (!metadata.hasAlpha) {
+    const buffer = await sharp(sourcePath).resize({ width: PLACEHOLDER_WIDTH }).webp({ quality: 40 }).toBuffer();
+    placeholder = `data:image/webp;base64,${buffer.toString('base64')}`;
+  }
+
+  return { hash, width: metadata.width, height: metadata.height, placeholder, variants };
+};
+
+// Generated files no manifest entry refers to any more
+const removeStale = (images) => {
+  const keep = new Set([
+    MANIFEST_FILE,
+    ...Object.values(images).flatMap(entry => Object.values(entry.variants).flat().map(variant => toFile(variant.src)))
+  ]);
+  const walk = (dir) => fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return walk(fullPath);
+    if (!keep.has(fullPath)) fs.unlinkSync(fullPath);
+  });
+  if (fs.existsSync(GENERATED_DIR)) walk(GENERATED_DIR);
+};
+
+const main = async () => {
+  const previous = readManifest();
+  const images = {};
+  let built = 0;
+
+  for (const sourcePath of listSources(ASSETS_DIR)) {
+    const url = toUrl(sourcePath);
+    const hash = crypto.createHash('sha256').update(fs.readFileSync(sourcePath)).digest('hex').slice(0, 10);
+
+    if (isCurrent(previous[url], hash)) {
+      images[url] = previous[url];
+      continue;
+    }
+
+    images[url] = await buildImage(sourcePath, hash);
+    built++;
+    console.log(`🖼️ ${url} (${images[url].width}×${images[url].height})`);
+  }
+
+  fs.mkdirSync(GENERATED_DIR, { recursive: true });
+  fs.writeFileSync(MANIFEST_FILE, `${JSON.stringify({ generatedAt: new Date().toISOString(), images }, null, 2)}\n`);
+  removeStale(images);
+
+  console.log(`✅ ${Object.keys(images).length} images in the manifest, ${built} rebuilt`);
+};
+
+main().catch(err => {
+  console.error('❌ Image build failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+/**
+ * Asset Check
+ * Prints the lib/assets.js report and exits with 1 when a referenced file
+ * is missing or a file is over its size limit, so a deploy can stop on it.
+ * Run it after npm run build:images: images are judged by their variants.
+ *
+ *   npm run check:assets
+ *   npm run check:assets -- --json
+ */
+
+const { checkAssets } = require('../lib/assets');
+
+const kb = (bytes) => `${Math.round(bytes / 1024)} KB`;
+
+const printReport = (report) => {
+  const { summary } = report;
+  console.log(`🔍 ${summary.referenced} referenced files, ${summary.served} served files`);
+
+  if (report.missing.length > 0) {
+    console.log(`\n❌ Missing (${report.missing.length})`);
+    report.missing.forEach(entry => console.log(`  ${entry.url}  ← ${entry.referencedIn.join(', ')}`));
+  }
+
+  if (report.oversized.length > 0) {
+    console.log(`\n❌ Oversized (${report.oversized.length})`);
+    report.oversized.forEach(entry => {
+      const served = entry.variant ? ` as ${entry.variant}` : '';
+      console.log(`  ${entry.url}  ${kb(entry.bytes)}${served}, limit ${kb(entry.limit)}`);
+    });
+  }
+
+  if (report.unreferenced.length > 0) {
+    console.log(`\n⚠️ Unreferenced (${report.unreferenced.length})`);
+    report.unreferenced.forEach(entry => console.log(`  ${entry.url}  ${kb(entry.bytes)}`));
+  }
+
+  console.log(report.ok ? '\n✅ All referenced assets exist and are within their size limits' : '\n❌ Asset check failed');
+};
+
+const report = checkAssets();
+
+if (process.argv.includes('--json')) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  printReport(report);
+}
+
+process.exitCode = report.ok ? 0 : 1;
@@ -4,19 +4,97 @@
  */
 
 const path = require("path");
+
+// Settings load before anything else, so a bad value stops startup with
+// every problem listed instead of failing later inside a request
+let config;
+try {
+  ({ config } = require("./lib/config"));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const express = require("express");
+const cookieParser = require("cookie-parser");
+const { createLead, attachQuote, attachBooking } = require("./lib/leads");
+const { TRANSPORT: MAIL_TRANSPORT, queueLeadNotifications } = require("./lib/mailer");
+const { settings: spamSettings, checkIpLimit, checkBotSignals, checkSubmission } = require("./lib/spam");
+const { listServices, formatPrice } = require("./lib/services");
+const { priceSelection, saveQuote } = require("./lib/quotes");
+const { checkSlot, createBooking } = require("./lib/bookings");
+const { signPath } = require("./lib/auth");
+const { cleanAttribution } = require("./lib/attribution");
+const { redirects } = require("./lib/redirects");
+const { absoluteUrl } = require("./lib/seo");
+const { picture, negotiateImages } = require("./lib/images");
+const { CSP_MODE, REPORT_PATH: CSP_REPORT_PATH, securityHeaders } = require("./lib/security-headers");
+const { featureFlags, requireFeature } = require("./lib/flags");
+const {
+  LOCALES,
+  DEFAULT_LOCALE,
+  localePath,
+  withoutLocale,
+  i18n,
+  localizeRejection,
+  localizeErrors
+} = require("./lib/i18n");
+const contactSchema = require("./shared/contact-schema");
+const leadsRouter = require("./routes/leads");
+const adminRouter = require("./routes/admin");
+const servicesRouter = require("./routes/services");
+const promotionsRouter = require("./routes/promotions");
+const quotesRouter = require("./routes/quotes");
+const invoicesRouter = require("./routes/invoices");
+const availabilityRouter = require("./routes/availability");
+const bookingsRouter = require("./routes/bookings");
+const chatRouter = require("./routes/chat");
+const faqRouter = require("./routes/faq");
+const eventsRouter = require("./routes/events");
+const rumRouter = require("./routes/rum");
+const experimentsRouter = require("./routes/experiments");
+const assetsRouter = require("./routes/assets");
+const cspReportRouter = require("./routes/csp-report");
+const configRouter = require("./routes/config");
+const flagsRouter = require("./routes/flags");
+const referralsRouter = require("./routes/referrals");
+const pagesRouter = require("./routes/pages");
+const seoRouter = require("./routes/seo");
+const { ENGINE_NAME: CHAT_ENGINE } = require("./lib/chat");
 const app = express();
 
-const PORT = process.env.PORT || 3000;
-const isProduction = process.env.NODE_ENV === 'production';
+const PORT = config.port;
+const isProduction = config.isProduction;
+
+// Express reads NODE_ENV itself; .env files can set it too
+app.set("env", config.env);
+
+// Pages are EJS views rendered from stored content
+app.set("views", path.join(__dirname, "views"));
+app.set("view engine", "ejs");
+app.locals.formatPrice = formatPrice;
+app.locals.absoluteUrl = absoluteUrl;
+app.locals.picture = picture;
+
+// Railway terminates TLS at its proxy, so trust it for req.ip and req.secure
+app.set('trust proxy', 1);
 
 // ==========================================================================
 // Middleware Configuration
 // ==========================================================================
 
-// Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
-app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+// CSP with a per-response nonce (res.locals.cspNonce), HSTS and friends;
+// first so every response has them, errors and redirects included
+app.use(securityHeaders());
+
+// Language for API responses (req.locale, req.t); before the body parsers
+// so even their errors are translated
+app.use(i18n());
+
+// Body parsing middleware (forms and JSON APIs never need more than a few KB)
+app.use(express.json({ limit: "50kb" }));
+app.use(express.urlencoded({ extended: true, limit: "50kb" }));
+app.use(cookieParser());
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -25,25 +103,26 @@ app.use((req, res, next) => {
   next();
 });
 
-// Security headers middleware
-app.use((req, res, next) => {
-  res.setHeader("X-Content-Type-Options", "nosniff");
-  res.setHeader("X-Frame-Options", "DENY");
-  res.setHeader("X-XSS-Protection", "1; mode=block");
-  next();
-});
+// Moved URLs (content/redirects.json), before anything can serve them
+app.use(redirects());
 
 // ==========================================================================
 // Static File Serving - FIXED
 // ==========================================================================
 
+// The image variants from npm run build:images; send's MIME table predates AVIF
+express.static.mime.define({ "image/avif": ["avif"] });
+
+// Originals requested directly (CSS backgrounds) get AVIF or WebP when accepted
+app.use(negotiateImages());
+
 // Serve all files from /public as web root with proper caching
 app.use(express.static(path.join(__dirname, "public"), {
   setHeaders: (res, filePath) => {
     const ext = path.extname(filePath).toLowerCase();
     
     // Set proper MIME types and caching
-    if (/\.(png|jpg|jpeg|webp|svg|ico)$/i.test(ext)) {
+    if (/\.(png|jpg|jpeg|webp|avif|svg|ico)$/i.test(ext)) {
       res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
     } else if (/\.(css|js)$/i.test(ext)) {
       res.setHeader("Cache-Control", "public, max-age=604800");
@@ -57,12 +136,23 @@ app.use(express.static(path.join(__dirname, "public"), {
 app.use("/assets", express.static(path.join(__dirname, "public", "assets"), {
   setHeaders: (res, filePath) => {
     const ext = path.extname(filePath).toLowerCase();
-    if (/\.(png|jpg|jpeg|webp|svg|ico)$/i.test(ext)) {
+    if (/\.(png|jpg|jpeg|webp|avif|svg|ico)$/i.test(ext)) {
       res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
     }
   }
 }));
 
+// Validation rules shared with the browser
+app.use("/shared", express.static(path.join(__dirname, "shared"), {
+  setHeaders: (res) => {
+    res.setHeader("Cache-Control", "no-cache");
+  }
+}));
+
+// Feature flags for this visitor (req.features), for everything below;
+// static files never depend on them
+app.use(featureFlags());
+
 // ==========================================================================
 // API Routes
 // ==========================================================================
@@ -72,195 +162,260 @@ app.get("/health", (_req, res) => {
   res.json({ 
     status: "OK", 
     time: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development',
+    environment: config.env,
     port: PORT
   });
 });
 
 // Contact form submission
 app.post('/contact', async (req, res) => {
+  // Structured 429/422 response for submissions rejected as abuse
+  const rejectSubmission = (rejection) => {
+    console.warn(`🚫 Contact submission rejected (${rejection.code}) from ${req.ip}`);
+    if (rejection.retryAfter) res.setHeader('Retry-After', rejection.retryAfter);
+
+    const { error } = localizeRejection(req.t, rejection, { max: spamSettings.maxLinks });
+    return res.status(rejection.status).json({
+      success: false,
+      code: rejection.code,
+      error,
+      retryAfter: rejection.retryAfter
+    });
+  };
+
   try {
-    const { name, email, business, message } = req.body;
-    
-    if (!name || !email || !message) {
+    const ipRejection = checkIpLimit(req.ip);
+    if (ipRejection) return rejectSubmission(ipRejection);
+
+    const { values, errors } = contactSchema.validate(req.body, {
+      services: listServices().map(service => service.id)
+    });
+
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Please fill in all required fields'
+        error: req.t('api.checkFields'),
+        errors: localizeErrors(errors, req.t, contactSchema.fields)
       });
     }
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    // Optional quote builder selection, priced with the visitor's promo code
+    const promoCode = typeof req.body.promo === 'string' && req.body.promo.trim() ? req.body.promo.trim() : null;
+    const selection = req.body.quote || null;
+    const pricedQuote = selection ? priceSelection(selection, { promoCode }) : null;
+
+    if (pricedQuote && pricedQuote.errors.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Please provide a valid email address'
+        error: req.t('api.checkQuote'),
+        errors: localizeErrors(pricedQuote.errors, req.t)
       });
     }
 
+    // Optional consult call picked in the calendar; checked again when saved.
+    // Ignored while booking is switched off, as the picker is not shown
+    const requested = req.features.booking ? req.body.booking : null;
+    const bookingStart = requested ? requested.start : null;
+    const slotError = requested ? checkSlot(bookingStart) : null;
+
+    if (slotError) {
+      const [localized] = localizeErrors([slotError], req.t);
+      return res.status(slotError.code === 'slot_taken' ? 409 : 400).json({
+        success: false,
+        code: slotError.code,
+        error: localized.message,
+        errors: [localized]
+      });
+    }
+
+    const botRejection = checkBotSignals(req.body);
+    if (botRejection) return rejectSubmission(botRejection);
+
     const sanitizedData = {
-      name: name.trim().substring(0, 100),
-      email: email.trim().toLowerCase().substring(0, 100),
-      business: business ? business.trim().substring(0, 100) : 'Not provided',
-      message: message.trim().substring(0, 1000)
+      ...values,
+      service: values.service || null
     };
 
-    console.log('\n=== CONTACT FORM SUBMISSION ===');
-    console.log(`Name: ${sanitizedData.name}`);
-    console.log(`Email: ${sanitizedData.email}`);
-    console.log(`Business: ${sanitizedData.business}`);
-    console.log(`Message: ${sanitizedData.message}`);
-    console.log(`Timestamp: ${new Date().toISOString()}`);
-    console.log('===============================\n');
+    const spamRejection = checkSubmission(sanitizedData);
+    if (spamRejection) return rejectSubmission(spamRejection);
+
+    // UTM, referrer and landing page of the first and latest visit
+    let lead = createLead({
+      ...sanitizedData,
+      attribution: cleanAttribution(req.body.attribution),
+      locale: req.locale
+    });
+    console.log(`📥 New lead ${lead.id} saved`);
+
+    let quote = null;
+    if (pricedQuote) {
+      quote = saveQuote(pricedQuote, {
+        selection: {
+          services: pricedQuote.lineItems.filter(item => item.type === 'service').map(item => item.id),
+          addOns: pricedQuote.lineItems
+            .filter(item => item.type === 'addon')
+            .reduce((addOns, item) => ({ ...addOns, [item.id]: item.quantity }), {}),
+          timeline: pricedQuote.timeline.id
+        },
+        promoCode,
+        leadId: lead.id
+      });
+      lead = attachQuote(lead.id, quote.id);
+    }
+
+    // Nothing async runs between the slot check and this save, so no one else
+    // can take the slot in between; this only fails for a slot that closed
+    let booking = null;
+    if (bookingStart) {
+      const result = createBooking({ start: bookingStart, leadId: lead.id, name: lead.name, email: lead.email });
+      booking = result.booking || null;
+      if (booking) lead = attachBooking(lead.id, booking);
+    }
+
+    // Email is best effort: the lead is already stored, so never fail the request
+    try {
+      queueLeadNotifications(lead);
+    } catch (mailError) {
+      console.error(`Could not queue emails for lead ${lead.id}:`, mailError);
+    }
 
     res.json({
       success: true,
-      message: 'Thank you for your message! We\'ll get back to you within 24 hours.'
+      message: req.t('api.contactThanks'),
+      leadId: lead.id,
+      quoteId: quote ? quote.id : null,
+      quoteUrl: quote ? `/api/quotes/${quote.id}` : null,
+      bookingId: booking ? booking.id : null,
+      bookingIcsUrl: booking ? signPath(`/api/bookings/${booking.id}.ics`).path : null
     });
 
   } catch (error) {
     console.error('Contact form error:', error);
     res.status(500).json({
       success: false,
-      error: 'An error occurred. Please try again.'
+      error: req.t('api.serverError')
     });
   }
 });
 
-// Services API
-app.get('/api/services', (req, res) => {
-  const services = [
-    {
-      id: 'website-creation',
-      name: 'Website Creation',
-      description: 'Professional websites that convert visitors into customers',
-      startingPrice: 10000,
-      currency: 'PHP'
-    },
-    {
-      id: 'ai-chatbots',
-      name: 'AI Chatbots',
-      description: 'Smart chatbots that qualify leads 24/7',
-      startingPrice: null,
-      currency: 'PHP'
-    },
-    {
-      id: 'business-automation',
-      name: 'Business Automation',
-      description: 'Automate repetitive tasks and save time',
-      startingPrice: null,
-      currency: 'PHP'
-    },
-    {
-      id: 'marketing-assets',
-      name: 'Marketing Assets',
-      description: 'Professional branding that matches your website',
-      startingPrice: null,
-      currency: 'PHP'
-    }
-  ];
-  
-  res.json({ 
-    success: true, 
-    data: services 
-  });
-});
+// Lead inbox (admin only)
+app.use('/api/leads', leadsRouter);
 
-// Debug endpoint to check file structure
-app.get('/debug/files', (req, res) => {
-  const fs = require('fs');
-  const publicPath = path.join(__dirname, 'public');
-  
-  try {
-    const checkPath = (dirPath, basePath = '') => {
-      const items = fs.readdirSync(dirPath);
-      let files = [];
-      
-      items.forEach(item => {
-        const fullPath = path.join(dirPath, item);
-        const relativePath = path.join(basePath, item);
-        const stat = fs.statSync(fullPath);
-        
-        if (stat.isDirectory()) {
-          files = files.concat(checkPath(fullPath, relativePath));
-        } else {
-          files.push({
-            file: relativePath.replace(/\\/g, '/'),
-            size: stat.size,
-            url: `/${relativePath.replace(/\\/g, '/')}`
-          });
-        }
-      });
-      
-      return files;
-    };
-    
-    const files = checkPath(publicPath);
-    const criticalFiles = [
-      '/index.html',
-      '/style.css', 
-      '/script.js',
-      '/assets/hero/hero-desktop.jpg',
-      '/assets/cards/website_creation_desktop.png',
-      '/assets/steps/bg_for3steps.png'
-    ];
-    
-    const fileStatus = criticalFiles.map(file => {
-      const exists = files.some(f => f.url === file);
-      return { file, exists, status: exists ? '✅' : '❌' };
-    });
-    
-    res.json({
-      message: 'File structure check',
-      publicPath,
-      totalFiles: files.length,
-      criticalFiles: fileStatus,
-      allFiles: files.slice(0, 30)
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: 'Cannot read public directory',
-      message: error.message,
-      publicPath
-    });
-  }
-});
+// Services catalog (reads are public, changes are admin only)
+app.use('/api/services', servicesRouter);
+
+// Promotions applied to service pricing (admin only)
+app.use('/api/promotions', promotionsRouter);
+
+// Quote builder options, shareable quotes and quote PDFs
+app.use('/api/quotes', quotesRouter);
+
+// Invoices issued from quotes (admin or signed link)
+app.use('/api/invoices', invoicesRouter);
+
+// Consult call slots and bookings (new bookings are gated in the router so
+// booked calls stay reachable when booking is off)
+app.use('/api/availability', requireFeature('booking'), availabilityRouter);
+app.use('/api/bookings', bookingsRouter);
+
+// Chat assistant that answers questions and qualifies leads
+app.use('/api/chat', requireFeature('chatbot'), chatRouter);
+
+// FAQ answers and search
+app.use('/api/faq', faqRouter);
+
+// First-party analytics events and the admin report
+app.use('/api/events', eventsRouter);
+
+// Web Vitals, script errors and failed images from real visitors
+app.use('/api/rum', rumRouter);
+
+// A/B test conversions and results
+app.use('/api/experiments', experimentsRouter);
+
+// Missing, oversized and unreferenced asset files (admin only)
+app.use('/api/assets', assetsRouter);
+
+// Content-Security-Policy violations from browsers, and the admin report
+app.use(CSP_REPORT_PATH, cspReportRouter);
+
+// Client-safe settings for public/script.js
+app.use('/api/config', configRouter);
+
+// Feature flag rules (admin only)
+app.use('/api/flags', flagsRouter);
 
 // ==========================================================================
-// Catch-all Route (SPA Support)
+// Admin Dashboard
 // ==========================================================================
 
-// Serve index.html for all non-API routes
-app.get("*", (req, res) => {
-  // Don't serve index.html for API routes
-  if (req.path.startsWith('/api/')) {
-    return res.status(404).json({
-      success: false,
-      error: 'API endpoint not found'
-    });
-  }
+app.use('/admin', adminRouter);
 
-  res.sendFile(path.join(__dirname, "public", "index.html"), (err) => {
-    if (err) {
-      console.error('Error serving index.html:', err);
-      res.status(404).send(`
-        <h1>File Not Found</h1>
-        <p>Could not find index.html in /public directory</p>
-        <p>Make sure to move index.html to /public/index.html</p>
-        <a href="/debug/files">Check file structure</a>
-      `);
-    }
+// ==========================================================================
+// Partner Referral Links
+// ==========================================================================
+
+app.use('/r', referralsRouter);
+
+// ==========================================================================
+// Sitemap and robots.txt
+// ==========================================================================
+
+app.use(seoRouter);
+
+// ==========================================================================
+// Pages
+// ==========================================================================
+
+// Unknown API routes answer in JSON, never with a page
+app.use('/api', (req, res) => {
+  res.status(404).json({
+    success: false,
+    error: req.t('api.notFound')
   });
 });
 
+// Each language's pages under its prefix (/fil/...), then English at the root,
+// which also renders the 404 page for anything left. Mount paths match any
+// case, so /FIL/... is sent to the canonical lowercase URL. A language
+// switched off by its "locale-<code>" flag sends visitors to the English
+// page instead
+LOCALES.filter(locale => locale !== DEFAULT_LOCALE).forEach(locale => {
+  const prefix = localePath(locale, '');
+  app.use(prefix, (req, res, next) => {
+    if (req.baseUrl === prefix) return next();
+    res.redirect(301, prefix + req.originalUrl.slice(prefix.length));
+  }, requireFeature(`locale-${locale}`, (req, res) => {
+    res.redirect(302, withoutLocale(locale, req.originalUrl));
+  }), pagesRouter);
+});
+app.use(pagesRouter);
+
 // ==========================================================================
 // Error Handling
 // ==========================================================================
 
 app.use((err, req, res, next) => {
+  // Body parser errors (oversized or malformed bodies) are the client's fault
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      code: 'payload_too_large',
+      error: req.t('api.payloadTooLarge')
+    });
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      error: req.t('api.invalidJson')
+    });
+  }
+
   console.error('Server error:', err);
   res.status(500).json({
     success: false,
-    error: isProduction ? 'Internal server error' : err.message
+    error: isProduction ? req.t('api.serverError') : err.message
   });
 });
 
@@ -270,9 +425,12 @@ app.use((err, req, res, next) => {
 
 const server = app.listen(PORT, "0.0.0.0", () => {
   console.log(`🚀 MNL-AI Website running on port ${PORT}`);
-  console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`🌐 Environment: ${config.env}`);
   console.log(`📁 Serving /public as web root`);
-  console.log(`🔍 Debug files at: /debug/files`);
+  console.log(`✉️  Mail transport: ${MAIL_TRANSPORT}`);
+  console.log(`💬 Chat engine: ${CHAT_ENGINE}`);
+  console.log(`🛡️  Content-Security-Policy: ${CSP_MODE}`);
+  console.log(`🔐 Admin dashboard at: /admin`);
   console.log(`✅ Ready for production deployment`);
 });
 
@@ -0,0 +1,125 @@
+/**
+ * MNL-AI Contact Schema
+ * One set of contact form rules, used by the server to validate requests
+ * and served to the browser at /shared/contact-schema.js
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ContactSchema = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function() {
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  // Declarative field rules. "options" names a list supplied at validation
+  // time (e.g. the service ids), since it lives outside this file.
+  const fields = {
+    name: {
+      label: 'Name',
+      required: true,
+      minLength: 2,
+      maxLength: 100
+    },
+    email: {
+      label: 'Email',
+      required: true,
+      maxLength: 100,
+      format: 'email',
+      lowercase: true
+    },
+    business: {
+      label: 'Business name',
+      required: true,
+      minLength: 2,
+      maxLength: 100
+    },
+    message: {
+      label: 'Message',
+      required: true,
+      minLength: 10,
+      maxLength: 1000
+    },
+    service: {
+      label: 'Service',
+      required: false,
+      options: 'services'
+    }
+  };
+
+  const messages = {
+    required: (rule) => `${rule.label} is required`,
+    too_short: (rule) => `${rule.label} must be at least ${rule.minLength} characters long`,
+    too_long: (rule) => `${rule.label} must be at most ${rule.maxLength} characters long`,
+    invalid_email: () => 'Please enter a valid email address',
+    invalid_option: (rule) => `Please choose one of the listed ${rule.label.toLowerCase()} options`
+  };
+
+  const fieldError = (field, code) => ({
+    field,
+    code,
+    message: messages[code](fields[field])
+  });
+
+  // Trim strings, apply casing rules and drop unknown fields
+  const normalize = (data) => {
+    const values = {};
+
+    Object.keys(fields).forEach(field => {
+      const raw = data ? data[field] : undefined;
+      let value = typeof raw === 'string' ? raw.trim() : '';
+      if (fields[field].lowercase) value = value.toLowerCase();
+      values[field] = value;
+    });
+
+    return values;
+  };
+
+  const validateField = (field, value, context) => {
+    const rule = fields[field];
+
+    if (!value) {
+      return rule.required ? fieldError(field, 'required') : null;
+    }
+
+    if (rule.minLength && value.length < rule.minLength) {
+      return fieldError(field, 'too_short');
+    }
+
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return fieldError(field, 'too_long');
+    }
+
+    if (rule.format === 'email' && !EMAIL_PATTERN.test(value)) {
+      return fieldError(field, 'invalid_email');
+    }
+
+    const options = rule.options && context[rule.options];
+    if (options && options.indexOf(value) === -1) {
+      return fieldError(field, 'invalid_option');
+    }
+
+    return null;
+  };
+
+  // Returns normalized values plus a list of { field, code, message } errors
+  const validate = (data, context) => {
+    const values = normalize(data);
+    const errors = [];
+
+    Object.keys(fields).forEach(field => {
+      const error = validateField(field, values[field], context || {});
+      if (error) errors.push(error);
+    });
+
+    return { values, errors };
+  };
+
+  return {
+    fields,
+    normalize,
+    validateField,
+    validate
+  };
+}));
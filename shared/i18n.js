@@ -0,0 +1,56 @@
+/**
+ * MNL-AI Translations
+ * Message lookup shared by the server and the browser (served at
+ * /shared/i18n.js). Keys are dotted paths into a catalog such as
+ * content/locales/en.json; "{name}" placeholders are filled from params.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.I18n = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function() {
+  const lookup = (catalog, key) => {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+  };
+
+  const interpolate = (text, params) => {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params && params[name] !== undefined ? params[name] : match));
+  };
+
+  // Missing keys fall back to the fallback catalog, then to the key itself
+  const createTranslator = (catalog, fallback) => (key, params) => {
+    let value = lookup(catalog, key);
+    if (value === undefined && fallback) value = lookup(fallback, key);
+    if (value === undefined) return key;
+    return typeof value === 'string' ? interpolate(value, params) : value;
+  };
+
+  // Field errors ({ field, code, message }) from the contact schema, quote
+  // calculator or booking checks, with messages in the translator's language.
+  // Field-specific wording wins over the generic validation messages; errors
+  // neither knows keep their original message.
+  const localizeErrors = (errors, t, rules) => {
+    return (errors || []).map(error => {
+      if (!error || !error.code) return error;
+
+      const specific = `fieldErrors.${error.field}.${error.code}`;
+      const generic = `validation.${error.code}`;
+      const rule = (rules && rules[error.field]) || {};
+      let message = t(specific);
+
+      if (message === specific) {
+        message = t(generic, { label: t(`fields.${error.field}`), min: rule.minLength, max: rule.maxLength });
+      }
+
+      return Object.assign({}, error, { message: message === generic ? error.message : message });
+    });
+  };
+
+  return {
+    createTranslator,
+    localizeErrors
+  };
+}));
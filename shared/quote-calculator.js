@@ -0,0 +1,135 @@
+/**
+ * MNL-AI Quote Calculator
+ * Prices a service/add-on/timeline selection. The server uses it to build
+ * stored quotes and the browser uses it for the live total, served at
+ * /shared/quote-calculator.js, so both always agree.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.QuoteCalculator = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function() {
+  const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+  const findById = (list, id) => {
+    for (let i = 0; i < list.length; i++) {
+      if (list[i].id === id) return list[i];
+    }
+    return null;
+  };
+
+  // selection: { services: [id], addOns: { id: quantity }, timeline: id }
+  // services: priced services from /api/services (effectivePrice, promotion)
+  // options: add-ons, timelines and VAT settings from /api/quotes/options
+  const calculate = (selection, services, options) => {
+    const errors = [];
+    const lineItems = [];
+    const serviceIds = selection && Array.isArray(selection.services) ? selection.services : [];
+    const addOns = selection && selection.addOns && typeof selection.addOns === 'object' ? selection.addOns : {};
+
+    serviceIds.forEach((id, index) => {
+      if (serviceIds.indexOf(id) !== index) return;
+
+      const service = findById(services, id);
+      if (!service) {
+        errors.push({ field: 'services', code: 'invalid_option', message: `Unknown service "${id}"` });
+        return;
+      }
+
+      const custom = service.effectivePrice === null;
+      lineItems.push({
+        type: 'service',
+        id: service.id,
+        description: service.name,
+        quantity: 1,
+        unitPrice: custom ? null : service.effectivePrice,
+        regularPrice: service.regularPrice,
+        promotion: service.promotion ? service.promotion.label : null,
+        amount: custom ? 0 : service.effectivePrice,
+        custom: custom
+      });
+    });
+
+    Object.keys(addOns).forEach(id => {
+      const addOn = findById(options.addOns, id);
+      const quantity = Number(addOns[id]);
+
+      if (!addOn) {
+        errors.push({ field: 'addOns', code: 'invalid_option', message: `Unknown add-on "${id}"` });
+        return;
+      }
+
+      if (!Number.isInteger(quantity) || quantity < 0 || quantity > addOn.max) {
+        errors.push({ field: 'addOns', code: 'invalid_quantity', message: `${addOn.name} must be between 0 and ${addOn.max}` });
+        return;
+      }
+
+      if (quantity === 0) return;
+
+      lineItems.push({
+        type: 'addon',
+        id: addOn.id,
+        description: addOn.name,
+        quantity: quantity,
+        unit: addOn.unit,
+        unitPrice: addOn.unitPrice,
+        amount: roundMoney(addOn.unitPrice * quantity),
+        custom: false
+      });
+    });
+
+    const timeline = selection && selection.timeline
+      ? findById(options.timelines, selection.timeline)
+      : options.timelines[0];
+
+    if (!timeline) {
+      errors.push({ field: 'timeline', code: 'invalid_option', message: `Unknown timeline "${selection.timeline}"` });
+    }
+
+    const itemsTotal = lineItems.reduce((sum, item) => sum + item.amount, 0);
+
+    if (timeline && timeline.surchargePercent > 0) {
+      lineItems.push({
+        type: 'timeline',
+        id: timeline.id,
+        description: `${timeline.name}: +${timeline.surchargePercent}%`,
+        quantity: 1,
+        unitPrice: roundMoney(itemsTotal * timeline.surchargePercent / 100),
+        amount: roundMoney(itemsTotal * timeline.surchargePercent / 100),
+        custom: false
+      });
+    }
+
+    const total = roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0));
+    const rate = options.vat.rate;
+
+    // Inclusive prices already contain VAT; exclusive prices get it added
+    const subtotal = options.vat.inclusive ? roundMoney(total / (1 + rate)) : total;
+    const vat = options.vat.inclusive ? roundMoney(total - subtotal) : roundMoney(total * rate);
+
+    return {
+      errors: errors,
+      currency: options.currency,
+      timeline: timeline ? { id: timeline.id, name: timeline.name } : null,
+      lineItems: lineItems,
+      subtotal: subtotal,
+      vat: {
+        rate: rate,
+        inclusive: options.vat.inclusive,
+        label: options.vat.label,
+        amount: vat
+      },
+      total: options.vat.inclusive ? total : roundMoney(total + vat),
+      // Custom-quote services are listed but priced after the consultation
+      hasCustomItems: lineItems.some(item => item.custom)
+    };
+  };
+
+  return {
+    roundMoney,
+    calculate
+  };
+}));
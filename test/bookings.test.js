@@ -0,0 +1,59 @@
+/**
+ * Consult Bookings
+ * Slot checks from lib/bookings.js against content/availability.json (21
+ * days ahead, 09:00 on weekdays, 10:00 on Saturdays, Manila time), using
+ * a throwaway data directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mnl-bookings-test-'));
+
+const { getAvailability, checkSlot, createBooking } = require('../lib/bookings');
+
+// Monday 19 October 2026, 8:00 in Manila
+const NOW = Date.parse('2026-10-19T00:00:00.000Z');
+
+test('an open slot inside the horizon is accepted', () => {
+  assert.strictEqual(checkSlot('2026-10-26T01:00:00.000Z', NOW), null);
+
+  // Saturday 7 November is the 20th day after today, the last one offered
+  assert.strictEqual(checkSlot('2026-11-07T02:00:00.000Z', NOW), null);
+});
+
+test('a slot after the horizon is rejected', () => {
+  assert.strictEqual(checkSlot('2026-11-09T01:00:00.000Z', NOW).code, 'unavailable');
+  assert.strictEqual(checkSlot('2027-10-18T01:00:00.000Z', NOW).code, 'unavailable');
+});
+
+test('the availability ends on the last bookable day', () => {
+  const { days } = getAvailability({ now: NOW });
+
+  assert.strictEqual(days.length, 21);
+  assert.strictEqual(days[days.length - 1].date, '2026-11-08');
+  assert.strictEqual(getAvailability({ from: '2026-11-09', now: NOW }).days.length, 0);
+});
+
+test('times that are not slots are rejected', () => {
+  assert.strictEqual(checkSlot('2026-10-26T01:10:00.000Z', NOW).code, 'unavailable');
+  assert.strictEqual(checkSlot('2026-10-25T01:00:00.000Z', NOW).code, 'unavailable');
+  assert.strictEqual(checkSlot('2026-11-02T01:00:00.000Z', NOW).code, 'unavailable');
+  assert.strictEqual(checkSlot('next monday', NOW).code, 'invalid');
+  assert.strictEqual(checkSlot(undefined, NOW).code, 'invalid');
+});
+
+test('a booked slot cannot be booked again', () => {
+  const slot = getAvailability().days.flatMap(day => day.slots)[0];
+  const guest = { leadId: 'lead_test', name: 'Ana Cruz', email: 'ana@example.com' };
+
+  const first = createBooking({ start: slot.start, ...guest });
+  assert.deepStrictEqual(first.errors, []);
+
+  const second = createBooking({ start: slot.start, ...guest });
+  assert.strictEqual(second.errors[0].code, 'slot_taken');
+  assert.ok(!getAvailability().days.flatMap(day => day.slots).some(open => open.start === slot.start));
+});
@@ -0,0 +1,95 @@
+/**
+ * Chat Assistant
+ * The qualification flow from lib/chat.js, run against a throwaway data
+ * directory so no real leads are touched.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mnl-chat-test-'));
+
+const { handleMessage } = require('../lib/chat');
+
+// Answers every step before the name, returning the session id
+const reachNameStep = async () => {
+  const { sessionId } = await handleMessage({});
+  await handleMessage({ sessionId, message: 'Bakery' });
+  await handleMessage({ sessionId, message: 'Not sure yet' });
+  await handleMessage({ sessionId, message: 'Within a month' });
+  const reply = await handleMessage({ sessionId, message: 'Not sure yet', choice: '' });
+  assert.strictEqual(reply.step, 'name');
+  return sessionId;
+};
+
+test('a name that starts like a question is taken as the name', async () => {
+  const sessionId = await reachNameStep();
+
+  const reply = await handleMessage({ sessionId, message: 'May Santos' });
+
+  assert.strictEqual(reply.step, 'email');
+  assert.ok(!reply.messages.some(text => text.startsWith("I'm not sure")));
+});
+
+test('a question with a question mark is still answered on the name step', async () => {
+  const sessionId = await reachNameStep();
+
+  const reply = await handleMessage({ sessionId, message: 'May discount ba kayo?' });
+
+  assert.strictEqual(reply.step, 'name');
+});
+
+test('a business type that starts like a question is taken as the answer', async () => {
+  const { sessionId } = await handleMessage({});
+
+  const reply = await handleMessage({ sessionId, message: "Will's Bakery" });
+
+  assert.strictEqual(reply.step, 'budget');
+});
+
+test('the same handoff twice is rejected as a duplicate', async () => {
+  const complete = async () => {
+    const sessionId = await reachNameStep();
+    await handleMessage({ sessionId, message: 'May Santos' });
+    return handleMessage({ sessionId, message: 'may@example.com' });
+  };
+
+  const first = await complete();
+  assert.strictEqual(first.step, 'done');
+  assert.ok(first.lead);
+
+  const second = await complete();
+  assert.strictEqual(second.step, 'email');
+  assert.strictEqual(second.lead, null);
+  assert.strictEqual(second.rejection.code, 'duplicate_submission');
+});
+
+test('replies come in the requested language', async () => {
+  const start = await handleMessage({ locale: 'fil' });
+  assert.match(start.messages[1], /negosyo/);
+  assert.strictEqual(start.quickReplies[0].label, 'Pagkain at restaurant');
+
+  const reply = await handleMessage({ sessionId: start.sessionId, message: 'Bakery', locale: 'fil' });
+  assert.strictEqual(reply.messages[0], 'Magkano ang budget na nasa isip mo?');
+});
+
+test('prices are quoted in the requested language', async () => {
+  const start = await handleMessage({ locale: 'fil' });
+
+  const reply = await handleMessage({ sessionId: start.sessionId, message: 'Magkano ang website?', locale: 'fil' });
+
+  assert.match(reply.messages[0], /ang Website Creation/);
+  assert.doesNotMatch(reply.messages[0], /right now|starts at|priced per project/);
+});
+
+test('a business type longer than the contact form allows is asked again', async () => {
+  const { sessionId } = await handleMessage({});
+
+  const reply = await handleMessage({ sessionId, message: 'Bakery '.repeat(60) });
+
+  assert.strictEqual(reply.step, 'businessType');
+  assert.deepStrictEqual(reply.messages, ['Business name must be at most 100 characters long']);
+});
@@ -0,0 +1,58 @@
+/**
+ * Contact Schema
+ * The validation rules the server and the browser share
+ * (shared/contact-schema.js), and their translated messages.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const contactSchema = require('../shared/contact-schema');
+const { getTranslator, localizeErrors } = require('../lib/i18n');
+
+const valid = {
+  name: 'Ana Cruz',
+  email: 'ana@example.com',
+  business: 'Cruz Bakery',
+  message: 'We need a website for our bakery.',
+  service: 'website-creation'
+};
+const context = { services: ['website-creation', 'ai-chatbots'] };
+
+const codes = (data) => contactSchema.validate(data, context).errors.map(error => `${error.field}:${error.code}`);
+
+test('a complete submission is valid', () => {
+  assert.deepStrictEqual(codes(valid), []);
+  assert.deepStrictEqual(codes({ ...valid, service: '' }), []);
+});
+
+test('values are trimmed, emails lowercased and unknown fields dropped', () => {
+  const { values } = contactSchema.validate({ ...valid, name: '  Ana Cruz ', email: ' Ana@Example.COM', admin: true }, context);
+
+  assert.strictEqual(values.name, 'Ana Cruz');
+  assert.strictEqual(values.email, 'ana@example.com');
+  assert.ok(!('admin' in values));
+});
+
+test('non-string values count as missing', () => {
+  assert.deepStrictEqual(codes({ ...valid, name: ['Ana'], email: { $ne: '' } }), ['name:required', 'email:required']);
+});
+
+test('each rule reports its own code', () => {
+  assert.deepStrictEqual(codes({}), ['name:required', 'email:required', 'business:required', 'message:required']);
+  assert.deepStrictEqual(codes({ ...valid, name: 'A', message: 'Too short' }), ['name:too_short', 'message:too_short']);
+  assert.deepStrictEqual(codes({ ...valid, business: 'B'.repeat(101) }), ['business:too_long']);
+  assert.deepStrictEqual(codes({ ...valid, email: 'ana@example' }), ['email:invalid_email']);
+  assert.deepStrictEqual(codes({ ...valid, service: 'hosting' }), ['service:invalid_option']);
+});
+
+test('messages are translated with the field label and limits', () => {
+  const { errors } = contactSchema.validate({ ...valid, name: 'A', email: '' }, context);
+
+  const english = localizeErrors(errors, getTranslator('en'), contactSchema.fields);
+  assert.deepStrictEqual(english.map(error => error.message), ['Name must be at least 2 characters long', 'Email is required']);
+
+  const filipino = localizeErrors(errors, getTranslator('fil'), contactSchema.fields);
+  assert.deepStrictEqual(filipino.map(error => error.code), ['too_short', 'required']);
+  assert.notDeepStrictEqual(filipino.map(error => error.message), english.map(error => error.message));
+});
@@ -0,0 +1,76 @@
+/**
+ * Experiments
+ * Who gets counted in the A/B tests from content/experiments.json (all
+ * with the "contact" goal), using a throwaway data directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mnl-experiments-test-'));
+
+const { VISITOR_COOKIE, assignVariants, recordConversion, getReport } = require('../lib/experiments');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Firefox/130.0';
+
+// Just enough of Express for assignVariants(); cookies set go to res.cookies
+const pageView = ({ ip, cookie, headers = {} }) => {
+  const req = {
+    ip,
+    cookies: cookie ? { [VISITOR_COOKIE]: cookie } : {},
+    get: (name) => ({ 'User-Agent': BROWSER, ...headers })[name]
+  };
+  const res = { cookies: {}, cookie: (name, value) => { res.cookies[name] = value; } };
+  assignVariants(req, res, 'en');
+  return res.cookies[VISITOR_COOKIE] || cookie;
+};
+
+const counted = () => getReport()[0].variants.reduce((sum, variant) => sum + variant.visitors, 0);
+const conversions = () => getReport()[0].variants.reduce((sum, variant) => sum + variant.conversions, 0);
+
+test('a first page view is counted and can convert', () => {
+  const before = counted();
+  const visitorId = pageView({ ip: '203.0.113.1' });
+
+  assert.strictEqual(counted(), before + 1);
+  assert.ok(recordConversion(visitorId, 'contact') > 0);
+  assert.strictEqual(recordConversion(visitorId, 'contact'), 0);
+});
+
+test('a returning visitor is not counted twice', () => {
+  const visitorId = pageView({ ip: '203.0.113.2' });
+  const before = counted();
+
+  pageView({ ip: '203.0.113.2', cookie: visitorId });
+
+  assert.strictEqual(counted(), before);
+});
+
+test('a client that drops cookies is only counted a few times an hour', () => {
+  const before = counted();
+  const ids = Array.from({ length: 30 }, () => pageView({ ip: '203.0.113.3' }));
+
+  assert.strictEqual(counted(), before + 10);
+
+  // An uncounted visitor is counted once their id comes back
+  pageView({ ip: '203.0.113.3', cookie: ids[29] });
+  assert.strictEqual(counted(), before + 11);
+});
+
+test('a made-up visitor id converts nothing', () => {
+  const before = { counted: counted(), conversions: conversions() };
+
+  assert.strictEqual(recordConversion('AAAAAAAAAAAAAAAAAAAAAA', 'contact'), 0);
+  assert.deepStrictEqual({ counted: counted(), conversions: conversions() }, before);
+});
+
+test('visitors who opted out are neither given an id nor counted', () => {
+  const before = counted();
+
+  assert.strictEqual(pageView({ ip: '203.0.113.4', headers: { DNT: '1' } }), undefined);
+  assert.strictEqual(pageView({ ip: '203.0.113.4', headers: { 'Sec-GPC': '1' } }), undefined);
+  assert.strictEqual(counted(), before);
+});
@@ -0,0 +1,30 @@
+/**
+ * Internationalization
+ * Locale URLs from lib/i18n.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { localeFromPath, localePath, withoutLocale } = require('../lib/i18n');
+
+test('locale URLs', () => {
+  assert.strictEqual(localePath('fil', '/'), '/fil/');
+  assert.strictEqual(localePath('en', '/faq'), '/faq');
+  assert.strictEqual(localeFromPath('/fil/faq'), 'fil');
+  assert.strictEqual(localeFromPath('/filipino'), null);
+});
+
+test('a switched-off language redirects to the rooted English URL', () => {
+  assert.strictEqual(withoutLocale('fil', '/fil'), '/');
+  assert.strictEqual(withoutLocale('fil', '/fil/'), '/');
+  assert.strictEqual(withoutLocale('fil', '/fil/services/seo?ref=nav'), '/services/seo?ref=nav');
+
+  // A bare query would resolve against /fil and redirect there again
+  assert.strictEqual(withoutLocale('fil', '/fil?utm_source=fb'), '/?utm_source=fb');
+  assert.strictEqual(withoutLocale('fil', '/fil/?utm_source=fb'), '/?utm_source=fb');
+});
+
+test('the redirect never leaves the site', () => {
+  assert.strictEqual(withoutLocale('fil', '/fil//evil.example/path'), '/evil.example/path');
+});
@@ -0,0 +1,114 @@
+/**
+ * Promotions
+ * Discounts and promo codes from lib/promotions.js, priced against a test
+ * service so the seeded promotions don't interfere, using a throwaway data
+ * directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mnl-promotions-test-'));
+
+const { createPromotion, validatePromotion, priceService } = require('../lib/promotions');
+
+const NOW = Date.parse('2026-10-19T00:00:00.000Z');
+const service = { id: 'test-service', name: 'Test service', regularPrice: 10000, currency: 'PHP' };
+
+const promotion = (fields) => {
+  const { promotion: created, errors } = createPromotion({
+    name: fields.id,
+    label: fields.id,
+    serviceIds: [service.id],
+    ...fields
+  });
+  assert.deepStrictEqual(errors, []);
+  return created;
+};
+
+test('without promotions a service costs its regular price', () => {
+  const priced = priceService({ ...service, id: 'other-service' }, { now: NOW });
+
+  assert.strictEqual(priced.effectivePrice, 10000);
+  assert.strictEqual(priced.discount, 0);
+  assert.strictEqual(priced.promotion, null);
+});
+
+test('the seeded launch special takes ₱5,000 off website creation', () => {
+  const priced = priceService({ id: 'website-creation', regularPrice: 9998 }, { now: NOW });
+
+  assert.strictEqual(priced.effectivePrice, 4998);
+  assert.strictEqual(priced.promotion.id, 'launch-special');
+});
+
+test('a running percentage promotion applies', () => {
+  promotion({ id: 'ten-off', type: 'percentage', value: 10 });
+
+  const priced = priceService(service, { now: NOW });
+  assert.strictEqual(priced.effectivePrice, 9000);
+  assert.strictEqual(priced.discountPercent, 10);
+  assert.strictEqual(priced.promotion.id, 'ten-off');
+});
+
+test('the biggest discount wins, and says what comes after it ends', () => {
+  promotion({ id: 'flash-sale', type: 'fixed', value: 2500, endsAt: '2026-10-25T16:00:00.000Z' });
+
+  const priced = priceService(service, { now: NOW });
+  assert.strictEqual(priced.effectivePrice, 7500);
+  assert.strictEqual(priced.promotion.id, 'flash-sale');
+  assert.strictEqual(priced.afterPromotion.effectivePrice, 9000);
+  assert.strictEqual(priced.afterPromotion.promotion.id, 'ten-off');
+
+  assert.strictEqual(priceService(service, { now: Date.parse('2026-10-26T00:00:00.000Z') }).effectivePrice, 9000);
+});
+
+test('a promotion that has not started does not apply', () => {
+  promotion({ id: 'holiday-sale', type: 'percentage', value: 40, startsAt: '2026-12-01T00:00:00.000Z' });
+
+  assert.strictEqual(priceService(service, { now: NOW }).promotion.id, 'flash-sale');
+  assert.strictEqual(priceService(service, { now: Date.parse('2026-12-02T00:00:00.000Z') }).effectivePrice, 6000);
+});
+
+test('a code-only promotion needs its code, in any case', () => {
+  promotion({ id: 'bakery-friends', type: 'percentage', value: 30, code: 'BAKERY30' });
+
+  assert.strictEqual(priceService(service, { now: NOW }).promotion.id, 'flash-sale');
+  assert.strictEqual(priceService(service, { now: NOW, promoCode: 'WRONG' }).promotion.id, 'flash-sale');
+  assert.strictEqual(priceService(service, { now: NOW, promoCode: 'bakery30' }).effectivePrice, 7000);
+});
+
+test('promo codes that are not strings are ignored', () => {
+  [['BAKERY30', 'BAKERY30'], 30, { code: 'BAKERY30' }, true].forEach(promoCode => {
+    const priced = priceService(service, { now: NOW, promoCode });
+    assert.strictEqual(priced.promotion.id, 'flash-sale');
+  });
+});
+
+test('a discount never takes the price below zero', () => {
+  const cheap = { id: 'cheap-service', regularPrice: 1000 };
+  promotion({ id: 'big-voucher', type: 'fixed', value: 5000, serviceIds: [cheap.id] });
+
+  assert.strictEqual(priceService(cheap, { now: NOW }).effectivePrice, 0);
+});
+
+test('custom-quote services have no price to discount', () => {
+  const custom = priceService({ id: service.id, regularPrice: null }, { now: NOW });
+
+  assert.strictEqual(custom.effectivePrice, null);
+  assert.strictEqual(custom.promotion, null);
+});
+
+test('invalid promotions are refused', () => {
+  const fields = (errors) => errors.map(error => error.field);
+  const base = { id: 'ok', name: 'OK', label: 'OK', type: 'percentage', value: 10, serviceIds: [], code: null, startsAt: null, endsAt: null, active: true };
+
+  assert.deepStrictEqual(validatePromotion(base), []);
+  assert.deepStrictEqual(fields(validatePromotion({ ...base, value: 120 })), ['value']);
+  assert.deepStrictEqual(fields(validatePromotion({ ...base, type: 'bogo' })), ['type']);
+  assert.deepStrictEqual(fields(validatePromotion({ ...base, code: 'a b' })), ['code']);
+  assert.deepStrictEqual(fields(validatePromotion({ ...base, startsAt: '2026-12-01', endsAt: '2026-11-01' })), ['endsAt']);
+  assert.strictEqual(createPromotion({ ...base, id: 'ten-off' }).errors[0].code, 'taken');
+});
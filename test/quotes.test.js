@@ -0,0 +1,84 @@
+/**
+ * Quotes
+ * Totals and VAT from the shared quote calculator with the real quote
+ * options and seeded services (website creation at ₱4,998 with the launch
+ * special, chatbots priced per project), using a throwaway data directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mnl-quotes-test-'));
+
+const { getQuoteOptions, priceSelection, saveQuote, isExpired } = require('../lib/quotes');
+const { calculate } = require('../shared/quote-calculator');
+
+const codes = (result) => result.errors.map(error => `${error.field}:${error.code}`);
+
+test('services and add-ons add up, with 12% VAT on top', () => {
+  const quote = priceSelection({ services: ['website-creation'], addOns: { 'extra-page': 2 } });
+
+  assert.deepStrictEqual(quote.errors, []);
+  assert.deepStrictEqual(quote.lineItems.map(item => item.amount), [4998, 3000]);
+  assert.strictEqual(quote.lineItems[0].regularPrice, 9998);
+  assert.strictEqual(quote.subtotal, 7998);
+  assert.strictEqual(quote.vat.amount, 959.76);
+  assert.strictEqual(quote.total, 8957.76);
+  assert.strictEqual(quote.timeline.id, 'standard');
+});
+
+test('a rush timeline adds its surcharge before VAT', () => {
+  const quote = priceSelection({ services: ['website-creation'], addOns: { 'extra-page': 2 }, timeline: 'rush' });
+
+  assert.strictEqual(quote.lineItems[2].type, 'timeline');
+  assert.strictEqual(quote.lineItems[2].amount, 2399.4);
+  assert.strictEqual(quote.subtotal, 10397.4);
+  assert.strictEqual(quote.vat.amount, 1247.69);
+  assert.strictEqual(quote.total, 11645.09);
+});
+
+test('VAT-inclusive prices are split into subtotal and VAT', () => {
+  const options = { ...getQuoteOptions(), vat: { rate: 0.12, inclusive: true, label: 'VAT (12%)' } };
+  const services = [{ id: 'site', name: 'Site', effectivePrice: 11200, regularPrice: 11200, promotion: null }];
+
+  const quote = calculate({ services: ['site'] }, services, options);
+
+  assert.strictEqual(quote.subtotal, 10000);
+  assert.strictEqual(quote.vat.amount, 1200);
+  assert.strictEqual(quote.total, 11200);
+});
+
+test('custom-quote services are listed without a price', () => {
+  const quote = priceSelection({ services: ['ai-chatbots', 'website-creation', 'ai-chatbots'] });
+
+  assert.strictEqual(quote.lineItems.length, 2);
+  assert.strictEqual(quote.lineItems[0].unitPrice, null);
+  assert.strictEqual(quote.hasCustomItems, true);
+  assert.strictEqual(quote.subtotal, 4998);
+});
+
+test('unknown choices and quantities over the limit are errors', () => {
+  assert.deepStrictEqual(codes(priceSelection({ services: ['hosting'] })), ['services:invalid_option']);
+  assert.deepStrictEqual(codes(priceSelection({ addOns: { 'extra-page': 21 } })), ['addOns:invalid_quantity']);
+  assert.deepStrictEqual(codes(priceSelection({ addOns: { 'extra-page': 1.5 } })), ['addOns:invalid_quantity']);
+  assert.deepStrictEqual(codes(priceSelection({ services: ['website-creation'], timeline: 'yesterday' })), ['timeline:invalid_option']);
+});
+
+test('an empty selection is not a quote', () => {
+  assert.deepStrictEqual(codes(priceSelection({})), ['services:required']);
+  assert.deepStrictEqual(codes(priceSelection({ addOns: { 'extra-page': 0 } })), ['services:required']);
+});
+
+test('a saved quote gets a number and is valid for 30 days', () => {
+  const selection = { services: ['website-creation'], addOns: {}, timeline: 'standard' };
+  const quote = saveQuote(priceSelection(selection), { selection });
+
+  assert.match(quote.number, /\d/);
+  assert.strictEqual(Date.parse(quote.validUntil) - Date.parse(quote.createdAt), 30 * 24 * 60 * 60 * 1000);
+  assert.strictEqual(quote.total, 5597.76);
+  assert.ok(!('errors' in quote));
+  assert.strictEqual(isExpired(quote), false);
+});
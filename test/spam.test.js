@@ -0,0 +1,82 @@
+/**
+ * Contact Spam Protection
+ * The checks from lib/spam.js with the default settings, using a
+ * throwaway data directory for the duplicate check.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mnl-spam-test-'));
+
+const { settings, checkIpLimit, checkBotSignals, checkSubmission } = require('../lib/spam');
+const { createLead } = require('../lib/leads');
+
+const codeOf = (rejection) => rejection && rejection.code;
+
+const submission = (fields = {}) => ({
+  name: 'Ana Cruz',
+  email: 'ana@example.com',
+  business: 'Cruz Bakery',
+  message: 'We need a website for our bakery in Quezon City.',
+  ...fields
+});
+
+test('a filled honeypot is spam', () => {
+  assert.strictEqual(codeOf(checkBotSignals({ website: 'https://spam.example', fillTime: 8000 })), 'spam_detected');
+});
+
+test('a form sent faster than a person can fill it is rejected', () => {
+  assert.strictEqual(codeOf(checkBotSignals({ fillTime: settings.minFillMs - 1 })), 'too_fast');
+  assert.strictEqual(checkBotSignals({ fillTime: settings.minFillMs }), null);
+  assert.strictEqual(checkBotSignals({ fillTime: String(settings.minFillMs + 5000) }), null);
+});
+
+test('a missing or non-numeric fillTime counts as too fast', () => {
+  assert.strictEqual(codeOf(checkBotSignals({})), 'too_fast');
+  assert.strictEqual(codeOf(checkBotSignals({ fillTime: 'abc' })), 'too_fast');
+  assert.strictEqual(codeOf(checkBotSignals({ fillTime: null })), 'too_fast');
+  assert.strictEqual(codeOf(checkBotSignals({ fillTime: [8000] })), 'too_fast');
+  assert.strictEqual(codeOf(checkBotSignals({ fillTime: { ms: 8000 } })), 'too_fast');
+});
+
+test('too many links or a blocked word is rejected', () => {
+  const links = Array.from({ length: settings.maxLinks + 1 }, (_, i) => `https://example.com/${i}`).join(' ');
+
+  assert.strictEqual(codeOf(checkSubmission(submission({ email: 'links@example.com', message: links }))), 'too_many_links');
+  assert.strictEqual(codeOf(checkSubmission(submission({ email: 'words@example.com', business: 'Casino Royale' }))), 'blocked_content');
+});
+
+test('the same message from the same sender is a duplicate', () => {
+  const lead = submission({ email: 'dupe@example.com' });
+  assert.strictEqual(checkSubmission(lead), null);
+  createLead(lead);
+
+  const again = checkSubmission({ ...lead, message: `  ${lead.message.toUpperCase()} ` });
+  assert.strictEqual(codeOf(again), 'duplicate_submission');
+  assert.strictEqual(again.status, 422);
+});
+
+test('each email only gets a few accepted submissions a day', () => {
+  const email = 'busy@example.com';
+  for (let i = 0; i < settings.emailLimit.max; i++) {
+    assert.strictEqual(checkSubmission(submission({ email, message: `Project number ${i} needs a website` })), null);
+  }
+
+  const rejection = checkSubmission(submission({ email, message: 'One more project that needs a website' }));
+  assert.strictEqual(codeOf(rejection), 'rate_limited');
+  assert.strictEqual(rejection.status, 429);
+  assert.ok(rejection.retryAfter > 0);
+});
+
+test('each IP only gets a few attempts an hour', () => {
+  for (let i = 0; i < settings.ipLimit.max; i++) {
+    assert.strictEqual(checkIpLimit('198.51.100.7'), null);
+  }
+
+  assert.strictEqual(codeOf(checkIpLimit('198.51.100.7')), 'rate_limited');
+  assert.strictEqual(checkIpLimit('198.51.100.8'), null);
+});